@@ -5,18 +5,23 @@
 // -----------------------------
 
 /**
- * Lightweight sunrise/sunset calculation (approximate)
+ * Lightweight solar event calculation (approximate)
  * Based on common solar position approximations; adequate for theming.
+ * Returns sunrise/sunset plus solar noon, golden hour and civil/nautical/astronomical
+ * twilight. Events the sun never reaches that day (polar regions) are Invalid Dates.
  */
 function computeSunTimes(lat, lng, date = new Date()) {
   const rad = Math.PI / 180;
   const dayMs = 24 * 60 * 60 * 1000;
+  const J2000 = 2451545;
+  const J0 = 0.0009;
+  const J1970 = 2440588;
 
   function toJulian(d) {
-    return d / dayMs - 0.5 + 2440587.5;
+    return d / dayMs - 0.5 + J1970;
   }
   function fromJulian(j) {
-    return (j + 0.5 - 2440587.5) * dayMs;
+    return (j + 0.5 - J1970) * dayMs;
   }
   function solarMeanAnomaly(d) {
     return rad * (357.5291 + 0.98560028 * d);
@@ -30,39 +35,63 @@ function computeSunTimes(lat, lng, date = new Date()) {
     return Math.asin(Math.sin(L) * Math.sin(rad * 23.4397));
   }
   function julianCycle(d, lw) {
-    return Math.round(d - lw / (2 * Math.PI));
+    return Math.round(d - J0 - lw / (2 * Math.PI));
   }
-  function approxTransit(Ht, L, lw, n) {
-    return 0.0009 + (Ht + lw) / (2 * Math.PI) + n;
+  function approxTransit(Ht, lw, n) {
+    return J0 + (Ht + lw) / (2 * Math.PI) + n;
+  }
+  function solarTransitJ(ds, M, L) {
+    return J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
   }
   function hourAngle(h, phi, dec) {
     return Math.acos((Math.sin(h) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec)));
   }
   function getSetJ(h, lw, phi, dec, n, M, L) {
     const w = hourAngle(h, phi, dec);
-    const a = approxTransit(w, L, lw, n);
-    const Jset = 2451545 + d + a;
-    const Jrise = Jset - (w * 2) / (2 * Math.PI);
-    return { Jrise, Jset };
+    const a = approxTransit(w, lw, n);
+    return solarTransitJ(a, M, L);
   }
 
   const lw = rad * -lng;
   const phi = rad * lat;
 
-  const localMidnight = new Date(date);
-  localMidnight.setHours(0, 0, 0, 0);
-  const d = toJulian(localMidnight) - 2451545;
+  // Anchor on local noon so the transit found belongs to the same calendar day
+  const localNoon = new Date(date);
+  localNoon.setHours(12, 0, 0, 0);
+  const d = toJulian(localNoon.getTime()) - J2000;
 
   const n = julianCycle(d, lw);
-  const M = solarMeanAnomaly(d);
+  const ds = approxTransit(0, lw, n);
+  const M = solarMeanAnomaly(ds);
   const L = eclipticLongitude(M);
   const dec = declination(L);
-  const h = rad * -0.833;
+  const Jnoon = solarTransitJ(ds, M, L);
+
+  // Morning/evening pair for a solar altitude in degrees
+  function pair(altitude) {
+    const Jset = getSetJ(rad * altitude, lw, phi, dec, n, M, L);
+    const Jrise = Jnoon - (Jset - Jnoon);
+    return [new Date(fromJulian(Jrise)), new Date(fromJulian(Jset))];
+  }
 
-  const { Jrise, Jset } = getSetJ(h, lw, phi, dec, n, M, L);
-  const sunrise = new Date(fromJulian(Jrise));
-  const sunset = new Date(fromJulian(Jset));
-  return { sunrise, sunset };
+  const [sunrise, sunset] = pair(-0.833);
+  const [goldenHourEnd, goldenHour] = pair(6);
+  const [civilDawn, civilDusk] = pair(-6);
+  const [nauticalDawn, nauticalDusk] = pair(-12);
+  const [astronomicalDawn, astronomicalDusk] = pair(-18);
+  return {
+    sunrise,
+    sunset,
+    solarNoon: new Date(fromJulian(Jnoon)),
+    goldenHourEnd,
+    goldenHour,
+    civilDawn,
+    civilDusk,
+    nauticalDawn,
+    nauticalDusk,
+    astronomicalDawn,
+    astronomicalDusk
+  };
 }
 
 function debounce(fn, wait = 250) {
@@ -73,22 +102,520 @@ function debounce(fn, wait = 250) {
   };
 }
 
+// Bundled offline city list for the theme settings (no geocoding service needed)
+const THEME_CITIES = [
+  { name: "Amsterdam", lat: 52.3676, lng: 4.9041 },
+  { name: "Athens", lat: 37.9838, lng: 23.7275 },
+  { name: "Auckland", lat: -36.8485, lng: 174.7633 },
+  { name: "Bangkok", lat: 13.7563, lng: 100.5018 },
+  { name: "Barcelona", lat: 41.3874, lng: 2.1686 },
+  { name: "Beijing", lat: 39.9042, lng: 116.4074 },
+  { name: "Berlin", lat: 52.52, lng: 13.405 },
+  { name: "Buenos Aires", lat: -34.6037, lng: -58.3816 },
+  { name: "Cairo", lat: 30.0444, lng: 31.2357 },
+  { name: "Cape Town", lat: -33.9249, lng: 18.4241 },
+  { name: "Casablanca", lat: 33.5731, lng: -7.5898 },
+  { name: "Chicago", lat: 41.8781, lng: -87.6298 },
+  { name: "Dubai", lat: 25.2048, lng: 55.2708 },
+  { name: "Dublin", lat: 53.3498, lng: -6.2603 },
+  { name: "Helsinki", lat: 60.1699, lng: 24.9384 },
+  { name: "Hong Kong", lat: 22.3193, lng: 114.1694 },
+  { name: "Istanbul", lat: 41.0082, lng: 28.9784 },
+  { name: "Jakarta", lat: -6.2088, lng: 106.8456 },
+  { name: "Johannesburg", lat: -26.2041, lng: 28.0473 },
+  { name: "Lagos", lat: 6.5244, lng: 3.3792 },
+  { name: "Lisbon", lat: 38.7223, lng: -9.1393 },
+  { name: "London", lat: 51.5074, lng: -0.1278 },
+  { name: "Los Angeles", lat: 34.0522, lng: -118.2437 },
+  { name: "Madrid", lat: 40.4168, lng: -3.7038 },
+  { name: "Marrakesh", lat: 31.6295, lng: -7.9811 },
+  { name: "Mexico City", lat: 19.4326, lng: -99.1332 },
+  { name: "Montreal", lat: 45.5017, lng: -73.5673 },
+  { name: "Moscow", lat: 55.7558, lng: 37.6173 },
+  { name: "Mumbai", lat: 19.076, lng: 72.8777 },
+  { name: "Nairobi", lat: -1.2921, lng: 36.8219 },
+  { name: "New York", lat: 40.7128, lng: -74.006 },
+  { name: "Oslo", lat: 59.9139, lng: 10.7522 },
+  { name: "Paris", lat: 48.8566, lng: 2.3522 },
+  { name: "Rabat", lat: 34.0209, lng: -6.8416 },
+  { name: "Reykjavik", lat: 64.1466, lng: -21.9426 },
+  { name: "Rio de Janeiro", lat: -22.9068, lng: -43.1729 },
+  { name: "Rome", lat: 41.9028, lng: 12.4964 },
+  { name: "San Francisco", lat: 37.7749, lng: -122.4194 },
+  { name: "São Paulo", lat: -23.5505, lng: -46.6333 },
+  { name: "Seoul", lat: 37.5665, lng: 126.978 },
+  { name: "Singapore", lat: 1.3521, lng: 103.8198 },
+  { name: "Stockholm", lat: 59.3293, lng: 18.0686 },
+  { name: "Sydney", lat: -33.8688, lng: 151.2093 },
+  { name: "Tokyo", lat: 35.6762, lng: 139.6503 },
+  { name: "Toronto", lat: 43.6532, lng: -79.3832 },
+  { name: "Vancouver", lat: 49.2827, lng: -123.1207 },
+  { name: "Vienna", lat: 48.2082, lng: 16.3738 },
+  { name: "Warsaw", lat: 52.2297, lng: 21.0122 }
+];
+
+// -----------------------------
+// Theme palettes: built-in + user color schemes for day/night
+// -----------------------------
+
+/**
+ * A palette holds five editable colors per variant (day/night); the remaining CSS
+ * variables and the Tailwind accent scale are derived from them.
+ * { id, name, builtIn?, blend, day: { bgStart, bgEnd, text, card, accent }, night: {...} }
+ */
+const Palettes = (function () {
+  const STORAGE_KEY = 'themePalettes';
+  const TOKENS = ['bgStart', 'bgEnd', 'text', 'card', 'accent'];
+  const HEX_RE = /^#[0-9a-f]{6}$/i;
+  const AA = 4.5; // WCAG AA for normal text
+  // Tailwind shade → mix amount (positive: toward white, negative: toward black)
+  const SHADES = { 50: 0.95, 100: 0.85, 200: 0.65, 300: 0.45, 400: 0.22, 500: 0, 600: -0.18, 700: -0.36, 800: -0.52, 900: -0.64 };
+  const DEFAULT_ID = 'default';
+
+  const BUILT_INS = [
+    {
+      id: DEFAULT_ID,
+      name: 'Mint & Navy',
+      blend: true,
+      day: { bgStart: '#eafff6', bgEnd: '#ffffff', text: '#0b1a1a', card: '#ffffff', accent: '#10b981' },
+      night: { bgStart: '#0b1a3a', bgEnd: '#1b2856', text: '#e6ecff', card: '#203060', accent: '#10b981' }
+    },
+    {
+      id: 'high-contrast',
+      name: 'High contrast',
+      blend: false,
+      day: { bgStart: '#ffffff', bgEnd: '#ffffff', text: '#000000', card: '#ffffff', accent: '#0047ab' },
+      night: { bgStart: '#000000', bgEnd: '#000000', text: '#ffffff', card: '#000000', accent: '#ffd400' }
+    },
+    {
+      id: 'solarized',
+      name: 'Solarized',
+      blend: true,
+      day: { bgStart: '#fdf6e3', bgEnd: '#eee8d5', text: '#073642', card: '#fdf6e3', accent: '#268bd2' },
+      night: { bgStart: '#002b36', bgEnd: '#073642', text: '#eee8d5', card: '#073642', accent: '#2aa198' }
+    },
+    {
+      id: 'sepia',
+      name: 'Sepia',
+      blend: true,
+      day: { bgStart: '#f4ecd8', bgEnd: '#fbf6ea', text: '#3b2f1e', card: '#fbf6ea', accent: '#a0522d' },
+      night: { bgStart: '#2b2218', bgEnd: '#3a2e20', text: '#f1e4c8', card: '#3a2e20', accent: '#d4a373' }
+    }
+  ].map((p) => Object.freeze({ ...p, builtIn: true }));
+
+  function hexToRgb(hex) {
+    return [0, 1, 2].map((i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16));
+  }
+
+  function rgbToHex(rgb) {
+    return '#' + rgb.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('');
+  }
+
+  // Linear blend of two hex colors, t in [0, 1]
+  function mix(from, to, t) {
+    const a = hexToRgb(from);
+    const b = hexToRgb(to);
+    return rgbToHex(a.map((c, i) => c + (b[i] - c) * t));
+  }
+
+  // WCAG 2.x relative luminance and contrast ratio
+  function luminance(hex) {
+    const [r, g, b] = hexToRgb(hex).map((c) => {
+      const s = c / 255;
+      return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  function contrastRatio(a, b) {
+    const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (hi + 0.05) / (lo + 0.05);
+  }
+
+  // Button label color with the better contrast on the accent
+  function labelOn(hex) {
+    return contrastRatio(hex, '#ffffff') >= contrastRatio(hex, '#0b1a1a') ? '#ffffff' : '#0b1a1a';
+  }
+
+  /** Contrast checks for one variant: [{ label, ratio, ok }] */
+  function checkContrast(variant) {
+    return [
+      ['Text on gradient start', variant.text, variant.bgStart],
+      ['Text on gradient end', variant.text, variant.bgEnd],
+      ['Text on cards', variant.text, variant.card],
+      ['Button label on accent', labelOn(variant.accent), variant.accent]
+    ].map(([label, fg, bg]) => {
+      const ratio = contrastRatio(fg, bg);
+      return { label, ratio, ok: ratio >= AA };
+    });
+  }
+
+  function normalizeVariant(v, fallback) {
+    const out = {};
+    for (const token of TOKENS) {
+      const value = v && typeof v[token] === 'string' ? v[token].trim() : '';
+      out[token] = HEX_RE.test(value) ? value.toLowerCase() : fallback[token];
+    }
+    return out;
+  }
+
+  /** Validate a palette; returns null when it has no usable name or colors. */
+  function normalize(p) {
+    if (!p || typeof p !== 'object') return null;
+    const name = typeof p.name === 'string' ? p.name.trim().slice(0, 60) : '';
+    if (!name || !p.day || !p.night) return null;
+    const base = BUILT_INS[0];
+    return {
+      id: typeof p.id === 'string' && p.id ? p.id : newId(),
+      name,
+      blend: p.blend !== false,
+      day: normalizeVariant(p.day, base.day),
+      night: normalizeVariant(p.night, base.night)
+    };
+  }
+
+  /**
+   * CSS custom properties for one variant. --accent-50 … --accent-900 are "r g b"
+   * triplets that the emerald colors in tailwind.config.js resolve to.
+   */
+  function variables(variant) {
+    const vars = {
+      '--bg-start': variant.bgStart,
+      '--bg-end': variant.bgEnd,
+      '--text': variant.text,
+      '--muted': mix(variant.text, variant.card, 0.3),
+      '--card-bg': variant.card,
+      '--border': mix(variant.card, variant.text, 0.2),
+      '--button-bg': variant.accent,
+      '--button-text': labelOn(variant.accent),
+      '--accent': variant.accent,
+      '--glow': `rgba(${hexToRgb(variant.accent).join(', ')}, 0.55)`,
+      '--badge-bg': variant.card
+    };
+    for (const [shade, amount] of Object.entries(SHADES)) {
+      const color = amount >= 0 ? mix(variant.accent, '#ffffff', amount) : mix(variant.accent, '#000000', -amount);
+      vars[`--accent-${shade}`] = hexToRgb(color).join(' ');
+    }
+    return vars;
+  }
+
+  function loadCustom() {
+    try {
+      const raw = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(raw) ? raw.map(normalize).filter(Boolean) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function saveCustom(list) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  }
+
+  function all() {
+    return [...BUILT_INS, ...loadCustom()];
+  }
+
+  function get(id) {
+    return all().find((p) => p.id === id) || null;
+  }
+
+  /** Create or update a custom palette; built-ins are saved as a copy. */
+  function save(p) {
+    const palette = normalize(p);
+    if (!palette) return null;
+    if (BUILT_INS.some((b) => b.id === palette.id)) palette.id = newId();
+    const custom = loadCustom();
+    const i = custom.findIndex((c) => c.id === palette.id);
+    if (i >= 0) custom[i] = palette;
+    else custom.push(palette);
+    saveCustom(custom);
+    return palette;
+  }
+
+  function remove(id) {
+    const custom = loadCustom();
+    const next = custom.filter((c) => c.id !== id);
+    saveCustom(next);
+    return next.length !== custom.length;
+  }
+
+  function exportJSON() {
+    return JSON.stringify({ app: 'todo-palettes', version: 1, palettes: loadCustom() }, null, 2);
+  }
+
+  /**
+   * Merge palettes from exported JSON (a bare array or palette also works).
+   * Returns { imported, errors }; never throws.
+   */
+  function importJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return { imported: [], errors: [`Not valid JSON: ${e.message}`] };
+    }
+    const items = Array.isArray(data) ? data : data && Array.isArray(data.palettes) ? data.palettes : [data];
+    const imported = [];
+    const errors = [];
+    items.forEach((item, i) => {
+      const palette = save(item);
+      if (palette) imported.push(palette);
+      else errors.push(`Palette ${i + 1}: needs a name plus day and night colors`);
+    });
+    return { imported, errors };
+  }
+
+  return {
+    DEFAULT_ID,
+    TOKENS,
+    AA,
+    BUILT_INS,
+    mix,
+    contrastRatio,
+    checkContrast,
+    normalize,
+    variables,
+    all,
+    get,
+    save,
+    remove,
+    exportJSON,
+    importJSON
+  };
+})();
+
 const Theme = (function () {
-  let mode = localStorage.getItem('themeMode') || 'auto';
-  let sunTimes = null;
+  // schedule.type: 'sun' (sunrise → sunset), 'offset' (sunrise/sunset ± minutes), 'fixed' (clock times)
+  const DEFAULT_SCHEDULE = { type: 'sun', sunriseOffset: 0, sunsetOffset: 0, dayStart: '06:00', nightStart: '18:00' };
+
+  const MODES = ['auto', 'day', 'night', 'system'];
+  const DARK_QUERY = '(prefers-color-scheme: dark)';
+  const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+  let mode = MODES.includes(localStorage.getItem('themeMode')) ? localStorage.getItem('themeMode') : 'auto';
+  let manualLocation = normalizeLocation(readJSON('themeLocation'));
+  let schedule = normalizeSchedule(readJSON('themeSchedule'));
+  let coords = manualLocation; // manual location, or the device position once geolocation answers
+  let paletteId = Palettes.get(localStorage.getItem('themePalette')) ? localStorage.getItem('themePalette') : Palettes.DEFAULT_ID;
   let nextTimer = null;
+  const panelClosers = new Map(); // header panels → their close()
 
-  function isNight(date = new Date()) {
-    if (sunTimes && sunTimes.sunrise && sunTimes.sunset) {
-      const now = date.getTime();
-      return now < sunTimes.sunrise.getTime() || now >= sunTimes.sunset.getTime();
+  function readJSON(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch {
+      return null;
+    }
+  }
+
+  function normalizeLocation(loc) {
+    if (!loc || typeof loc !== 'object') return null;
+    const lat = Number(loc.lat);
+    const lng = Number(loc.lng);
+    if (loc.lat === '' || loc.lng === '' || !Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng, name: typeof loc.name === 'string' ? loc.name : '' };
+  }
+
+  function normalizeSchedule(s) {
+    const out = { ...DEFAULT_SCHEDULE };
+    if (!s || typeof s !== 'object') return out;
+    if (['sun', 'offset', 'fixed'].includes(s.type)) out.type = s.type;
+    for (const key of ['sunriseOffset', 'sunsetOffset']) {
+      const n = Math.round(Number(s[key]));
+      if (Number.isFinite(n) && Math.abs(n) <= 720) out[key] = n;
     }
-    // Default 06:00 → 18:00
+    for (const key of ['dayStart', 'nightStart']) {
+      if (/^([01]\d|2[0-3]):[0-5]\d$/.test(s[key])) out[key] = s[key];
+    }
+    return out;
+  }
+
+  function atClock(date, hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
     const d = new Date(date);
-    const sunrise = new Date(d); sunrise.setHours(6, 0, 0, 0);
-    const sunset = new Date(d); sunset.setHours(18, 0, 0, 0);
-    const now = d.getTime();
-    return now < sunrise.getTime() || now >= sunset.getTime();
+    d.setHours(h, m, 0, 0);
+    return d;
+  }
+
+  /**
+   * Day window { start, end } for the calendar day of `date` under the current schedule.
+   * Falls back to the fixed 06:00–18:00 defaults when sun times are unavailable
+   * (no location yet, or polar day/night where sunrise is undefined).
+   */
+  function dayWindow(date = new Date()) {
+    if (schedule.type !== 'fixed' && coords) {
+      const { sunrise, sunset } = computeSunTimes(coords.lat, coords.lng, date);
+      if (!isNaN(sunrise) && !isNaN(sunset)) {
+        const offset = schedule.type === 'offset';
+        return {
+          start: new Date(sunrise.getTime() + (offset ? schedule.sunriseOffset : 0) * 60_000),
+          end: new Date(sunset.getTime() + (offset ? schedule.sunsetOffset : 0) * 60_000)
+        };
+      }
+    }
+    const clock = schedule.type === 'fixed' ? schedule : DEFAULT_SCHEDULE;
+    return { start: atClock(date, clock.dayStart), end: atClock(date, clock.nightStart) };
+  }
+
+  // Evaluated on demand so a changed OS setting is always read fresh
+  function matchesMedia(query) {
+    return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+  }
+
+  function systemPrefersDark() {
+    return matchesMedia(DARK_QUERY);
+  }
+
+  function prefersReducedMotion() {
+    return matchesMedia(REDUCED_MOTION_QUERY);
+  }
+
+  // MediaQueryList#addEventListener is missing in older Safari; fall back to addListener
+  function onMediaChange(query, handler) {
+    if (typeof window.matchMedia !== 'function') return;
+    const mql = window.matchMedia(query);
+    if (mql.addEventListener) mql.addEventListener('change', handler);
+    else if (mql.addListener) mql.addListener(handler);
+  }
+
+  function isNight(date = new Date()) {
+    const now = date.getTime();
+    // Neighbouring days matter too: a fixed schedule may wrap midnight (e.g. day 20:00 → 04:00
+    // for night shifts), and a manual location far from the device's timezone shifts its sun times
+    for (let offset = -1; offset <= 1; offset++) {
+      const d = new Date(date);
+      d.setDate(d.getDate() + offset);
+      const { start, end } = dayWindow(d);
+      const until = end > start ? end.getTime() : end.getTime() + 24 * 60 * 60 * 1000;
+      if (now >= start.getTime() && now < until) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Twilight boundaries (ms) for the calendar day of `date`, shifted by the schedule offsets.
+   * Null when the schedule is fixed, there is no location, or the sun doesn't rise/set.
+   * Dawn runs from nautical dawn to sunrise; golden hour from the sun at 6° to sunset;
+   * dusk from sunset to nautical dusk.
+   */
+  function phaseBounds(date) {
+    if (schedule.type === 'fixed' || !coords) return null;
+    const sun = computeSunTimes(coords.lat, coords.lng, date);
+    if (isNaN(sun.sunrise) || isNaN(sun.sunset)) return null;
+    const morning = (schedule.type === 'offset' ? schedule.sunriseOffset : 0) * 60_000;
+    const evening = (schedule.type === 'offset' ? schedule.sunsetOffset : 0) * 60_000;
+    const sunrise = sun.sunrise.getTime();
+    const sunset = sun.sunset.getTime();
+    // Midsummer at high latitudes never gets nautically dark: fall back to civil twilight, then none
+    const firstValid = (fallback, ...dates) => {
+      const hit = dates.find((d) => !isNaN(d));
+      return hit ? hit.getTime() : fallback;
+    };
+    const dawnStart = firstValid(sunrise, sun.nauticalDawn, sun.civilDawn);
+    const duskEnd = firstValid(sunset, sun.nauticalDusk, sun.civilDusk);
+    const golden = firstValid(sunset, sun.goldenHour);
+    return {
+      dawn: dawnStart + morning,
+      sunrise: sunrise + morning,
+      goldenHour: Math.min(golden, sunset) + evening,
+      sunset: sunset + evening,
+      dusk: duskEnd + evening
+    };
+  }
+
+  /**
+   * Theme phase at `date`: 'night' | 'dawn' | 'day' | 'golden-hour' | 'dusk'.
+   * Transitional phases carry `progress` (0 → 1) plus their start/end.
+   */
+  function phaseAt(date = new Date()) {
+    const now = date.getTime();
+    // Yesterday's dusk can run past midnight; tomorrow matters for locations far from the device timezone
+    for (const offset of [0, -1, 1]) {
+      const d = new Date(date);
+      d.setDate(d.getDate() + offset);
+      const b = phaseBounds(d);
+      if (!b) continue;
+      const spans = [['dawn', b.dawn, b.sunrise], ['golden-hour', b.goldenHour, b.sunset], ['dusk', b.sunset, b.dusk]];
+      for (const [phase, start, end] of spans) {
+        if (now >= start && now < end) {
+          return { phase, progress: (now - start) / (end - start), start: new Date(start), end: new Date(end) };
+        }
+      }
+    }
+    return { phase: isNight(date) ? 'night' : 'day', progress: 0 };
+  }
+
+  // Gradient stops blended through the transitional phases (day/night mirror styles.css).
+  // Dawn and dusk stay dark enough for the night text colors; the light/dark flip happens at sunrise/sunset.
+  const PHASE_GRADIENTS = {
+    day: ['#eafff6', '#ffffff'],
+    golden: ['#ffd9a8', '#fff4e3'],
+    twilight: ['#3b3670', '#7a4f72'],
+    night: ['#0b1a3a', '#1b2856']
+  };
+  const PHASE_BLENDS = {
+    dawn: ['night', 'twilight'],
+    'golden-hour': ['day', 'golden'],
+    dusk: ['twilight', 'night']
+  };
+
+  // Every variable a palette can set inline (names don't depend on the colors)
+  const PALETTE_VARS = Object.keys(Palettes.variables(Palettes.BUILT_INS[0].day));
+
+  function activePalette() {
+    return Palettes.get(paletteId) || Palettes.BUILT_INS[0];
+  }
+
+  /**
+   * Reflect the phase on <html data-theme-phase> and paint the palette, blending the
+   * gradient while transitioning. `palette` overrides the active one for editor previews.
+   */
+  function applyPhase(night, palette = activePalette()) {
+    const current = mode === 'auto' ? phaseAt() : { phase: night ? 'night' : 'day', progress: 0 };
+    // Outside a transition the phase follows the applied class (it may come from a cached guess)
+    const phase = PHASE_BLENDS[current.phase] ? current.phase : night ? 'night' : 'day';
+    document.documentElement.setAttribute('data-theme-phase', phase);
+
+    // The default palette is styles.css itself; the others are applied as inline variables
+    const vars = palette.id === Palettes.DEFAULT_ID ? {} : Palettes.variables(palette[night ? 'night' : 'day']);
+    if (palette.blend && PHASE_BLENDS[phase]) {
+      const stops = {
+        ...PHASE_GRADIENTS,
+        day: [palette.day.bgStart, palette.day.bgEnd],
+        night: [palette.night.bgStart, palette.night.bgEnd]
+      };
+      const [from, to] = PHASE_BLENDS[phase].map((name) => stops[name]);
+      vars['--bg-start'] = Palettes.mix(from[0], to[0], current.progress);
+      vars['--bg-end'] = Palettes.mix(from[1], to[1], current.progress);
+    }
+    // Body redeclares the variables per theme class, so inline styles go on both
+    [document.documentElement, document.body].filter(Boolean).forEach((node) => {
+      for (const name of PALETTE_VARS) {
+        if (vars[name]) node.style.setProperty(name, vars[name]);
+        else node.style.removeProperty(name);
+      }
+    });
+    return phase;
+  }
+
+  function setPalette(id) {
+    const palette = Palettes.get(id);
+    if (!palette) return false;
+    paletteId = palette.id;
+    localStorage.setItem('themePalette', paletteId);
+    // Resolved variables for the early-init script in index.html
+    if (paletteId === Palettes.DEFAULT_ID) {
+      localStorage.removeItem('themePaletteVars');
+    } else {
+      localStorage.setItem('themePaletteVars', JSON.stringify({
+        day: Palettes.variables(palette.day),
+        night: Palettes.variables(palette.night)
+      }));
+    }
+    applyPhase(document.documentElement.classList.contains('theme-night'));
+    return true;
   }
 
   // In Theme module: applyTheme()
@@ -113,6 +640,7 @@ const Theme = (function () {
   
       triggerIconAnimation(night ? 'moon' : 'sun');
       updateBadgesVisibility(night);
+      applyPhase(night);
   }
 
   function triggerIconAnimation(which) {
@@ -120,6 +648,7 @@ const Theme = (function () {
     const cls = which === 'sun' ? 'animate-sun-rise' : 'animate-moon-rise';
     if (!el) return;
     el.classList.remove(cls);
+    if (prefersReducedMotion()) return;
     void el.offsetWidth;
     el.classList.add(cls);
     setTimeout(() => el.classList.remove(cls), 700);
@@ -139,72 +668,101 @@ const Theme = (function () {
     }
     const next = nextSwitchTime();
     if (!next) return;
-    const delay = Math.max(0, next.getTime() - Date.now());
+    // While blending, repaint every minute so the gradient drifts instead of jumping
+    const blending = !!PHASE_BLENDS[phaseAt().phase];
+    const delay = Math.max(0, Math.min(next.getTime() - Date.now(), blending ? 60_000 : Infinity));
     nextTimer = setTimeout(() => {
       if (mode === 'auto') {
-        applyTheme(isNight());
+        const night = isNight();
+        // Only re-run the icon animation when day/night actually flips
+        if (night !== document.documentElement.classList.contains('theme-night')) applyTheme(night);
+        else applyPhase(night);
         scheduleNextSwitch();
       }
     }, delay);
   }
 
-  function nextSwitchTime() {
-    const now = new Date();
-    if (!sunTimes) return null;
-    const { sunrise, sunset } = sunTimes;
-    const nowMs = now.getTime();
-    const sunriseMs = sunrise.getTime();
-    const sunsetMs = sunset.getTime();
-    const currentlyNight = nowMs < sunriseMs || nowMs >= sunsetMs;
-    if (currentlyNight) {
-      if (nowMs < sunriseMs) return sunrise;
-      const t = new Date(sunrise);
-      t.setDate(t.getDate() + 1);
-      return t;
-    } else {
-      return sunset;
+  // Next phase boundary: day/night switch, or the start/end of dawn, golden hour or dusk
+  function nextSwitchTime(now = new Date()) {
+    // Boundaries of yesterday/today/tomorrow cover windows that wrap midnight
+    const boundaries = [];
+    for (let offset = -1; offset <= 1; offset++) {
+      const d = new Date(now);
+      d.setDate(d.getDate() + offset);
+      const { start, end } = dayWindow(d);
+      boundaries.push(start, end);
+      const b = phaseBounds(d);
+      if (b) boundaries.push(...Object.values(b).map((t) => new Date(t)));
+    }
+    const upcoming = boundaries.filter((t) => t > now).sort((a, b) => a - b);
+    return upcoming[0] || null;
+  }
+
+  // Cache today's window so the early-init script in index.html can pick the right theme before first paint
+  function cacheDayWindow() {
+    const { start, end } = dayWindow();
+    try {
+      localStorage.setItem('themeDayWindow', JSON.stringify({
+        date: toDateInputValue(new Date()),
+        start: start.getTime(),
+        end: end.getTime()
+      }));
+    } catch {
+      /* storage full or unavailable: early-init falls back to themeLast */
     }
   }
 
   function setMode(newMode) {
+    if (!MODES.includes(newMode)) return;
     mode = newMode;
     localStorage.setItem('themeMode', mode);
     document.documentElement.setAttribute('data-theme-mode', mode);
+    updateModeButtons();
     if (mode === 'day') {
       applyTheme(false);
     } else if (mode === 'night') {
       applyTheme(true);
+    } else if (mode === 'system') {
+      applyTheme(systemPrefersDark());
     } else {
       recalcTheme();
     }
   }
 
+  function updateModeButtons() {
+    const autoBtn = document.getElementById('autoMode');
+    const systemBtn = document.getElementById('systemMode');
+    if (autoBtn) autoBtn.setAttribute('aria-pressed', String(mode === 'auto'));
+    if (systemBtn) systemBtn.setAttribute('aria-pressed', String(mode === 'system'));
+  }
+
   const recalcTheme = debounce(function () {
     if (mode !== 'auto') return;
     const nowNight = isNight();
     applyTheme(nowNight);
+    cacheDayWindow();
     scheduleNextSwitch();
   }, 200);
 
   function initLocationAndTimes() {
     return new Promise((resolve) => {
-      if (!('geolocation' in navigator)) {
-        sunTimes = null;
+      // A manual location wins; a fixed schedule doesn't need one at all
+      if (manualLocation) {
+        coords = manualLocation;
+        return resolve(true);
+      }
+      if (schedule.type === 'fixed' || !('geolocation' in navigator)) {
+        coords = null;
         return resolve(false);
       }
       navigator.geolocation.getCurrentPosition(
         (pos) => {
           const { latitude, longitude } = pos.coords;
-          try {
-            sunTimes = computeSunTimes(latitude, longitude, new Date());
-            resolve(true);
-          } catch {
-            sunTimes = null;
-            resolve(false);
-          }
+          coords = manualLocation || { lat: latitude, lng: longitude, name: '' };
+          resolve(true);
         },
         () => {
-          sunTimes = null;
+          coords = manualLocation;
           resolve(false);
         },
         { enableHighAccuracy: false, timeout: 5000, maximumAge: 60_000 }
@@ -212,6 +770,377 @@ const Theme = (function () {
     });
   }
 
+  // Pass null to go back to device geolocation
+  function setLocation(loc) {
+    manualLocation = normalizeLocation(loc);
+    if (manualLocation) localStorage.setItem('themeLocation', JSON.stringify(manualLocation));
+    else localStorage.removeItem('themeLocation');
+    coords = manualLocation;
+    if (manualLocation || mode !== 'auto') {
+      recalcTheme();
+    } else {
+      initLocationAndTimes().then(recalcTheme);
+    }
+    return manualLocation;
+  }
+
+  function setSchedule(next) {
+    const needsGeolocation = schedule.type === 'fixed' && next && next.type !== 'fixed' && !coords;
+    schedule = normalizeSchedule(next);
+    localStorage.setItem('themeSchedule', JSON.stringify(schedule));
+    if (needsGeolocation && mode === 'auto') {
+      initLocationAndTimes().then(recalcTheme);
+    } else {
+      recalcTheme();
+    }
+    return { ...schedule };
+  }
+
+  function formatClock(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  }
+
+  function describeDayWindow() {
+    const { start, end } = dayWindow();
+    const source = schedule.type === 'fixed'
+      ? 'fixed times'
+      : coords ? (coords.name || `${coords.lat.toFixed(2)}, ${coords.lng.toFixed(2)}`) : 'default times (no location)';
+    return `Today: day ${formatClock(start)} → night ${formatClock(end)} (${source})`;
+  }
+
+  // Only one header panel is open at a time
+  function closeOtherPanels(except) {
+    panelClosers.forEach((close, panel) => {
+      if (panel !== except && !panel.hidden) close();
+    });
+  }
+
+  // Palette editor, opened from the 🎨 button in the header
+  function buildPaletteEditor(button) {
+    const LABELS = { bgStart: 'Gradient start', bgEnd: 'Gradient end', text: 'Text', card: 'Cards', accent: 'Accent' };
+    const variantFields = (variant) => Palettes.TOKENS.map((token) =>
+      `<label>${LABELS[token]} <input type="color" name="${variant}-${token}" /></label>`).join('');
+
+    const panel = document.createElement('form');
+    panel.id = 'themePalettePanel';
+    panel.className = 'theme-settings palette-editor';
+    panel.hidden = true;
+    panel.setAttribute('aria-label', 'Color palette');
+    panel.innerHTML = `
+      <h2 class="theme-settings-title">Palette</h2>
+      <label>Palette <select name="palette"></select></label>
+      <label>Name <input name="name" maxlength="60" required /></label>
+      <div class="theme-settings-row">
+        <fieldset>
+          <legend>Day</legend>
+          ${variantFields('day')}
+          <ul class="palette-contrast" data-variant="day" aria-live="polite"></ul>
+        </fieldset>
+        <fieldset>
+          <legend>Night</legend>
+          ${variantFields('night')}
+          <ul class="palette-contrast" data-variant="night" aria-live="polite"></ul>
+        </fieldset>
+      </div>
+      <label class="palette-inline"><input type="checkbox" name="blend" /> Blend colors at dawn, golden hour and dusk</label>
+      <div class="theme-settings-actions">
+        <button type="submit">Save</button>
+        <button type="button" data-action="delete">Delete</button>
+        <button type="button" data-action="export">Export</button>
+        <button type="button" data-action="import">Import…</button>
+        <button type="button" data-action="cancel">Close</button>
+      </div>
+      <input type="file" name="importFile" accept=".json,application/json" hidden />`;
+
+    const f = panel.elements;
+    const night = () => document.documentElement.classList.contains('theme-night');
+
+    function draft() {
+      const read = (variant) => Object.fromEntries(Palettes.TOKENS.map((t) => [t, f[`${variant}-${t}`].value]));
+      return { id: f.palette.value, name: f.name.value, blend: f.blend.checked, day: read('day'), night: read('night') };
+    }
+
+    function renderContrast() {
+      const current = draft();
+      panel.querySelectorAll('.palette-contrast').forEach((ul) => {
+        ul.replaceChildren(...Palettes.checkContrast(current[ul.dataset.variant]).map(({ label, ratio, ok }) => {
+          const li = document.createElement('li');
+          li.className = ok ? 'contrast-ok' : 'contrast-fail';
+          li.textContent = `${label}: ${ratio.toFixed(1)}:1 ${ok ? '✓' : '⚠ below AA'}`;
+          return li;
+        }));
+      });
+    }
+
+    function fill(id) {
+      const palettes = Palettes.all();
+      f.palette.replaceChildren(...palettes.map((p) => {
+        const opt = document.createElement('option');
+        opt.value = p.id;
+        opt.textContent = p.builtIn ? p.name : `${p.name} (custom)`;
+        return opt;
+      }));
+      const palette = palettes.find((p) => p.id === id) || activePalette();
+      f.palette.value = palette.id;
+      f.name.value = palette.name;
+      f.blend.checked = palette.blend;
+      for (const variant of ['day', 'night']) {
+        for (const token of Palettes.TOKENS) f[`${variant}-${token}`].value = palette[variant][token];
+      }
+      panel.querySelector('[data-action="delete"]').disabled = !!palette.builtIn;
+      f.name.readOnly = false;
+      renderContrast();
+    }
+
+    function open() {
+      closeOtherPanels(panel);
+      fill(paletteId);
+      panel.hidden = false;
+      button.setAttribute('aria-expanded', 'true');
+      f.palette.focus();
+    }
+
+    // Closing drops any unsaved preview
+    function close() {
+      panel.hidden = true;
+      button.setAttribute('aria-expanded', 'false');
+      applyPhase(night());
+    }
+    panelClosers.set(panel, close);
+
+    f.palette.addEventListener('change', () => {
+      setPalette(f.palette.value);
+      fill(f.palette.value);
+    });
+    panel.addEventListener('input', (e) => {
+      if (e.target.type !== 'color' && e.target.name !== 'blend') return;
+      renderContrast();
+      const preview = Palettes.normalize({ ...draft(), name: 'preview' });
+      // The default palette lives in styles.css; previewing edits needs the inline variables
+      applyPhase(night(), { ...preview, id: 'preview' });
+    });
+
+    panel.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const current = draft();
+      const failing = ['day', 'night'].some((v) => Palettes.checkContrast(current[v]).some((c) => !c.ok));
+      if (failing && !confirm(`Some colors fall below the WCAG AA contrast ratio (${Palettes.AA}:1). Save anyway?`)) return;
+      const source = Palettes.get(current.id);
+      // Built-ins are read-only: saving edits creates a custom copy
+      if (source && source.builtIn && current.name.trim() === source.name) current.name = `${source.name} (copy)`;
+      const saved = Palettes.save(current);
+      if (!saved) {
+        alert('Give the palette a name.');
+        f.name.focus();
+        return;
+      }
+      setPalette(saved.id);
+      fill(saved.id);
+    });
+
+    panel.querySelector('[data-action="delete"]').addEventListener('click', () => {
+      const palette = Palettes.get(f.palette.value);
+      if (!palette || palette.builtIn) return;
+      if (!confirm(`Delete the "${palette.name}" palette?`)) return;
+      Palettes.remove(palette.id);
+      if (paletteId === palette.id) setPalette(Palettes.DEFAULT_ID);
+      fill(paletteId);
+    });
+
+    panel.querySelector('[data-action="export"]').addEventListener('click', () => {
+      if (!Palettes.all().some((p) => !p.builtIn)) {
+        alert('There are no custom palettes to export yet.');
+        return;
+      }
+      downloadFile('todo-palettes.json', 'application/json', Palettes.exportJSON());
+    });
+
+    panel.querySelector('[data-action="import"]').addEventListener('click', () => f.importFile.click());
+    f.importFile.addEventListener('change', async () => {
+      const file = f.importFile.files[0];
+      if (!file) return;
+      let text;
+      try {
+        text = await file.text();
+      } catch (err) {
+        showToast(`Couldn't read "${file.name}": ${(err && err.message) || err}`);
+        return;
+      } finally {
+        f.importFile.value = '';
+      }
+      const { imported, errors } = Palettes.importJSON(text);
+      const lines = [`Imported ${imported.length} palette${imported.length === 1 ? '' : 's'}.`, ...errors];
+      alert(lines.join('\n'));
+      if (imported.length) {
+        setPalette(imported[0].id);
+        fill(imported[0].id);
+      }
+    });
+
+    panel.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+      close();
+      button.focus();
+    });
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        close();
+        button.focus();
+      }
+    });
+    button.addEventListener('click', () => (panel.hidden ? open() : close()));
+
+    return panel;
+  }
+
+  // Settings panel for location + schedule, opened from the ⚙ button in the header
+  function buildSettingsPanel(button) {
+    const panel = document.createElement('form');
+    panel.id = 'themeSettingsPanel';
+    panel.className = 'theme-settings';
+    panel.hidden = true;
+    panel.setAttribute('aria-label', 'Auto theme settings');
+    panel.innerHTML = `
+      <h2 class="theme-settings-title">Auto theme</h2>
+      <fieldset>
+        <legend>Location</legend>
+        <label>Source
+          <select name="source">
+            <option value="device">Device location</option>
+            <option value="manual">Manual coordinates</option>
+            <optgroup label="Cities"></optgroup>
+          </select>
+        </label>
+        <div class="theme-settings-row">
+          <label>Latitude <input name="lat" type="number" step="any" min="-90" max="90" inputmode="decimal" /></label>
+          <label>Longitude <input name="lng" type="number" step="any" min="-180" max="180" inputmode="decimal" /></label>
+        </div>
+      </fieldset>
+      <fieldset>
+        <legend>Schedule</legend>
+        <label>Day/night switch
+          <select name="type">
+            <option value="sun">At sunrise and sunset</option>
+            <option value="offset">Offset from sunrise and sunset</option>
+            <option value="fixed">Fixed times</option>
+          </select>
+        </label>
+        <div class="theme-settings-row" data-for="offset">
+          <label>Sunrise ± min <input name="sunriseOffset" type="number" step="5" min="-720" max="720" /></label>
+          <label>Sunset ± min <input name="sunsetOffset" type="number" step="5" min="-720" max="720" /></label>
+        </div>
+        <div class="theme-settings-row" data-for="fixed">
+          <label>Day starts <input name="dayStart" type="time" /></label>
+          <label>Night starts <input name="nightStart" type="time" /></label>
+        </div>
+      </fieldset>
+      <p class="theme-settings-status" aria-live="polite"></p>
+      <div class="theme-settings-actions">
+        <button type="submit">Save</button>
+        <button type="button" data-action="cancel">Cancel</button>
+      </div>`;
+
+    const f = panel.elements;
+    const cities = panel.querySelector('optgroup');
+    THEME_CITIES.forEach((city, i) => {
+      const opt = document.createElement('option');
+      opt.value = `city:${i}`;
+      opt.textContent = city.name;
+      cities.appendChild(opt);
+    });
+    const status = panel.querySelector('.theme-settings-status');
+
+    function syncVisibility() {
+      const manual = f.source.value !== 'device';
+      f.lat.disabled = !manual;
+      f.lng.disabled = !manual;
+      panel.querySelectorAll('[data-for]').forEach((row) => {
+        row.hidden = row.dataset.for !== f.type.value;
+      });
+    }
+
+    function fill() {
+      const cityIndex = manualLocation ? THEME_CITIES.findIndex((c) => c.name === manualLocation.name && c.lat === manualLocation.lat && c.lng === manualLocation.lng) : -1;
+      f.source.value = !manualLocation ? 'device' : cityIndex >= 0 ? `city:${cityIndex}` : 'manual';
+      f.lat.value = manualLocation ? manualLocation.lat : '';
+      f.lng.value = manualLocation ? manualLocation.lng : '';
+      f.type.value = schedule.type;
+      f.sunriseOffset.value = schedule.sunriseOffset;
+      f.sunsetOffset.value = schedule.sunsetOffset;
+      f.dayStart.value = schedule.dayStart;
+      f.nightStart.value = schedule.nightStart;
+      status.textContent = describeDayWindow();
+      syncVisibility();
+    }
+
+    function open() {
+      closeOtherPanels(panel);
+      fill();
+      panel.hidden = false;
+      button.setAttribute('aria-expanded', 'true');
+      f.source.focus();
+    }
+
+    function close() {
+      panel.hidden = true;
+      button.setAttribute('aria-expanded', 'false');
+    }
+    panelClosers.set(panel, close);
+
+    f.source.addEventListener('change', () => {
+      const m = /^city:(\d+)$/.exec(f.source.value);
+      if (m) {
+        const city = THEME_CITIES[Number(m[1])];
+        f.lat.value = city.lat;
+        f.lng.value = city.lng;
+      }
+      syncVisibility();
+    });
+    // Editing a city's coordinates turns it into a manual location
+    [f.lat, f.lng].forEach((input) => input.addEventListener('input', () => {
+      if (f.source.value.startsWith('city:')) f.source.value = 'manual';
+    }));
+    f.type.addEventListener('change', syncVisibility);
+
+    panel.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (f.source.value !== 'device') {
+        const m = /^city:(\d+)$/.exec(f.source.value);
+        const name = m ? THEME_CITIES[Number(m[1])].name : '';
+        if (!setLocation({ lat: f.lat.value, lng: f.lng.value, name })) {
+          alert('Enter a latitude between -90 and 90 and a longitude between -180 and 180.');
+          f.lat.focus();
+          return;
+        }
+      } else {
+        setLocation(null);
+      }
+      setSchedule({
+        type: f.type.value,
+        sunriseOffset: f.sunriseOffset.value,
+        sunsetOffset: f.sunsetOffset.value,
+        dayStart: f.dayStart.value,
+        nightStart: f.nightStart.value
+      });
+      close();
+      button.focus();
+    });
+    panel.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+      close();
+      button.focus();
+    });
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        close();
+        button.focus();
+      }
+    });
+    button.addEventListener('click', () => (panel.hidden ? open() : close()));
+
+    return panel;
+  }
+
   async function init() {
     document.documentElement.setAttribute('data-theme-mode', mode);
 
@@ -227,7 +1156,7 @@ const Theme = (function () {
     const toggle = document.getElementById('themeToggle');
     if (toggle) {
       toggle.addEventListener('click', () => {
-        if (mode === 'auto') {
+        if (mode === 'auto' || mode === 'system') {
           const night = document.documentElement.classList.contains('theme-night');
           setMode(night ? 'day' : 'night');
         } else {
@@ -247,11 +1176,32 @@ const Theme = (function () {
       autoBtn.addEventListener('click', () => setMode('auto'));
     }
 
+    const systemBtn = document.getElementById('systemMode');
+    if (systemBtn) {
+      systemBtn.addEventListener('click', () => setMode('system'));
+    }
+    updateModeButtons();
+
+    // Follow OS dark-mode changes live while in system mode
+    onMediaChange(DARK_QUERY, (e) => {
+      if (mode === 'system') applyTheme(e.matches);
+    });
+
+    const settingsBtn = document.getElementById('themeSettings');
+    if (settingsBtn) {
+      settingsBtn.insertAdjacentElement('afterend', buildSettingsPanel(settingsBtn));
+    }
+
+    const paletteBtn = document.getElementById('themePaletteBtn');
+    if (paletteBtn) {
+      paletteBtn.insertAdjacentElement('afterend', buildPaletteEditor(paletteBtn));
+    }
+
     // Parallax drift on scroll (2–4px)
     const container = document.getElementById('todoContainer') || document.body;
     let raf = null;
     function onScroll() {
-      if (raf) return;
+      if (raf || prefersReducedMotion()) return;
       raf = requestAnimationFrame(() => {
         raf = null;
         const y = container.scrollTop || window.scrollY || 0;
@@ -263,15 +1213,28 @@ const Theme = (function () {
       });
     }
     container.addEventListener('scroll', onScroll, { passive: true });
+    onMediaChange(REDUCED_MOTION_QUERY, (e) => {
+      if (!e.matches) return;
+      // Drop any drift already applied
+      const sun = document.getElementById('sunBadge');
+      const moon = document.getElementById('moonBadge');
+      if (sun) sun.style.transform = '';
+      if (moon) moon.style.transform = '';
+    });
 
     // Immediate render: default Day; geolocation updates async
     if (mode === 'auto') {
-      applyTheme(false); // render Day by default
+      // Resolve now when no geolocation is needed; otherwise keep what the early-init script
+      // picked from the cached day window (Day when there is none) until the position arrives
+      const cachedNight = document.documentElement.classList.contains('theme-night') && !!readJSON('themeDayWindow');
+      applyTheme(manualLocation || schedule.type === 'fixed' ? isNight() : cachedNight);
       // Async geolocation & sun times (won't block initial paint)
       setTimeout(async () => {
         await initLocationAndTimes();
         recalcTheme();
       }, 0);
+    } else if (mode === 'system') {
+      applyTheme(systemPrefersDark());
     } else {
       applyTheme(mode === 'night');
     }
@@ -284,8 +1247,20 @@ const Theme = (function () {
 
   return {
     get mode() { return mode; },
+    get location() { return manualLocation && { ...manualLocation }; },
+    get schedule() { return { ...schedule }; },
+    get systemPrefersDark() { return systemPrefersDark(); },
+    get prefersReducedMotion() { return prefersReducedMotion(); },
+    get phase() { return document.documentElement.getAttribute('data-theme-phase') || phaseAt().phase; },
+    get palette() { return paletteId; },
+    get palettes() { return Palettes.all(); },
     setMode,
+    setPalette,
+    setLocation,
+    setSchedule,
     isNight,
+    dayWindow,
+    phaseAt,
     nextSwitchTime,
     _init: init
   };
@@ -300,12 +1275,42 @@ document.addEventListener('DOMContentLoaded', () => {
 window.Theme = {
   get mode() { return Theme.mode; },
   setMode: Theme.setMode,
+  get location() { return Theme.location; },
+  get schedule() { return Theme.schedule; },
+  get systemPrefersDark() { return Theme.systemPrefersDark; },
+  get prefersReducedMotion() { return Theme.prefersReducedMotion; },
+  setLocation: Theme.setLocation,
+  setSchedule: Theme.setSchedule,
   isNight: Theme.isNight,
+  get phase() { return Theme.phase; },
+  get palette() { return Theme.palette; },
+  get palettes() { return Theme.palettes; },
+  setPalette: Theme.setPalette,
+  dayWindow: Theme.dayWindow,
+  phaseAt: Theme.phaseAt,
   nextSwitchTime: Theme.nextSwitchTime
 };
 
-const STATE_KEY = "todo_state_v1"; // new schema
+const STATE_KEY = "todo_state_v1"; // storage key; the schema version lives inside the payload
 const OLD_TASKS_KEY = "todo_tasks_v1"; // migration from old schema
+const BACKUP_KEY_PREFIX = "todo_state_backup_"; // quarantined payloads that failed to load
+const SCHEMA_VERSION = 4;
+const TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000; // how long deleted task ids are remembered for merging
+const DEFAULT_TRASH_DAYS = 30; // deleted tasks stay in the Trash this long (state.trashDays)
+const MAX_TRASH_DAYS = 365;
+
+const PRIORITIES = ["low", "medium", "high"];
+const FILTERS = ["all", "active", "completed", "archived", "trash"]; // the last two are views of their own
+const SORTS = ["created", "due", "priority", "text", "manual"];
+const LAYOUTS = ["list", "board", "calendar"];
+const BOARD_GROUPS = ["status", "priority", "tag"]; // what the board's columns are (see Board)
+const CALENDAR_MODES = ["month", "week"];
+const ALL_LISTS = "all"; // activeListId for the aggregate view
+const DEFAULT_LIST = { id: "default", name: "My Tasks", color: "#10b981", icon: "📋" };
+const LIST_ICONS = ["📋", "💼", "🏠", "🛒", "🎯", "📚", "💡", "❤️", "✈️", "🎉"];
+
+// Set by loadState() when saved data had to be repaired or quarantined
+let stateRecovery = null;
 
 // Helper: create element with classes/attrs/text
 function el(tag, { classes = "", attrs = {}, text = "" } = {}) {
@@ -316,96 +1321,2940 @@ function el(tag, { classes = "", attrs = {}, text = "" } = {}) {
   return node;
 }
 
-function loadState() {
-  try {
-    const raw = localStorage.getItem(STATE_KEY);
-    if (raw) return JSON.parse(raw);
-    // Migrate from old tasks-only key
-    const old = localStorage.getItem(OLD_TASKS_KEY);
-    if (old) {
-      const tasks = JSON.parse(old);
-      return {
-        tasks: tasks.map((t) => ({
-          id: t.id,
-          text: t.text,
-          completed: !!t.completed,
-          createdAt: Date.now(),
-          dueDate: "",
-          priority: "medium",
-          tags: [],
-        })),
-        filter: "all",
-        sort: "created",
-        confirmDelete: false,
-        darkMode: false,
-        search: "",
-        tagFilter: "",
-      };
-    }
-    return {
-      tasks: [],
-      filter: "all",
-      sort: "created", // created | due | priority | text
-      confirmDelete: false,
-      darkMode: false,
-      search: "",
-      tagFilter: "",
-    };
-  } catch {
-    return {
-      tasks: [],
-      filter: "all",
-      sort: "created",
-      confirmDelete: false,
-      darkMode: false,
-      search: "",
-      tagFilter: "",
-    };
-  }
+function newId() {
+  return (crypto && crypto.randomUUID) ? crypto.randomUUID() : String(Date.now() + Math.random());
 }
 
-function saveState(state) {
-  try {
-    localStorage.setItem(STATE_KEY, JSON.stringify(state));
-  } catch {
-    /* ignore quota errors */
-  }
+function isIsoDate(v) {
+  return typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(new Date(v).getTime());
 }
 
-// DOMContentLoaded UI builder: after mounting container
-document.addEventListener("DOMContentLoaded", () => {
-    const app = document.getElementById("app");
+function isTime(v) {
+  return typeof v === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+}
 
-    // استخدم حاوية موجودة فعلاً في الصفحة: #todoContainer أو .app-content أو body
-    const mount =
-      document.getElementById("todoContainer") ||
-      document.querySelector(".app-content") ||
-      document.body;
+// Local YYYY-MM-DD, as used by <input type="date">
+function toDateInputValue(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
 
-    // Container (card)
-    const container = el("div", {
-      classes:
-        "max-w-2xl mx-auto mt-12 p-6 bg-white/95 dark:bg-slate-900/60 backdrop-blur rounded-2xl shadow-lg border border-emerald-200 dark:border-emerald-700",
-      attrs: { id: "todoCard", role: "region", "aria-label": "To-Do list" }, // تغيير المعرّف لتجنّب التكرار
-    });
+// Local due moment in ms (start of day when no time is set); Infinity when undated
+function dueTimestamp(task) {
+  if (!task.dueDate) return Infinity;
+  const [y, m, d] = task.dueDate.split("-").map(Number);
+  const [h, min] = task.dueTime ? task.dueTime.split(":").map(Number) : [0, 0];
+  return new Date(y, m - 1, d, h, min).getTime();
+}
 
-    // Header with title (use global header theme controls from index.html to avoid duplicates)
-    const header = el("div", { classes: "flex items-center justify-between mb-4" });
-    const title = el("h1", {
-      classes: "text-2xl font-semibold text-emerald-700 dark:text-emerald-300",
+function defaultState() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    tasks: [],
+    lists: [makeList(DEFAULT_LIST)],
+    activeListId: DEFAULT_LIST.id,
+    filter: "all",
+    sort: "created", // created | due | priority | text | manual (stored order, drag to reorder)
+    layout: "list", // list | board | calendar
+    boardGroup: "status", // board columns: status | priority | tag
+    calendarMode: "month", // month | week
+    confirmDelete: false,
+    autoCompleteParent: false,
+    search: "",
+    tagFilter: "",
+    smartLists: [], // saved search queries: [{ id, name, query }]
+    savedViews: [], // named views shown as quick buttons: [{ id, name, view: { filter, sort, search, tagFilter, listId } }]
+    deleted: [], // tombstones of removed tasks, so other tabs don't bring them back: [{ id, deletedAt }]
+    trashDays: DEFAULT_TRASH_DAYS,
+  };
+}
+
+/**
+ * Ordered migration steps. MIGRATIONS[n] upgrades a payload from version n to n + 1.
+ * Append new steps when the schema changes; never edit a released one.
+ */
+const MIGRATIONS = {
+  // v1 → v2: the original unversioned payload; darkMode was never read (Theme owns it)
+  1: (s) => {
+    const { darkMode, ...rest } = s;
+    return rest;
+  },
+  // v2 → v3: named lists; the existing single list becomes the default one
+  2: (s) => ({
+    ...s,
+    lists: [makeList(DEFAULT_LIST)],
+    activeListId: DEFAULT_LIST.id,
+    tasks: Array.isArray(s.tasks) ? s.tasks.map((t) => (t && typeof t === "object" ? { ...t, listId: DEFAULT_LIST.id } : t)) : [],
+  }),
+  // v3 → v4: per-task modification times and deletion tombstones for cross-tab merging
+  3: (s) => ({
+    ...s,
+    deleted: [],
+    tasks: Array.isArray(s.tasks) ? s.tasks.map((t) => (t && typeof t === "object" ? { ...t, updatedAt: t.createdAt } : t)) : [],
+  }),
+};
+
+function makeList({ id, name, color = DEFAULT_LIST.color, icon = DEFAULT_LIST.icon, archived = false, createdAt = Date.now() } = {}) {
+  return { id: id || newId(), name, color, icon, archived, createdAt };
+}
+
+function normalizeList(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) return null;
+  return makeList({
+    id: raw.id != null && String(raw.id) ? String(raw.id) : null,
+    name,
+    color: /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color : DEFAULT_LIST.color,
+    icon: typeof raw.icon === "string" && raw.icon.trim() ? raw.icon.trim() : DEFAULT_LIST.icon,
+    archived: !!raw.archived,
+    createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : Date.now(),
+  });
+}
+
+function migrateState(raw) {
+  let s = raw;
+  let version = Number.isInteger(s.schemaVersion) ? s.schemaVersion : 1;
+  if (version > SCHEMA_VERSION) throw new Error(`Unsupported schema version ${version}`);
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`Missing migration from schema version ${version}`);
+    s = step(s);
+    version += 1;
+    s.schemaVersion = version;
+  }
+  return s;
+}
+
+// Validate one task and fill in defaults; returns null when it cannot be salvaged
+function normalizeTask(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const text = typeof raw.text === "string" ? raw.text.trim() : "";
+  if (!text) return null;
+  const tags = Array.isArray(raw.tags)
+    ? Array.from(new Set(raw.tags.filter((t) => typeof t === "string").map((t) => t.trim()).filter(Boolean)))
+    : [];
+  const createdAt = Number.isFinite(raw.createdAt) ? raw.createdAt : Date.now();
+  return {
+    id: raw.id != null && String(raw.id) ? String(raw.id) : newId(),
+    text,
+    completed: !!raw.completed,
+    inProgress: !!raw.inProgress, // "In progress" on the status board
+    createdAt,
+    // When it was last completed; null while open, and for tasks completed before this was recorded
+    completedAt: raw.completed && Number.isFinite(raw.completedAt) ? raw.completedAt : null,
+    // Only completed tasks are archived; archived and trashed tasks stay out of the normal views
+    archivedAt: raw.completed && Number.isFinite(raw.archivedAt) ? raw.archivedAt : null,
+    trashedAt: Number.isFinite(raw.trashedAt) ? raw.trashedAt : null,
+    updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : createdAt,
+    dueDate: isIsoDate(raw.dueDate) ? raw.dueDate : "",
+    dueTime: isIsoDate(raw.dueDate) && isTime(raw.dueTime) ? raw.dueTime : "",
+    priority: PRIORITIES.includes(raw.priority) ? raw.priority : "medium",
+    tags,
+    extensions: normalizeExtensions(raw.extensions),
+    recurrence: Recurrence.normalize(raw.recurrence),
+    subtasks: normalizeSubtasks(raw.subtasks),
+    listId: raw.listId != null ? String(raw.listId) : "",
+    reminder: normalizeReminder(raw.reminder),
+  };
+}
+
+// Checklist items inside a task: [{ id, text, completed }], one level deep (see Subtasks)
+function normalizeSubtasks(raw) {
+  if (!Array.isArray(raw)) return [];
+  const seen = new Set();
+  return raw
+    .filter((s) => s && typeof s.text === "string" && s.text.trim())
+    .map((s) => {
+      let id = s.id != null && String(s.id) ? String(s.id) : newId();
+      if (seen.has(id)) id = newId();
+      seen.add(id);
+      return { id, text: s.text.trim(), completed: !!s.completed };
+    });
+}
+
+// Unknown key:value pairs kept from imported formats (e.g. todo.txt)
+function normalizeExtensions(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+  for (const [k, v] of Object.entries(raw)) {
+    if (typeof v === "string" || typeof v === "number") out[k] = String(v);
+  }
+  return out;
+}
+
+// Validate settings and tasks of a migrated payload; reports how many tasks were dropped
+function normalizeState(raw) {
+  const state = defaultState();
+  if (FILTERS.includes(raw.filter)) state.filter = raw.filter;
+  if (SORTS.includes(raw.sort)) state.sort = raw.sort;
+  if (LAYOUTS.includes(raw.layout)) state.layout = raw.layout;
+  if (BOARD_GROUPS.includes(raw.boardGroup)) state.boardGroup = raw.boardGroup;
+  if (CALENDAR_MODES.includes(raw.calendarMode)) state.calendarMode = raw.calendarMode;
+  state.confirmDelete = !!raw.confirmDelete;
+  state.autoCompleteParent = !!raw.autoCompleteParent;
+  if (Number.isInteger(raw.trashDays) && raw.trashDays >= 1 && raw.trashDays <= MAX_TRASH_DAYS) state.trashDays = raw.trashDays;
+  if (typeof raw.search === "string") state.search = raw.search;
+  if (typeof raw.tagFilter === "string") state.tagFilter = raw.tagFilter;
+  (Array.isArray(raw.smartLists) ? raw.smartLists : []).forEach((sl) => {
+    if (!sl || typeof sl.name !== "string" || !sl.name.trim() || typeof sl.query !== "string" || !sl.query.trim()) return;
+    const id = typeof sl.id === "string" && sl.id && !state.smartLists.some((x) => x.id === sl.id) ? sl.id : newId();
+    state.smartLists.push({ id, name: sl.name.trim(), query: sl.query.trim() });
+  });
+  (Array.isArray(raw.savedViews) ? raw.savedViews : []).forEach((sv) => {
+    if (!sv || typeof sv.name !== "string" || !sv.name.trim()) return;
+    const id = typeof sv.id === "string" && sv.id && !state.savedViews.some((x) => x.id === sv.id) ? sv.id : newId();
+    state.savedViews.push({ id, name: sv.name.trim(), view: Views.normalize(sv.view) });
+  });
+  const deletedAt = new Map();
+  (Array.isArray(raw.deleted) ? raw.deleted : []).forEach((d) => {
+    if (!d || typeof d.id !== "string" || !d.id || !Number.isFinite(d.deletedAt)) return;
+    deletedAt.set(d.id, Math.max(d.deletedAt, deletedAt.get(d.id) || 0));
+  });
+  state.deleted = Array.from(deletedAt, ([id, at]) => ({ id, deletedAt: at }));
+
+  const lists = [];
+  (Array.isArray(raw.lists) ? raw.lists : []).forEach((l) => {
+    const list = normalizeList(l);
+    if (list && !lists.some((x) => x.id === list.id)) lists.push(list);
+  });
+  if (lists.length) state.lists = lists;
+  const listIds = new Set(state.lists.map((l) => l.id));
+  if (raw.activeListId === ALL_LISTS || listIds.has(raw.activeListId)) state.activeListId = raw.activeListId;
+  else state.activeListId = state.lists[0].id;
+
+  const rawTasks = Array.isArray(raw.tasks) ? raw.tasks : [];
+  const seen = new Set();
+  rawTasks.forEach((t) => {
+    const task = normalizeTask(t);
+    if (!task) return;
+    if (seen.has(task.id)) task.id = newId();
+    seen.add(task.id);
+    // Tasks whose list is gone land in the first list
+    if (!listIds.has(task.listId)) task.listId = state.lists[0].id;
+    state.tasks.push(task);
+  });
+  return { state, dropped: rawTasks.length - state.tasks.length };
+}
+
+// Keep an unreadable payload under a backup key instead of discarding it
+function quarantineState(raw, reason) {
+  const backupKey = `${BACKUP_KEY_PREFIX}${Date.now()}`;
+  try {
+    localStorage.setItem(backupKey, raw);
+  } catch {
+    stateRecovery = { reason, backupKey: null };
+    return;
+  }
+  stateRecovery = { reason, backupKey };
+}
+
+function loadState() {
+  stateRecovery = null;
+  let raw = null;
+  let legacy = null;
+  try {
+    raw = localStorage.getItem(STATE_KEY);
+    if (!raw) legacy = localStorage.getItem(OLD_TASKS_KEY);
+  } catch {
+    return defaultState();
+  }
+  if (!raw && !legacy) return defaultState();
+
+  return restoreState(() => {
+    if (raw) return JSON.parse(raw);
+    // Migrate from old tasks-only key
+    const tasks = JSON.parse(legacy);
+    if (!Array.isArray(tasks)) throw new Error("Legacy tasks are not a list");
+    return {
+      schemaVersion: 1,
+      tasks: tasks.map((t) => ({ ...t, createdAt: Date.now() })),
+    };
+  }, raw || legacy);
+}
+
+// Migrate and validate the payload `read()` returns; `backup` is the text quarantined on trouble
+function restoreState(read, backup) {
+  try {
+    const parsed = read();
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error("Saved state is not an object");
+    const { state, dropped } = normalizeState(migrateState(parsed));
+    if (dropped > 0) quarantineState(backup, `${dropped} invalid task${dropped === 1 ? " was" : "s were"} skipped while loading`);
+    return state;
+  } catch (err) {
+    console.error("Failed to load saved state:", err);
+    quarantineState(backup, "Saved tasks could not be read, so the list was reset");
+    return defaultState();
+  }
+}
+
+// A payload another tab saved (JSON text or object); null when it can't be read (e.g. written by a newer version)
+function parseState(raw) {
+  try {
+    const parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return null;
+    return normalizeState(migrateState(parsed)).state;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stamp what changed since the last save so other tabs can merge it: edited or
+ * re-added tasks get a fresh updatedAt, removed ones leave a tombstone.
+ * `saved` maps task id → task JSON as last saved (null just records the current
+ * tasks); returns the map to pass next time.
+ */
+function trackTaskChanges(state, saved, now = Date.now()) {
+  const snapshot = new Map();
+  state.tasks.forEach((task) => {
+    const { updatedAt, ...fields } = task;
+    const json = JSON.stringify(fields);
+    if (saved && saved.get(task.id) !== json) task.updatedAt = now;
+    snapshot.set(task.id, json);
+  });
+  if (saved) {
+    saved.forEach((_, id) => {
+      if (!snapshot.has(id)) state.deleted.push({ id, deletedAt: now });
+    });
+  }
+  state.deleted = state.deleted.filter((d) => !snapshot.has(d.id) && now - d.deletedAt < TOMBSTONE_TTL);
+  return snapshot;
+}
+
+/**
+ * Merge the state another tab saved into this tab's. Tasks are merged one by one:
+ * the later updatedAt wins, and a tombstone beats any edit made before the deletion.
+ * Lists, settings, smart lists and saved views come from the remote save; the view
+ * (filter, sort, search, tag, list) stays per tab.
+ */
+function mergeStates(local, remote) {
+  const deletedAt = new Map();
+  [...local.deleted, ...remote.deleted].forEach((d) => deletedAt.set(d.id, Math.max(d.deletedAt, deletedAt.get(d.id) || 0)));
+  const alive = (task) => !deletedAt.has(task.id) || task.updatedAt > deletedAt.get(task.id);
+
+  const localById = new Map(local.tasks.map((t) => [t.id, t]));
+  const remoteIds = new Set(remote.tasks.map((t) => t.id));
+  const tasks = remote.tasks
+    .map((task) => {
+      const mine = localById.get(task.id);
+      return mine && mine.updatedAt > task.updatedAt ? mine : task;
+    })
+    .filter(alive);
+  // Tasks only this tab has keep roughly their place
+  local.tasks.forEach((task, index) => {
+    if (!remoteIds.has(task.id) && alive(task)) tasks.splice(Math.min(index, tasks.length), 0, task);
+  });
+
+  // A list created here alongside a task the other tab hasn't seen yet
+  const lists = [...remote.lists];
+  tasks.forEach((task) => {
+    if (lists.some((l) => l.id === task.listId)) return;
+    const list = local.lists.find((l) => l.id === task.listId);
+    if (list) lists.push(list);
+  });
+
+  const taskIds = new Set(tasks.map((t) => t.id));
+  const merged = {
+    ...remote,
+    tasks,
+    lists,
+    deleted: Array.from(deletedAt, ([id, at]) => ({ id, deletedAt: at })).filter((d) => !taskIds.has(d.id)),
+  };
+  Views.apply(merged, Views.current(local));
+  return merged;
+}
+
+/**
+ * True when two states differ at most in their per-tab view (and tombstone order), so a
+ * merge that produced `merged` from `remote` has nothing to write back. Writing it anyway
+ * would wake the other tab, which would merge and write back its own view, and so on.
+ */
+function sameSharedState(a, b) {
+  const shared = (state) => {
+    const copy = { ...state, deleted: [...state.deleted].sort((x, y) => (x.id < y.id ? -1 : x.id > y.id ? 1 : 0)) };
+    Views.apply(copy, Views.DEFAULTS);
+    return JSON.stringify(copy);
+  };
+  return shared(a) === shared(b);
+}
+
+// Transient message in the bottom corner (polite live region), with an optional action button
+function showToast(message, { duration = 6000, actionLabel = "", onAction = null } = {}) {
+  let region = document.getElementById("toastRegion");
+  if (!region) {
+    region = el("div", {
+      classes: "fixed bottom-4 right-4 z-50 flex flex-col gap-2 max-w-sm",
+      attrs: { id: "toastRegion", role: "status", "aria-live": "polite" },
+    });
+    document.body.appendChild(region);
+  }
+  const toast = el("div", {
+    classes: "flex items-center justify-between gap-3 px-4 py-3 rounded-xl shadow-lg bg-slate-900 text-white text-sm dark:bg-slate-100 dark:text-slate-900",
+  });
+  toast.appendChild(el("span", { text: message }));
+  if (actionLabel && onAction) {
+    const action = el("button", {
+      classes: "px-2 py-1 rounded-lg bg-emerald-600 text-white text-sm font-medium hover:bg-emerald-700",
+      text: actionLabel,
+    });
+    action.addEventListener("click", () => {
+      toast.remove();
+      onAction();
+    });
+    toast.appendChild(action);
+  }
+  region.appendChild(toast);
+  setTimeout(() => toast.remove(), duration);
+  return toast;
+}
+
+// -----------------------------
+// Storage: localStorage and IndexedDB adapters behind one interface
+// -----------------------------
+
+const IDB_NAME = "todo_app";
+const IDB_VERSION = 1;
+const SYNC_CHANNEL = "todo_state_v1"; // BroadcastChannel announcing IndexedDB saves to other tabs
+
+/*
+ * A storage adapter persists the whole state:
+ *   name               shown in error messages
+ *   load()             → Promise of the saved state, or null when nothing is stored yet
+ *   save(state)        → Promise, rejected when the write fails (quota, private mode, …)
+ *   subscribe(fn)      calls fn(state) with what another tab saved
+ */
+
+// The whole state as one JSON string; other tabs hear about saves through storage events
+function createLocalStorageAdapter() {
+  return {
+    name: "localStorage",
+    load() {
+      return Promise.resolve(loadState());
+    },
+    save(state) {
+      return new Promise((resolve) => {
+        localStorage.setItem(STATE_KEY, JSON.stringify(state));
+        resolve();
+      });
+    },
+    subscribe(fn) {
+      window.addEventListener("storage", (e) => {
+        if (e.key !== STATE_KEY || !e.newValue) return;
+        const state = parseState(e.newValue);
+        if (state) fn(state);
+      });
+    },
+  };
+}
+
+// Resolve or reject with an IDBRequest's outcome
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * One record per task in the "tasks" store; everything else (lists, settings,
+ * task order, tombstones) in a single "meta" record. A save only puts the tasks
+ * whose JSON changed since this tab last wrote or read them, and deletes the ones
+ * that are gone. Rejects when the database can't be opened.
+ */
+async function createIndexedDbAdapter(dbName = IDB_NAME) {
+  const request = indexedDB.open(dbName, IDB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains("tasks")) db.createObjectStore("tasks", { keyPath: "id" });
+    if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+  };
+  const db = await idbRequest(request);
+  const channel = typeof BroadcastChannel === "function" ? new BroadcastChannel(`${SYNC_CHANNEL}:${dbName}`) : null;
+  let written = new Map(); // task id → JSON of the record as this tab last saw it
+  let writtenMeta = "";
+
+  // Raw payload in stored task order; null for an empty database
+  async function read() {
+    const tx = db.transaction(["meta", "tasks"]);
+    const [meta, tasks] = await Promise.all([
+      idbRequest(tx.objectStore("meta").get("state")),
+      idbRequest(tx.objectStore("tasks").getAll()),
+    ]);
+    if (!meta) return null;
+    written = new Map(tasks.map((t) => [t.id, JSON.stringify(t)]));
+    writtenMeta = JSON.stringify(meta);
+    const { order, ...rest } = meta;
+    const byId = new Map(tasks.map((t) => [t.id, t]));
+    const ordered = new Set(Array.isArray(order) ? order.filter((id) => byId.has(id)) : []);
+    // Records missing from the order (saved by a tab that hadn't merged yet) go last
+    tasks.forEach((t) => ordered.add(t.id));
+    return { ...rest, tasks: Array.from(ordered, (id) => byId.get(id)) };
+  }
+
+  return {
+    name: "IndexedDB",
+    async load() {
+      stateRecovery = null;
+      const payload = await read();
+      return payload && restoreState(() => payload, JSON.stringify(payload));
+    },
+    save(state) {
+      const { tasks, ...rest } = state;
+      const meta = { ...rest, order: tasks.map((t) => t.id) };
+      const metaJson = JSON.stringify(meta);
+      const snapshot = new Map(tasks.map((t) => [t.id, JSON.stringify(t)]));
+      const changed = tasks.filter((t) => written.get(t.id) !== snapshot.get(t.id));
+      const removed = Array.from(written.keys()).filter((id) => !snapshot.has(id));
+      if (!changed.length && !removed.length && metaJson === writtenMeta) return Promise.resolve();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(["meta", "tasks"], "readwrite");
+        const store = tx.objectStore("tasks");
+        changed.forEach((t) => store.put(t));
+        removed.forEach((id) => store.delete(id));
+        if (metaJson !== writtenMeta) tx.objectStore("meta").put(meta, "state");
+        tx.oncomplete = () => {
+          written = snapshot;
+          writtenMeta = metaJson;
+          if (channel) channel.postMessage("saved");
+          resolve();
+        };
+        tx.onabort = () => reject(tx.error || new Error("The write was aborted"));
+      });
+    },
+    subscribe(fn) {
+      if (!channel) return;
+      channel.addEventListener("message", () => {
+        read().then((payload) => {
+          const state = payload && parseState(payload);
+          if (state) fn(state);
+        }, (err) => console.error("Failed to read another tab's changes:", err));
+      });
+    },
+  };
+}
+
+// User-facing text for a failed write
+function describeStorageError(err, backend) {
+  if (err && (err.name === "QuotaExceededError" || err.code === 22)) {
+    return `Browser storage is full, so your latest changes weren't saved (${backend}).`;
+  }
+  return `Your latest changes couldn't be saved (${backend}: ${(err && err.message) || err}).`;
+}
+
+/**
+ * Debounced writes over an adapter: save() may be called on every render, only the
+ * last state within `delay` ms is written, and flush() writes it at once. A failed
+ * write is reported through onError(message, err) once, until a write succeeds again.
+ * load() moves data saved under STATE_KEY into an adapter that is still empty.
+ */
+function createStore(adapter, { delay = 400, onError = () => {} } = {}) {
+  let latest = null;
+  let timer = null;
+  let writing = Promise.resolve();
+  let failing = false;
+
+  function write(state) {
+    writing = writing.then(() => adapter.save(state)).then(
+      () => {
+        failing = false;
+      },
+      (err) => {
+        if (!failing) onError(describeStorageError(err, adapter.name), err);
+        failing = true;
+      }
+    );
+    return writing;
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!latest) return writing;
+    const state = latest;
+    latest = null;
+    return write(state);
+  }
+
+  return {
+    name: adapter.name,
+    async load() {
+      const state = await adapter.load();
+      if (state) return state;
+      const existing = loadState();
+      try {
+        await adapter.save(existing);
+        localStorage.removeItem(STATE_KEY);
+      } catch (err) {
+        // Keep the old copy; moving it is retried on the next start
+        onError(describeStorageError(err, adapter.name), err);
+      }
+      return existing;
+    },
+    save(state) {
+      latest = state;
+      clearTimeout(timer);
+      timer = setTimeout(flush, delay);
+    },
+    // Swap a newer state into a write that is still waiting, without scheduling one
+    replacePending(state) {
+      if (latest) latest = state;
+    },
+    flush,
+    subscribe: (fn) => adapter.subscribe(fn),
+  };
+}
+
+// IndexedDB when the browser has it, localStorage otherwise or when IndexedDB can't be opened
+async function openStorage({ delay, onError = () => {} } = {}) {
+  let adapter = null;
+  if (typeof indexedDB !== "undefined") {
+    try {
+      adapter = await createIndexedDbAdapter();
+    } catch (err) {
+      // Nothing to retry: the localStorage fallback is in use until the next start
+      onError(`IndexedDB is unavailable (${(err && err.message) || err}), so tasks are kept in localStorage instead.`, err, null);
+    }
+  }
+  return createStore(adapter || createLocalStorageAdapter(), { delay, onError });
+}
+
+// -----------------------------
+// History: command-based undo/redo
+// -----------------------------
+
+const HISTORY_KEY = "todo_history_v1";
+const HISTORY_LIMIT = 100;
+// Stored JSON length; replace imports hold whole task lists and must not crowd the tasks out of the quota
+const HISTORY_MAX_CHARS = 1000000;
+
+function cloneData(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+/**
+ * Commands are plain data ({ type, label, ... }) so the history survives a reload.
+ * Each type knows how to apply itself to the state and how to revert it.
+ */
+const Commands = {
+  // { task, index }
+  add: {
+    apply(state, c) {
+      state.tasks.splice(Math.min(c.index, state.tasks.length), 0, cloneData(c.task));
+    },
+    revert(state, c) {
+      state.tasks = state.tasks.filter((t) => t.id !== c.task.id);
+    },
+  },
+  // { items: [{ task, index }] } in ascending index order
+  remove: {
+    apply(state, c) {
+      const ids = new Set(c.items.map((i) => i.task.id));
+      state.tasks = state.tasks.filter((t) => !ids.has(t.id));
+    },
+    revert(state, c) {
+      c.items.forEach(({ task, index }) => state.tasks.splice(Math.min(index, state.tasks.length), 0, cloneData(task)));
+    },
+  },
+  // { changes: [{ id, before, after }] } where before/after hold only the changed fields
+  update: {
+    apply(state, c) {
+      c.changes.forEach(({ id, after }) => patchTask(state, id, after));
+    },
+    revert(state, c) {
+      c.changes.forEach(({ id, before }) => patchTask(state, id, before));
+    },
+  },
+  // { id, fromAfter, toAfter }: the task goes right after the task with id toAfter (null: first).
+  // Ids rather than indices, so a merge or purge in between can't make it move another task;
+  // if the neighbour is gone the task stays where it is.
+  move: {
+    apply(state, c) {
+      placeTaskAfter(state, c.id, c.toAfter);
+    },
+    revert(state, c) {
+      placeTaskAfter(state, c.id, c.fromAfter);
+    },
+  },
+  // { list, index }
+  addList: {
+    apply(state, c) {
+      state.lists.splice(Math.min(c.index, state.lists.length), 0, cloneData(c.list));
+    },
+    revert(state, c) {
+      state.lists = state.lists.filter((l) => l.id !== c.list.id);
+    },
+  },
+  // { list, index }
+  removeList: {
+    apply(state, c) {
+      Commands.addList.revert(state, c);
+    },
+    revert(state, c) {
+      Commands.addList.apply(state, c);
+    },
+  },
+  // { id, before, after }
+  updateList: {
+    apply(state, c) {
+      const list = state.lists.find((l) => l.id === c.id);
+      if (list) Object.assign(list, cloneData(c.after));
+    },
+    revert(state, c) {
+      const list = state.lists.find((l) => l.id === c.id);
+      if (list) Object.assign(list, cloneData(c.before));
+    },
+  },
+  // { commands: [...] } applied in order, reverted in reverse order
+  batch: {
+    apply(state, c) {
+      c.commands.forEach((sub) => Commands[sub.type].apply(state, sub));
+    },
+    revert(state, c) {
+      c.commands.slice().reverse().forEach((sub) => Commands[sub.type].revert(state, sub));
+    },
+  },
+};
+
+function placeTaskAfter(state, id, afterId) {
+  const from = state.tasks.findIndex((t) => t.id === id);
+  if (from < 0 || (afterId !== null && !state.tasks.some((t) => t.id === afterId))) return;
+  const [moved] = state.tasks.splice(from, 1);
+  state.tasks.splice(afterId === null ? 0 : state.tasks.findIndex((t) => t.id === afterId) + 1, 0, moved);
+}
+
+function patchTask(state, id, fields) {
+  const task = state.tasks.find((t) => t.id === id);
+  if (task) Object.assign(task, cloneData(fields));
+}
+
+// Command builders
+function addTaskCommand(task, index = 0, label = "Add task") {
+  return { type: "add", label, task: cloneData(task), index };
+}
+
+function removeTasksCommand(state, ids, label = "Delete task") {
+  const idSet = new Set(ids);
+  const items = [];
+  state.tasks.forEach((task, index) => {
+    if (idSet.has(task.id)) items.push({ task: cloneData(task), index });
+  });
+  return { type: "remove", label, items };
+}
+
+// updates: [{ id, fields }]; fields that would not change are left out
+function updateTasksCommand(state, updates, label = "Edit task") {
+  const changes = [];
+  updates.forEach(({ id, fields }) => {
+    const task = state.tasks.find((t) => t.id === id);
+    if (!task) return;
+    const before = {};
+    const after = {};
+    for (const [k, v] of Object.entries(fields)) {
+      if (JSON.stringify(task[k]) === JSON.stringify(v)) continue;
+      before[k] = task[k] === undefined ? null : cloneData(task[k]);
+      after[k] = cloneData(v);
+    }
+    if (Object.keys(after).length) changes.push({ id, before, after });
+  });
+  return { type: "update", label, changes };
+}
+
+function addListCommand(list, index, label = "Create list") {
+  return { type: "addList", label, list: cloneData(list), index };
+}
+
+function removeListCommand(state, id, label = "Delete list") {
+  const index = state.lists.findIndex((l) => l.id === id);
+  return { type: "removeList", label, list: cloneData(state.lists[index]), index };
+}
+
+// Delete a list together with its tasks, as one step to undo
+function deleteListCommand(state, id, label = "Delete list") {
+  const ids = state.tasks.filter((t) => t.listId === id).map((t) => t.id);
+  return batchCommand([removeTasksCommand(state, ids), removeListCommand(state, id)], label);
+}
+
+function updateListCommand(state, id, fields, label = "Edit list") {
+  const list = state.lists.find((l) => l.id === id);
+  const before = {};
+  const after = {};
+  for (const [k, v] of Object.entries(fields)) {
+    if (!list || list[k] === v) continue;
+    before[k] = list[k];
+    after[k] = v;
+  }
+  return { type: "updateList", label, id, before, after };
+}
+
+// Move task `id` to where task `targetId` is now, as dropping it there does
+function moveTaskCommand(state, id, targetId, label = "Reorder tasks") {
+  const from = state.tasks.findIndex((t) => t.id === id);
+  const to = state.tasks.findIndex((t) => t.id === targetId);
+  if (from < 0 || to < 0) return { type: "move", label, id, fromAfter: null, toAfter: null };
+  const rest = state.tasks.filter((t) => t.id !== id);
+  return {
+    type: "move",
+    label,
+    id,
+    fromAfter: from > 0 ? state.tasks[from - 1].id : null,
+    toAfter: to > 0 ? rest[to - 1].id : null,
+  };
+}
+
+function batchCommand(commands, label) {
+  return { type: "batch", label, commands };
+}
+
+function isEmptyCommand(c) {
+  if (c.type === "remove") return c.items.length === 0;
+  if (c.type === "update") return c.changes.length === 0;
+  if (c.type === "move") return c.fromAfter === c.toAfter;
+  if (c.type === "updateList") return Object.keys(c.after).length === 0;
+  if (c.type === "batch") return c.commands.every(isEmptyCommand);
+  return false;
+}
+
+// Ids of the tasks a command changes or, for moves, places its task next to
+function commandTaskIds(c) {
+  if (c.type === "add") return [c.task.id];
+  if (c.type === "remove") return c.items.map((i) => i.task.id);
+  if (c.type === "update") return c.changes.map((ch) => ch.id);
+  if (c.type === "move") return [c.id, c.fromAfter, c.toAfter].filter((id) => id !== null);
+  if (c.type === "batch") return c.commands.flatMap(commandTaskIds);
+  return [];
+}
+
+// Commands saved by older versions can be missing fields (moves used to record indices)
+function isStoredCommand(c) {
+  if (!c || !Commands[c.type]) return false;
+  if (c.type === "move") return typeof c.id === "string";
+  if (c.type === "batch") return Array.isArray(c.commands) && c.commands.every(isStoredCommand);
+  return true;
+}
+
+/**
+ * Bounded undo/redo stacks persisted in localStorage.
+ * execute() applies a command and records it; undo()/redo() return the command they replayed.
+ * The stored copy is also kept under `maxChars` of JSON by leaving out the oldest entries.
+ * A failed write is reported through onError(message, err, retry) once, until one succeeds again.
+ */
+function createHistory({ storageKey = HISTORY_KEY, limit = HISTORY_LIMIT, maxChars = HISTORY_MAX_CHARS, onError = () => {} } = {}) {
+  let past = [];
+  let future = [];
+  let failing = false;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey) || "null");
+    if (saved && Array.isArray(saved.past) && Array.isArray(saved.future)) {
+      past = saved.past.filter(isStoredCommand).slice(-limit);
+      future = saved.future.filter(isStoredCommand).slice(-limit);
+    }
+  } catch {
+    past = [];
+    future = [];
+  }
+
+  // Oldest undo steps go first, then the farthest redo steps; this session still has them all
+  function stored() {
+    const pastSizes = past.map((c) => JSON.stringify(c).length + 1);
+    const futureSizes = future.map((c) => JSON.stringify(c).length + 1);
+    let size = pastSizes.concat(futureSizes).reduce((a, b) => a + b, 0);
+    let p = 0;
+    let f = 0;
+    while (size > maxChars && p < past.length) size -= pastSizes[p++];
+    while (size > maxChars && f < future.length) size -= futureSizes[f++];
+    return JSON.stringify({ past: past.slice(p), future: future.slice(f) });
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(storageKey, stored());
+      failing = false;
+    } catch (err) {
+      if (!failing) onError(describeStorageError(err, "undo history"), err, persist);
+      failing = true;
+    }
+  }
+
+  function execute(state, command) {
+    if (isEmptyCommand(command)) return false;
+    Commands[command.type].apply(state, command);
+    past.push(command);
+    if (past.length > limit) past.splice(0, past.length - limit);
+    future = [];
+    persist();
+    return true;
+  }
+
+  function undo(state) {
+    const command = past.pop();
+    if (!command) return null;
+    Commands[command.type].revert(state, command);
+    future.push(command);
+    persist();
+    return command;
+  }
+
+  function redo(state) {
+    const command = future.pop();
+    if (!command) return null;
+    Commands[command.type].apply(state, command);
+    past.push(command);
+    persist();
+    return command;
+  }
+
+  function clear() {
+    past = [];
+    future = [];
+    persist();
+  }
+
+  // Drop the steps involving tasks deleted outside the history (the Trash purge), which could
+  // no longer be undone or redone; returns how many went
+  function forget(ids) {
+    const gone = new Set(ids);
+    const keep = (c) => !commandTaskIds(c).some((id) => gone.has(id));
+    const before = past.length + future.length;
+    past = past.filter(keep);
+    future = future.filter(keep);
+    const dropped = before - past.length - future.length;
+    if (dropped) persist();
+    return dropped;
+  }
+
+  return {
+    execute,
+    undo,
+    redo,
+    clear,
+    forget,
+    get canUndo() { return past.length > 0; },
+    get canRedo() { return future.length > 0; },
+  };
+}
+
+// -----------------------------
+// Recurrence: repeating tasks
+// -----------------------------
+
+/**
+ * Rule shape: { freq, interval, weekdays, monthlyBy, monthDay, nth, until, count, occurrence, seriesId }
+ *  - freq: "daily" | "weekly" | "monthly" | "afterCompletion" (every `interval` days once done)
+ *  - weekdays: 0–6 (Sunday first) for weekly rules; empty means the due date's weekday
+ *  - monthlyBy: "date" (monthDay) or "weekday" (nth weekday, -1 = last)
+ *  - until / count end the series; occurrence is this task's 1-based position in it
+ */
+const Recurrence = (function () {
+  const FREQS = ["daily", "weekly", "monthly", "afterCompletion"];
+  const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  const ORDINALS = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", "-1": "last" };
+
+  function parseDate(s) {
+    const [y, m, d] = s.split("-").map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  function addDays(date, n) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + n);
+    return d;
+  }
+
+  function daysInMonth(y, m) {
+    return new Date(y, m + 1, 0).getDate();
+  }
+
+  // Position of a date's weekday within its month: 1–4, or -1 for the last one
+  function nthOf(date) {
+    const nth = Math.ceil(date.getDate() / 7);
+    return nth === 5 ? -1 : nth;
+  }
+
+  function nthWeekday(y, m, weekday, nth) {
+    if (nth === -1) {
+      const last = new Date(y, m, daysInMonth(y, m));
+      return addDays(last, -((last.getDay() - weekday + 7) % 7));
+    }
+    const first = new Date(y, m, 1);
+    return addDays(first, (weekday - first.getDay() + 7) % 7 + (nth - 1) * 7);
+  }
+
+  function normalize(raw) {
+    if (!raw || typeof raw !== "object" || !FREQS.includes(raw.freq)) return null;
+    const interval = Math.max(1, Math.floor(Number(raw.interval)) || 1);
+    const weekdays = Array.isArray(raw.weekdays)
+      ? Array.from(new Set(raw.weekdays.map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6))).sort()
+      : [];
+    const nth = [1, 2, 3, 4, -1].includes(Number(raw.nth)) ? Number(raw.nth) : null;
+    const monthDay = Number.isInteger(raw.monthDay) && raw.monthDay >= 1 && raw.monthDay <= 31 ? raw.monthDay : null;
+    return {
+      freq: raw.freq,
+      interval,
+      weekdays: raw.freq === "weekly" ? weekdays : [],
+      monthlyBy: raw.freq === "monthly" && raw.monthlyBy === "weekday" ? "weekday" : "date",
+      monthDay,
+      nth,
+      until: isIsoDate(raw.until) ? raw.until : "",
+      count: Math.max(0, Math.floor(Number(raw.count)) || 0),
+      occurrence: Math.max(1, Math.floor(Number(raw.occurrence)) || 1),
+      seriesId: raw.seriesId ? String(raw.seriesId) : newId(),
+    };
+  }
+
+  // Fill in the anchors (day of month / nth weekday) from the first due date
+  function anchor(rule, dueDate) {
+    if (!rule || !dueDate) return rule;
+    const d = parseDate(dueDate);
+    return {
+      ...rule,
+      monthDay: rule.monthDay || d.getDate(),
+      nth: rule.nth || nthOf(d),
+      weekdays: rule.freq === "weekly" && rule.weekdays.length === 0 ? [d.getDay()] : rule.weekdays,
+    };
+  }
+
+  /**
+   * Due date (YYYY-MM-DD) of the occurrence after this one, or "" when the series is over.
+   * `dueDate` may be empty; the completion date is then used as the starting point.
+   */
+  function nextDueDate(rule, dueDate, completedOn = new Date()) {
+    if (!rule) return "";
+    if (rule.count && rule.occurrence >= rule.count) return "";
+    const done = new Date(completedOn);
+    done.setHours(0, 0, 0, 0);
+    const base = dueDate ? parseDate(dueDate) : done;
+    let next;
+    switch (rule.freq) {
+      case "daily":
+        next = addDays(base, rule.interval);
+        break;
+      case "weekly": {
+        const days = rule.weekdays.length ? rule.weekdays : [base.getDay()];
+        const weekStart = addDays(base, -base.getDay());
+        for (let i = 1; i <= 7 * rule.interval + 7; i++) {
+          const d = addDays(base, i);
+          const weeks = Math.round((addDays(d, -d.getDay()) - weekStart) / (7 * 86400000));
+          if (weeks % rule.interval === 0 && days.includes(d.getDay())) {
+            next = d;
+            break;
+          }
+        }
+        break;
+      }
+      case "monthly": {
+        const y = base.getFullYear();
+        const m = base.getMonth() + rule.interval;
+        const target = new Date(y, m, 1);
+        if (rule.monthlyBy === "weekday") {
+          next = nthWeekday(target.getFullYear(), target.getMonth(), base.getDay(), rule.nth || nthOf(base));
+        } else {
+          const day = Math.min(rule.monthDay || base.getDate(), daysInMonth(target.getFullYear(), target.getMonth()));
+          next = new Date(target.getFullYear(), target.getMonth(), day);
+        }
+        break;
+      }
+      case "afterCompletion":
+        next = addDays(done, rule.interval);
+        break;
+      default:
+        return "";
+    }
+    const value = toDateInputValue(next);
+    if (rule.until && value > rule.until) return "";
+    return value;
+  }
+
+  // The task that follows `task` in its series, or null when the series has ended
+  function nextTask(task, completedOn = new Date()) {
+    const dueDate = nextDueDate(task.recurrence, task.dueDate, completedOn);
+    if (!dueDate) return null;
+    return normalizeTask({
+      ...cloneData(task),
+      id: newId(),
+      completed: false,
+      inProgress: false,
+      createdAt: completedOn.getTime(),
+      dueDate,
+      recurrence: { ...task.recurrence, occurrence: task.recurrence.occurrence + 1 },
+      subtasks: (task.subtasks || []).map((s) => ({ ...s, id: newId(), completed: false })),
+      // Relative reminders follow the new due date; a fixed moment does not repeat
+      reminder: task.reminder && task.reminder.type !== "custom" ? task.reminder : null,
+    });
+  }
+
+  function describe(rule, dueDate = "") {
+    if (!rule) return "";
+    const n = rule.interval;
+    let text;
+    switch (rule.freq) {
+      case "daily":
+        text = n === 1 ? "Daily" : `Every ${n} days`;
+        break;
+      case "weekly": {
+        const days = rule.weekdays.map((d) => DAY_NAMES[d]).join(", ");
+        text = `${n === 1 ? "Weekly" : `Every ${n} weeks`}${days ? ` on ${days}` : ""}`;
+        break;
+      }
+      case "monthly": {
+        const every = n === 1 ? "Monthly" : `Every ${n} months`;
+        text = rule.monthlyBy === "weekday"
+          ? `${every} on the ${ORDINALS[rule.nth || 1]} ${dueDate ? DAY_NAMES[parseDate(dueDate).getDay()] : "weekday"}`
+          : `${every}${rule.monthDay ? ` on day ${rule.monthDay}` : ""}`;
+        break;
+      }
+      case "afterCompletion":
+        text = `${n} day${n === 1 ? "" : "s"} after completion`;
+        break;
+      default:
+        return "";
+    }
+    if (rule.until) text += ` until ${rule.until}`;
+    if (rule.count) text += ` (${rule.occurrence} of ${rule.count})`;
+    return text;
+  }
+
+  return { FREQS, DAY_NAMES, normalize, anchor, nextDueDate, nextTask, describe };
+})();
+
+// Complete or reopen tasks; completing a repeating task also adds its next occurrence
+function setCompletedCommand(state, ids, completed, label) {
+  const now = new Date();
+  const updates = ids.map((id) => {
+    const task = state.tasks.find((t) => t.id === id);
+    // Only an actual change of state moves the completion time; reopening also unarchives
+    const fields = task && task.completed !== completed ? { completed, completedAt: completed ? now.getTime() : null } : { completed };
+    if (!completed) fields.archivedAt = null;
+    return { id, fields };
+  });
+  const commands = [updateTasksCommand(state, updates, label)];
+  if (completed) {
+    const idSet = new Set(ids);
+    let added = 0;
+    state.tasks.forEach((task, index) => {
+      if (!idSet.has(task.id) || task.completed || !task.recurrence) return;
+      const { seriesId, occurrence } = task.recurrence;
+      const spawned = state.tasks.some((t) => t.recurrence && t.recurrence.seriesId === seriesId && t.recurrence.occurrence > occurrence);
+      if (spawned) return;
+      const next = Recurrence.nextTask(task, now);
+      if (!next) return;
+      // The next occurrence takes the completed one's place in the manual order
+      commands.push(addTaskCommand(next, index + added));
+      added += 1;
+    });
+  }
+  return batchCommand(commands, label);
+}
+
+// Move tasks to the Trash (`trashed`) or restore them to where they were
+function trashTasksCommand(state, ids, trashed, label, now = Date.now()) {
+  return updateTasksCommand(state, ids.map((id) => ({ id, fields: { trashedAt: trashed ? now : null } })), label);
+}
+
+// Archive completed tasks, or bring archived ones back to the list
+function archiveTasksCommand(state, ids, archived, label, now = Date.now()) {
+  const completed = new Set(state.tasks.filter((t) => t.completed).map((t) => t.id));
+  const updates = ids.filter((id) => completed.has(id)).map((id) => ({ id, fields: { archivedAt: archived ? now : null } }));
+  return updateTasksCommand(state, updates, label);
+}
+
+// Trashed tasks older than `days`, which are deleted for good
+function expiredTrash(tasks, days, now = Date.now()) {
+  const cutoff = now - days * 24 * 60 * 60 * 1000;
+  return tasks.filter((t) => t.trashedAt && t.trashedAt <= cutoff);
+}
+
+// -----------------------------
+// Reminders: browser notifications for due tasks
+// -----------------------------
+
+const REMINDERS_FIRED_KEY = "todo_reminders_fired_v1";
+const DEFAULT_REMINDER_TIME = "09:00"; // "at due time" for tasks without a due time
+
+/**
+ * Reminder shape on a task: { type: "due" | "before" | "custom", offsetMinutes, at }
+ *  - "due": at the due date/time; "before": offsetMinutes earlier; "custom": at `at` (ms)
+ */
+function normalizeReminder(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (raw.type === "due") return { type: "due", offsetMinutes: 0, at: null };
+  if (raw.type === "before") {
+    const offset = Math.floor(Number(raw.offsetMinutes));
+    return offset > 0 ? { type: "before", offsetMinutes: offset, at: null } : null;
+  }
+  if (raw.type === "custom" && Number.isFinite(raw.at)) return { type: "custom", offsetMinutes: 0, at: raw.at };
+  return null;
+}
+
+function describeReminder(reminder) {
+  if (!reminder) return "";
+  if (reminder.type === "due") return "At due time";
+  if (reminder.type === "custom") {
+    const d = new Date(reminder.at);
+    return `${toDateInputValue(d)} ${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+  }
+  const m = reminder.offsetMinutes;
+  if (m % 1440 === 0) return `${m / 1440}d before`;
+  if (m % 60 === 0) return `${m / 60}h before`;
+  return `${m}m before`;
+}
+
+/**
+ * Arms one timer per pending reminder. Clock, timers and the notifier are injectable so the
+ * scheduling can be tested; fired reminders are remembered per task and moment so a changed
+ * due date reminds again. Reminders missed while the app was closed fire on the next schedule().
+ * Failing to save that log is reported through onError, as in createHistory().
+ */
+function createReminderScheduler({
+  now = () => Date.now(),
+  setTimer = (fn, ms) => setTimeout(fn, ms),
+  clearTimer = (id) => clearTimeout(id),
+  notify = () => {},
+  storageKey = REMINDERS_FIRED_KEY,
+  onError = () => {},
+} = {}) {
+  // setTimeout overflows past ~24.8 days; longer waits re-arm on the next schedule()
+  const MAX_DELAY = 2 ** 31 - 1;
+  let timers = [];
+  let armedFor = null; // keyOf() the tasks of the last schedule()
+  let fired = {};
+  let failing = false;
+  try {
+    fired = JSON.parse(localStorage.getItem(storageKey) || "{}") || {};
+  } catch {
+    fired = {};
+  }
+
+  // Unsaved, the log is lost on reload and the same reminders fire again
+  function persist() {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(fired));
+      failing = false;
+    } catch (err) {
+      if (!failing) onError(describeStorageError(err, "reminder log"), err, persist);
+      failing = true;
+    }
+  }
+
+  function reminderTime(task) {
+    const r = task.reminder;
+    if (!r) return null;
+    if (r.type === "custom") return r.at;
+    if (!task.dueDate) return null;
+    const due = dueTimestamp({ dueDate: task.dueDate, dueTime: task.dueTime || DEFAULT_REMINDER_TIME });
+    return r.type === "before" ? due - r.offsetMinutes * 60000 : due;
+  }
+
+  function fire(task, at) {
+    fired[task.id] = at;
+    persist();
+    notify(task);
+  }
+
+  function clear() {
+    timers.forEach(clearTimer);
+    timers = [];
+  }
+
+  function schedule(tasks) {
+    clear();
+    const t = now();
+    const live = new Set();
+    tasks.forEach((task) => {
+      live.add(task.id);
+      if (task.completed) return;
+      const at = reminderTime(task);
+      if (at == null || fired[task.id] === at) return;
+      if (at <= t) {
+        fire(task, at);
+        return;
+      }
+      const delay = at - t;
+      if (delay > MAX_DELAY) return;
+      timers.push(setTimer(() => fire(task, at), delay));
+    });
+    // Forget fired entries of tasks that no longer exist
+    let pruned = false;
+    Object.keys(fired).forEach((id) => {
+      if (!live.has(id)) {
+        delete fired[id];
+        pruned = true;
+      }
+    });
+    if (pruned) persist();
+    armedFor = keyOf(tasks);
+    return timers.length;
+  }
+
+  // What the armed timers depend on; the text is in it because the notification shows it
+  function keyOf(tasks) {
+    return JSON.stringify(tasks.map((t) => [t.id, t.text, t.completed, t.dueDate, t.dueTime, t.reminder]));
+  }
+
+  // schedule() unless nothing it depends on changed since the last call; null when skipped
+  function update(tasks) {
+    return keyOf(tasks) === armedFor ? null : schedule(tasks);
+  }
+
+  return { schedule, update, clear, reminderTime };
+}
+
+// Show a system notification when allowed, otherwise an in-page toast
+function notifyTaskDue(task) {
+  const when = task.dueDate ? `Due ${task.dueDate}${task.dueTime ? ` ${task.dueTime}` : ""}` : "Reminder";
+  if ("Notification" in window && Notification.permission === "granted") {
+    try {
+      new Notification(task.text, { body: when, tag: `todo-${task.id}` });
+      return;
+    } catch {
+      /* fall through to the toast (e.g. mobile browsers need a service worker) */
+    }
+  }
+  showToast(`🔔 ${task.text} — ${when}`, { duration: 15000 });
+}
+
+// -----------------------------
+// Import / export: JSON and CSV
+// -----------------------------
+
+const TaskIO = (function () {
+  const CSV_COLUMNS = ["id", "text", "completed", "createdAt", "dueDate", "dueTime", "priority", "tags", "completedAt"];
+
+  // A full backup passes every list too, so tasks come back into lists of the same name, color and icon
+  function toJSON(tasks, lists = null) {
+    return JSON.stringify({ schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), ...(lists ? { lists } : {}), tasks }, null, 2);
+  }
+
+  // Accepts an export object ({ lists?: [...], tasks: [...] }) or a bare array; errors are reported per task
+  function fromJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { tasks: [], errors: [{ line: 1, message: `Invalid JSON: ${err.message}` }] };
+    }
+    const rows = Array.isArray(data) ? data : data && Array.isArray(data.tasks) ? data.tasks : null;
+    if (!rows) return { tasks: [], errors: [{ line: 1, message: "Expected a list of tasks" }] };
+    const tasks = [];
+    const errors = [];
+    rows.forEach((row, i) => {
+      const message = validate(row);
+      if (message) errors.push({ line: i + 1, message: `Task ${i + 1}: ${message}` });
+      else tasks.push(normalizeTask(row));
+    });
+    const lists = !Array.isArray(data) && Array.isArray(data.lists) ? data.lists.map(normalizeList).filter(Boolean) : [];
+    return { tasks, errors, lists };
+  }
+
+  function validate(t) {
+    if (!t || typeof t !== "object") return "not an object";
+    if (typeof t.text !== "string" || !t.text.trim()) return "text is required";
+    if (t.dueDate && !isIsoDate(t.dueDate)) return `invalid dueDate "${t.dueDate}" (expected YYYY-MM-DD)`;
+    if (t.dueTime && !isTime(t.dueTime)) return `invalid dueTime "${t.dueTime}" (expected HH:MM)`;
+    if (t.priority && !PRIORITIES.includes(t.priority)) return `invalid priority "${t.priority}"`;
+    if (t.tags != null && !Array.isArray(t.tags)) return "tags must be a list";
+    return "";
+  }
+
+  function csvCell(v) {
+    const s = String(v == null ? "" : v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function toCSV(tasks) {
+    const lines = [CSV_COLUMNS.join(",")];
+    tasks.forEach((t) => {
+      lines.push([
+        t.id,
+        t.text,
+        t.completed ? "true" : "false",
+        t.createdAt ? new Date(t.createdAt).toISOString() : "",
+        t.dueDate || "",
+        t.dueTime || "",
+        t.priority,
+        (t.tags || []).join(";"),
+        t.completedAt ? new Date(t.completedAt).toISOString() : "",
+      ].map(csvCell).join(","));
+    });
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  // RFC 4180 parser; each record keeps the line number it started on
+  function parseCSV(text) {
+    const records = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else {
+          if (ch === "\n") line++;
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ",") {
+        row.push(field);
+        field = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        records.push({ line: rowLine, cells: row });
+        row = [];
+        field = "";
+        line++;
+        rowLine = line;
+      } else {
+        field += ch;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      records.push({ line: rowLine, cells: row });
+    }
+    return records.filter((r) => r.cells.some((c) => c.trim() !== ""));
+  }
+
+  function parseBool(v) {
+    const s = v.trim().toLowerCase();
+    if (["true", "yes", "1", "x", "done"].includes(s)) return true;
+    if (["false", "no", "0", "", "open"].includes(s)) return false;
+    return null;
+  }
+
+  function parseTimestamp(v) {
+    const s = v.trim();
+    if (!s) return Date.now();
+    if (/^\d+$/.test(s)) return Number(s);
+    const ms = new Date(s).getTime();
+    return isNaN(ms) ? null : ms;
+  }
+
+  function fromCSV(text) {
+    const records = parseCSV(text.replace(/^\uFEFF/, ""));
+    if (records.length === 0) return { tasks: [], errors: [{ line: 1, message: "The file is empty" }] };
+    const header = records[0].cells.map((h) => h.trim().toLowerCase());
+    const col = Object.fromEntries(CSV_COLUMNS.map((c) => [c, header.indexOf(c.toLowerCase())]));
+    if (col.text < 0) return { tasks: [], errors: [{ line: records[0].line, message: 'Missing required "text" column' }] };
+
+    const tasks = [];
+    const errors = [];
+    records.slice(1).forEach(({ line, cells }) => {
+      const get = (name) => (col[name] >= 0 && cells[col[name]] != null ? cells[col[name]] : "");
+      const fail = (message) => errors.push({ line, message: `Line ${line}: ${message}` });
+      const text = get("text").trim();
+      if (!text) return fail("text is required");
+      const completed = parseBool(get("completed"));
+      if (completed === null) return fail(`invalid completed value "${get("completed")}"`);
+      const createdAt = parseTimestamp(get("createdAt"));
+      if (createdAt === null) return fail(`invalid createdAt "${get("createdAt")}"`);
+      const dueDate = get("dueDate").trim();
+      if (dueDate && !isIsoDate(dueDate)) return fail(`invalid dueDate "${dueDate}" (expected YYYY-MM-DD)`);
+      const dueTime = get("dueTime").trim();
+      if (dueTime && !isTime(dueTime)) return fail(`invalid dueTime "${dueTime}" (expected HH:MM)`);
+      const priority = get("priority").trim().toLowerCase() || "medium";
+      if (!PRIORITIES.includes(priority)) return fail(`invalid priority "${get("priority")}"`);
+      const tags = get("tags").split(/[;,]/).map((s) => s.trim()).filter(Boolean);
+      const completedAt = get("completedAt").trim() ? parseTimestamp(get("completedAt")) : null;
+      if (completedAt === null && get("completedAt").trim()) return fail(`invalid completedAt "${get("completedAt")}"`);
+      tasks.push(normalizeTask({ id: get("id").trim() || null, text, completed, createdAt, completedAt, dueDate, dueTime, priority, tags }));
+    });
+    return { tasks, errors };
+  }
+
+  // Pick a parser from the file name, falling back to sniffing the content
+  function parse(text, filename = "") {
+    const name = filename.toLowerCase();
+    if (name.endsWith(".json")) return fromJSON(text);
+    if (name.endsWith(".csv")) return fromCSV(text);
+    if (name.endsWith(".ics") || /^\uFEFF?BEGIN:VCALENDAR/i.test(text)) return ICal.parse(text);
+    if (name.endsWith(".txt")) return TodoTxt.parse(text);
+    return /^\s*[[{]/.test(text) ? fromJSON(text) : fromCSV(text);
+  }
+
+  return { toJSON, fromJSON, toCSV, fromCSV, parseCSV, parse };
+})();
+
+// -----------------------------
+// iCalendar (RFC 5545): VTODO export, VTODO/VEVENT import
+// -----------------------------
+
+const ICal = (function () {
+  const PRIORITY_OUT = { high: 1, medium: 5, low: 9 };
+
+  function escapeText(s) {
+    return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+  }
+
+  function unescapeText(s) {
+    return s.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+  }
+
+  // Fold content lines longer than 75 octets (continuation lines start with a space)
+  function fold(line) {
+    const bytes = (ch) => {
+      const cp = ch.codePointAt(0);
+      return cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    };
+    let out = "";
+    let size = 0;
+    for (const ch of line) {
+      const n = bytes(ch);
+      if (size + n > 75) {
+        out += "\r\n ";
+        size = 1;
+      }
+      out += ch;
+      size += n;
+    }
+    return out;
+  }
+
+  const pad = (n) => String(n).padStart(2, "0");
+
+  function formatUtc(ms) {
+    const d = new Date(ms);
+    return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+  }
+
+  function serialize(tasks, { now = Date.now() } = {}) {
+    const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//To-Do List//EN", "CALSCALE:GREGORIAN"];
+    tasks.forEach((t) => {
+      lines.push("BEGIN:VTODO");
+      lines.push(`UID:${escapeText(t.id)}`);
+      lines.push(`DTSTAMP:${formatUtc(now)}`);
+      if (t.createdAt) lines.push(`CREATED:${formatUtc(t.createdAt)}`);
+      lines.push(`SUMMARY:${escapeText(t.text)}`);
+      if (t.dueDate && t.dueTime) lines.push(`DUE:${t.dueDate.replace(/-/g, "")}T${t.dueTime.replace(":", "")}00`);
+      else if (t.dueDate) lines.push(`DUE;VALUE=DATE:${t.dueDate.replace(/-/g, "")}`);
+      lines.push(`PRIORITY:${PRIORITY_OUT[t.priority] || 0}`);
+      if (t.tags && t.tags.length) lines.push(`CATEGORIES:${t.tags.map(escapeText).join(",")}`);
+      lines.push(`STATUS:${t.completed ? "COMPLETED" : t.inProgress ? "IN-PROCESS" : "NEEDS-ACTION"}`);
+      if (t.completed && t.completedAt) lines.push(`COMPLETED:${formatUtc(t.completedAt)}`);
+      lines.push("END:VTODO");
+    });
+    lines.push("END:VCALENDAR");
+    return lines.map(fold).join("\r\n") + "\r\n";
+  }
+
+  // "NAME;P1=a;P2=b:value" → { name, params, value }
+  function parseLine(line) {
+    let i = 0;
+    let quoted = false;
+    for (; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') quoted = !quoted;
+      else if (ch === ":" && !quoted) break;
+    }
+    if (i >= line.length) return null;
+    const [name, ...rawParams] = line.slice(0, i).split(";");
+    const params = {};
+    rawParams.forEach((p) => {
+      const [k, v = ""] = p.split("=");
+      params[k.toUpperCase()] = v.replace(/^"|"$/g, "");
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+  }
+
+  // Date or date-time value → local { dueDate: YYYY-MM-DD, dueTime: HH:MM or "" }
+  function toDue(value) {
+    const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!m) return null;
+    const [, y, mo, d, h, mi, sec, utc] = m;
+    if (!h) return { dueDate: `${y}-${mo}-${d}`, dueTime: "" };
+    const date = utc ? new Date(Date.UTC(+y, mo - 1, +d, +h, +mi, +sec)) : new Date(+y, mo - 1, +d, +h, +mi, +sec);
+    return {
+      dueDate: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      dueTime: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+    };
+  }
+
+  function toTimestamp(value) {
+    const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!m) return null;
+    const [, y, mo, d, h = 0, mi = 0, sec = 0, utc] = m;
+    return utc ? Date.UTC(+y, mo - 1, +d, +h, +mi, +sec) : new Date(+y, mo - 1, +d, +h, +mi, +sec).getTime();
+  }
+
+  function splitList(value) {
+    return value.split(/(?<!\\),/).map((v) => unescapeText(v).trim()).filter(Boolean);
+  }
+
+  function mapPriority(n) {
+    if (!n) return "medium";
+    if (n <= 4) return "high";
+    if (n === 5) return "medium";
+    return "low";
+  }
+
+  function parse(text) {
+    const physical = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+    // Unfold continuation lines, remembering where each logical line started
+    const lines = [];
+    physical.forEach((raw, i) => {
+      if (/^[ \t]/.test(raw) && lines.length) lines[lines.length - 1].text += raw.slice(1);
+      else if (raw.trim()) lines.push({ line: i + 1, text: raw });
+    });
+
+    const tasks = [];
+    const errors = [];
+    if (!lines.length || !/^BEGIN:VCALENDAR$/i.test(lines[0].text.trim())) {
+      return { tasks, errors: [{ line: 1, message: "Line 1: not an iCalendar file (missing BEGIN:VCALENDAR)" }] };
+    }
+    let current = null;
+    let depth = 0; // nested components inside a VTODO/VEVENT (e.g. VALARM) are skipped
+    lines.forEach(({ line, text: content }) => {
+      const prop = parseLine(content);
+      if (!prop) {
+        errors.push({ line, message: `Line ${line}: malformed content line` });
+        return;
+      }
+      const { name, params, value } = prop;
+      const upper = value.toUpperCase();
+      if (name === "BEGIN" && (upper === "VTODO" || upper === "VEVENT") && !current) {
+        current = { kind: upper, line, props: {}, categories: [] };
+        return;
+      }
+      if (!current) return;
+      if (name === "BEGIN") { depth++; return; }
+      if (name === "END" && depth > 0) { depth--; return; }
+      if (depth > 0) return;
+      if (name === "END" && upper === current.kind) {
+        const result = toTask(current);
+        if (result.error) errors.push({ line: current.line, message: `Line ${current.line}: ${result.error}` });
+        else tasks.push(result.task);
+        current = null;
+        return;
+      }
+      if (name === "CATEGORIES") current.categories.push(...splitList(value));
+      else current.props[name] = { params, value };
+    });
+    if (current) errors.push({ line: current.line, message: `Line ${current.line}: ${current.kind} is missing its END line` });
+    return { tasks, errors };
+  }
+
+  function toTask({ kind, props, categories }) {
+    const get = (n) => (props[n] ? props[n].value : "");
+    const summary = unescapeText(get("SUMMARY")).trim();
+    if (!summary) return { error: `${kind} has no SUMMARY` };
+    const dueRaw = kind === "VTODO" ? get("DUE") || get("DTSTART") : get("DTSTART");
+    const due = dueRaw ? toDue(dueRaw) : { dueDate: "", dueTime: "" };
+    if (!due) return { error: `invalid date "${dueRaw}"` };
+    const created = get("CREATED") ? toTimestamp(get("CREATED")) : null;
+    return {
+      task: normalizeTask({
+        id: unescapeText(get("UID")) || null,
+        text: summary,
+        completed: get("STATUS").toUpperCase() === "COMPLETED",
+        inProgress: get("STATUS").toUpperCase() === "IN-PROCESS",
+        createdAt: created || Date.now(),
+        completedAt: get("COMPLETED") ? toTimestamp(get("COMPLETED")) : null,
+        dueDate: due.dueDate,
+        dueTime: due.dueTime,
+        priority: mapPriority(parseInt(get("PRIORITY"), 10) || 0),
+        tags: categories,
+      }),
+    };
+  }
+
+  return { serialize, parse };
+})();
+
+// -----------------------------
+// todo.txt (https://github.com/todotxt/todo.txt)
+// -----------------------------
+
+const TodoTxt = (function () {
+  const PRIORITY_IN = { A: "high", B: "medium", C: "low" };
+  const PRIORITY_OUT = { high: "A", medium: "B", low: "C" };
+  const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+  const pad = (n) => String(n).padStart(2, "0");
+  const localDate = (ms) => {
+    const d = new Date(ms);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  };
+  const fromLocalDate = (s) => {
+    const [y, m, d] = s.split("-").map(Number);
+    return new Date(y, m - 1, d).getTime();
+  };
+
+  function parseLine(line) {
+    const words = line.trim().split(/\s+/);
+    let completed = false;
+    let priority = "";
+    let createdAt = null;
+    let completedAt = null;
+    if (words[0] === "x") {
+      completed = true;
+      words.shift();
+      // completion date, then optional creation date
+      if (DATE.test(words[0] || "")) {
+        if (!isIsoDate(words[0])) return { error: `invalid date "${words[0]}"` };
+        completedAt = fromLocalDate(words.shift());
+      }
+    } else if (/^\([A-Z]\)$/.test(words[0] || "")) {
+      priority = PRIORITY_IN[words.shift()[1]] || "low";
+    }
+    if (DATE.test(words[0] || "")) {
+      if (!isIsoDate(words[0])) return { error: `invalid date "${words[0]}"` };
+      createdAt = fromLocalDate(words.shift());
+    }
+
+    const text = [];
+    const tags = [];
+    const extensions = {};
+    let dueDate = "";
+    for (const word of words) {
+      // key:value with an identifier key, so times (10:30), ratios (16:9) and URLs stay text
+      const ext = /^([A-Za-z][\w-]*):(?!\/\/)([^\s:]+)$/.exec(word);
+      if (/^\+\S+$/.test(word)) tags.push(word.slice(1));
+      else if (/^@\S+$/.test(word)) tags.push(word);
+      else if (ext && ext[1] === "due") {
+        if (!isIsoDate(ext[2])) return { error: `invalid due date "${ext[2]}"` };
+        dueDate = ext[2];
+      } else if (ext && ext[1] === "pri" && /^[A-Z]$/.test(ext[2])) {
+        priority = priority || PRIORITY_IN[ext[2]] || "low";
+      } else if (ext) extensions[ext[1]] = ext[2];
+      else text.push(word);
+    }
+    if (!text.length) return { error: "task has no text" };
+    return {
+      task: normalizeTask({
+        id: null,
+        text: text.join(" "),
+        completed,
+        createdAt: createdAt || Date.now(),
+        completedAt,
+        dueDate,
+        priority: priority || "medium",
+        tags,
+        extensions,
+      }),
+    };
+  }
+
+  function parse(text) {
+    const tasks = [];
+    const errors = [];
+    text.replace(/^\uFEFF/, "").split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      const result = parseLine(line);
+      if (result.error) errors.push({ line: i + 1, message: `Line ${i + 1}: ${result.error}` });
+      else tasks.push(result.task);
+    });
+    return { tasks, errors };
+  }
+
+  function serializeTask(t, { now = Date.now() } = {}) {
+    const parts = [];
+    // Tasks completed before completion dates were recorded get the export date
+    if (t.completed) parts.push("x", localDate(t.completedAt || now));
+    else parts.push(`(${PRIORITY_OUT[t.priority] || "B"})`);
+    if (t.createdAt) parts.push(localDate(t.createdAt));
+    parts.push(t.text.replace(/\s+/g, " "));
+    (t.tags || []).forEach((tag) => {
+      const word = tag.replace(/\s+/g, "_");
+      parts.push(word.startsWith("@") ? word : `+${word}`);
+    });
+    if (t.dueDate) parts.push(`due:${t.dueDate}`);
+    if (t.completed) parts.push(`pri:${PRIORITY_OUT[t.priority] || "B"}`);
+    Object.entries(t.extensions || {}).forEach(([k, v]) => parts.push(`${k}:${v}`));
+    return parts.join(" ");
+  }
+
+  function serialize(tasks, options) {
+    return tasks.map((t) => serializeTask(t, options)).join("\n") + "\n";
+  }
+
+  return { parse, parseLine, serialize, serializeTask };
+})();
+
+/**
+ * Build the command that brings imported tasks into the state; "replace" drops `replaceIds` first.
+ * Imported `lists` this state doesn't have yet (by id) are created ahead of the tasks.
+ */
+function importTasksCommand(state, tasks, mode, replaceIds = state.tasks.map((t) => t.id), lists = []) {
+  const known = new Set(state.lists.map((l) => l.id));
+  const newLists = [];
+  lists.forEach((l) => {
+    if (known.has(l.id)) return;
+    known.add(l.id);
+    newLists.push(addListCommand(l, state.lists.length + newLists.length, "Import list"));
+  });
+  if (mode === "replace") {
+    const removeAll = removeTasksCommand(state, replaceIds);
+    // Ids still in use after the removal (the Trash, other lists) or repeated in the import get new ones
+    const dropped = new Set(replaceIds);
+    const taken = new Set(state.tasks.map((t) => t.id).filter((id) => !dropped.has(id)));
+    const adds = tasks.map((t, i) => {
+      const task = taken.has(t.id) ? { ...t, id: newId() } : t;
+      taken.add(task.id);
+      return addTaskCommand(task, i);
+    });
+    return batchCommand([...newLists, removeAll, ...adds], `Replaced list with ${tasks.length} imported task${tasks.length === 1 ? "" : "s"}`);
+  }
+  // merge: tasks with a known id update it in place, the rest are appended
+  const byId = new Map(state.tasks.map((t) => [t.id, t]));
+  const seen = new Set();
+  const updates = [];
+  const adds = [];
+  tasks.forEach((t) => {
+    if (seen.has(t.id)) return;
+    seen.add(t.id);
+    if (byId.has(t.id)) {
+      const { id, ...fields } = t;
+      updates.push({ id, fields });
+    } else {
+      adds.push(addTaskCommand(t, state.tasks.length + adds.length));
+    }
+  });
+  const update = updateTasksCommand(state, updates);
+  return batchCommand([...newLists, update, ...adds], `Imported ${adds.length} new and ${update.changes.length} updated task${update.changes.length === 1 ? "" : "s"}`);
+}
+
+function downloadFile(filename, mime, content) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = el("a", { attrs: { href: url, download: filename } });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// -----------------------------
+// Quick add: natural-language task input
+// -----------------------------
+
+/**
+ * Pulls due date/time, priority and tags out of a single line such as
+ * "Pay rent tomorrow 9am !high #home #bills"; whatever is left becomes the title.
+ */
+const QuickAdd = (function () {
+  const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+  const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+  const PRIORITY_WORDS = { high: "high", h: "high", 1: "high", medium: "medium", med: "medium", m: "medium", 2: "medium", low: "low", l: "low", 3: "low" };
+
+  // "sun"/"sat" are left out as abbreviations: too common as plain words
+  const WEEKDAY = "(sunday|monday|tuesday|wednesday|thursday|friday|saturday|mon|tues?|wed|thu(?:rs?)?|fri)";
+  // Full names or their usual abbreviations only, so "markers" or "junk" never read as months
+  const MONTH = "(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec)(?![a-z])\\.?";
+  const PREP = "(?:(?:on|by|due|before)\\s+)?";
+  const UNIT_DAYS = { day: 1, days: 1, week: 7, weeks: 7 };
+
+  function weekdayIndex(word) {
+    return WEEKDAYS.findIndex((d) => d.startsWith(word.toLowerCase().slice(0, 3)));
+  }
+
+  function monthIndex(word) {
+    return MONTHS.findIndex((m) => m.startsWith(word.toLowerCase().slice(0, 3)));
+  }
+
+  function addDays(date, n) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + n);
+    return d;
+  }
+
+  function startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+  }
+
+  // Nearest given weekday from today (today counts); "next" skips today
+  function upcomingWeekday(today, index, skipToday) {
+    let diff = (index - today.getDay() + 7) % 7;
+    if (diff === 0 && skipToday) diff = 7;
+    return addDays(today, diff);
+  }
+
+  // Rules are tried in order; each returns a Date (date part only) for its match
+  const DATE_RULES = [
+    [/\b(\d{4})-(\d{2})-(\d{2})\b/, (m) => (isIsoDate(`${m[1]}-${m[2]}-${m[3]}`) ? new Date(+m[1], m[2] - 1, +m[3]) : null)],
+    [/\bday after tomorrow\b/, (m, today) => addDays(today, 2)],
+    [/\b(?:tomorrow|tmrw?|tmr)\b/, (m, today) => addDays(today, 1)],
+    [/\btoday\b/, (m, today) => today],
+    [/\btonight\b/, (m, today) => today, "20:00"],
+    [/\bin\s+(a|an|one|\d+)\s+(days?|weeks?|months?)\b/, (m, today) => {
+      const n = /^\d+$/.test(m[1]) ? +m[1] : 1;
+      if (m[2].startsWith("month")) {
+        const d = new Date(today);
+        d.setMonth(d.getMonth() + n);
+        return d;
+      }
+      return addDays(today, n * UNIT_DAYS[m[2]]);
+    }],
+    [/\b(?:end of (?:the )?month|eom)\b/, (m, today) => new Date(today.getFullYear(), today.getMonth() + 1, 0)],
+    // end of the working week
+    [/\b(?:end of (?:the )?week|eow)\b/, (m, today) => upcomingWeekday(today, 5, false)],
+    [/\bnext week\b/, (m, today) => upcomingWeekday(today, 1, true)],
+    [/\bnext month\b/, (m, today) => new Date(today.getFullYear(), today.getMonth() + 1, 1)],
+    [new RegExp(`\\b(next|this)?\\s*${WEEKDAY}\\b`), (m, today) => upcomingWeekday(today, weekdayIndex(m[2]), m[1] === "next")],
+    [new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`), (m, today) => monthDay(today, m[1], m[2], m[3])],
+    [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH}(?:\\s+(\\d{4}))?\\b`), (m, today) => monthDay(today, m[2], m[1], m[3])],
+  ];
+
+  // Without a year, a date that already passed this year means next year
+  function monthDay(today, monthWord, day, year) {
+    const month = monthIndex(monthWord);
+    if (month < 0 || +day < 1 || +day > 31) return null;
+    let d = new Date(year ? +year : today.getFullYear(), month, +day);
+    if (d.getMonth() !== month) return null;
+    if (!year && d < today) d = new Date(today.getFullYear() + 1, month, +day);
+    return d;
+  }
+
+  const TIME_RULES = [
+    [/(?:\bat\s+|@\s*)?\b(\d{1,2})(?::([0-5]\d))?\s*(am|pm)\b/, (m) => {
+      let h = +m[1];
+      if (h < 1 || h > 12) return null;
+      if (m[3] === "pm" && h !== 12) h += 12;
+      if (m[3] === "am" && h === 12) h = 0;
+      return [h, +(m[2] || 0)];
+    }],
+    // A bare H:MM needs "at" or "@" in front; "Chapter 1:15" is a reference, not a time
+    [/(?:\bat\s+|@\s*)([01]?\d|2[0-3]):([0-5]\d)\b/, (m) => [+m[1], +m[2]]],
+    [/\b(?:at\s+)?noon\b/, () => [12, 0]],
+    [/\b(?:at\s+)?midnight\b/, () => [0, 0]],
+  ];
+
+  const pad = (n) => String(n).padStart(2, "0");
+
+  function parse(input, now = new Date()) {
+    const today = startOfDay(now);
+    let rest = ` ${input} `;
+    const result = { title: "", dueDate: "", dueTime: "", priority: "", tags: [] };
+
+    // Replace the first whole-word match of `re` with a space and hand its lowercased groups
+    // (originals in groups.raw) to `fn`; returning false from `fn` rejects the match
+    function take(re, fn) {
+      const m = new RegExp(`(^|\\s)${re.source}(?=\\s|$)`, re.unicode ? "iu" : "i").exec(rest);
+      if (!m) return false;
+      const raw = [m[0].slice(m[1].length), ...m.slice(2)];
+      const groups = raw.map((g) => (g == null ? g : g.toLowerCase()));
+      groups.raw = raw;
+      if (fn(groups) === false) return false;
+      rest = rest.slice(0, m.index) + " " + rest.slice(m.index + m[0].length);
+      return true;
+    }
+
+    while (take(/#([\p{L}\p{N}_-]+)/u, (g) => {
+      if (!result.tags.includes(g.raw[1])) result.tags.push(g.raw[1]);
+    }));
+
+    take(/!(high|medium|med|low|h|m|l|1|2|3)/, (g) => { result.priority = PRIORITY_WORDS[g[1]]; });
+
+    let impliedTime = "";
+    for (const [re, fn, time] of DATE_RULES) {
+      const prefixed = new RegExp(`${PREP}${re.source}`);
+      const found = take(prefixed, (g) => {
+        const d = fn(g, today);
+        if (!d) return false;
+        result.dueDate = toDateInputValue(d);
+        impliedTime = time || "";
+      });
+      if (found) break;
+    }
+
+    for (const [re, fn] of TIME_RULES) {
+      const found = take(re, (g) => {
+        const t = fn(g);
+        if (!t) return false;
+        result.dueTime = `${pad(t[0])}:${pad(t[1])}`;
+      });
+      if (found) break;
+    }
+    if (!result.dueTime) result.dueTime = impliedTime;
+
+    // A time on its own means its next occurrence
+    if (result.dueTime && !result.dueDate) {
+      const [h, m] = result.dueTime.split(":").map(Number);
+      const at = new Date(today);
+      at.setHours(h, m, 0, 0);
+      result.dueDate = toDateInputValue(at > now ? today : addDays(today, 1));
+    }
+
+    result.title = rest.replace(/\s+/g, " ").trim();
+    return result;
+  }
+
+  return { parse };
+})();
+
+// -----------------------------
+// Search query language: tag:work -tag:later priority:high due:<2026-11-01 is:open "phrase"
+// -----------------------------
+
+const Query = (function () {
+  const FIELDS = ["tag", "priority", "due", "is", "has", "list"];
+  const PRIORITY_RANK = { low: 0, medium: 1, high: 2 };
+  const IS_VALUES = ["open", "active", "done", "completed", "overdue", "recurring"];
+  const HAS_VALUES = ["due", "reminder", "subtasks", "tags"];
+  const OPS = ["<=", ">=", "<", ">", "="];
+
+  class QueryError extends Error {
+    constructor(message, start, end) {
+      super(message);
+      this.name = "QueryError";
+      this.start = start;
+      this.end = end;
+    }
+  }
+
+  /**
+   * Split the input into tokens: word, phrase, field, not ("-" / NOT), and, or, lparen, rparen.
+   * `name:value` is only a field for known names, so "10:30" stays a plain word.
+   */
+  function tokenize(input, errors) {
+    const tokens = [];
+    let i = 0;
+    while (i < input.length) {
+      const ch = input[i];
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+      const start = i;
+      if (ch === "(" || ch === ")") {
+        tokens.push({ type: ch === "(" ? "lparen" : "rparen", text: ch, start, end: ++i });
+        continue;
+      }
+      if (ch === "-" && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+        tokens.push({ type: "not", text: "-", start, end: ++i });
+        continue;
+      }
+      if (ch === '"') {
+        const close = input.indexOf('"', i + 1);
+        const end = close < 0 ? input.length : close + 1;
+        if (close < 0) errors.push(new QueryError("Missing closing quote", start, end));
+        tokens.push({ type: "phrase", text: input.slice(start, end), value: input.slice(i + 1, close < 0 ? end : close), start, end });
+        i = end;
+        continue;
+      }
+      while (i < input.length && !/[\s()]/.test(input[i])) {
+        // A quoted field value may contain spaces: list:"Side projects"
+        if (input[i] === '"') {
+          const close = input.indexOf('"', i + 1);
+          i = close < 0 ? input.length : close + 1;
+        } else {
+          i++;
+        }
+      }
+      const text = input.slice(start, i);
+      const field = /^([a-z]+):(.*)$/i.exec(text);
+      if (field && FIELDS.includes(field[1].toLowerCase())) {
+        tokens.push({ type: "field", text, field: field[1].toLowerCase(), value: field[2].replace(/^"|"$/g, ""), start, end: i });
+      } else if (text === "OR" || text === "AND" || text === "NOT") {
+        tokens.push({ type: text === "NOT" ? "not" : text.toLowerCase(), text, start, end: i });
+      } else {
+        tokens.push({ type: "word", text, value: text, start, end: i });
+      }
+    }
+    return tokens;
+  }
+
+  // Field term → AST node; throws QueryError for values it can't understand
+  function fieldNode(token) {
+    const { field, start, end } = token;
+    const raw = token.value.trim().toLowerCase();
+    const fail = (message) => { throw new QueryError(message, start, end); };
+    if (!raw) fail(`"${field}:" needs a value`);
+    switch (field) {
+      case "tag":
+        return { type: "tag", value: raw.replace(/^#/, "") };
+      case "list":
+        return { type: "list", value: raw };
+      case "is":
+        if (!IS_VALUES.includes(raw)) fail(`"is:" expects one of ${IS_VALUES.join(", ")}`);
+        return { type: "is", value: raw };
+      case "has":
+        if (!HAS_VALUES.includes(raw)) fail(`"has:" expects one of ${HAS_VALUES.join(", ")}`);
+        return { type: "has", value: raw };
+      case "priority": {
+        const m = /^(<=|>=|<|>|=)?(low|medium|med|high)$/.exec(raw);
+        if (!m) fail('"priority:" expects low, medium or high (optionally with <, <=, >, >=)');
+        return { type: "priority", op: m[1] || "=", value: m[2] === "med" ? "medium" : m[2] };
+      }
+      case "due": {
+        if (["none", "any", "overdue"].includes(raw)) return { type: "due", op: raw, value: "" };
+        const op = OPS.find((o) => raw.startsWith(o)) || "=";
+        const value = raw.slice(op === "=" && !raw.startsWith("=") ? 0 : op.length);
+        if (!isIsoDate(value) && !/^(today|tomorrow|yesterday|[+-]\d{1,4}d)$/.test(value)) {
+          fail('"due:" expects a date (YYYY-MM-DD, today, tomorrow, yesterday, +7d) or none/any/overdue');
+        }
+        return { type: "due", op, value };
+      }
+      default:
+        return fail(`Unknown field "${field}:"`);
+    }
+  }
+
+  /**
+   * Parse a query. Returns { ast, tokens, errors }; ast is null for an empty query or
+   * when there are errors (each error has start/end offsets into the input).
+   * Grammar: or := and (OR and)* ; and := unary ([AND] unary)* ; unary := (NOT|-) unary | ( or ) | term
+   */
+  function parse(input) {
+    const errors = [];
+    const tokens = tokenize(String(input || ""), errors);
+    let pos = 0;
+    const peek = () => tokens[pos];
+
+    function parseOr() {
+      const items = [parseAnd()];
+      while (peek() && peek().type === "or") {
+        const op = tokens[pos++];
+        if (!peek() || peek().type === "rparen") throw new QueryError("OR needs a term after it", op.start, op.end);
+        items.push(parseAnd());
+      }
+      return items.length === 1 ? items[0] : { type: "or", items };
+    }
+
+    function parseAnd() {
+      const items = [parseUnary()];
+      while (peek() && peek().type !== "or" && peek().type !== "rparen") {
+        if (peek().type === "and") {
+          const op = tokens[pos++];
+          if (!peek() || ["or", "rparen"].includes(peek().type)) throw new QueryError("AND needs a term after it", op.start, op.end);
+        }
+        items.push(parseUnary());
+      }
+      return items.length === 1 ? items[0] : { type: "and", items };
+    }
+
+    function parseUnary() {
+      const token = tokens[pos++];
+      if (!token) {
+        const last = tokens[tokens.length - 1];
+        throw new QueryError("Query ends too early", last ? last.start : 0, last ? last.end : 0);
+      }
+      switch (token.type) {
+        case "not":
+          if (!peek()) throw new QueryError("Nothing to negate", token.start, token.end);
+          return { type: "not", item: parseUnary() };
+        case "lparen": {
+          if (peek() && peek().type === "rparen") throw new QueryError("Empty parentheses", token.start, peek().end);
+          const inner = parseOr();
+          if (!peek() || peek().type !== "rparen") throw new QueryError("Missing closing parenthesis", token.start, token.end);
+          pos++;
+          return inner;
+        }
+        case "rparen":
+          throw new QueryError("Unexpected closing parenthesis", token.start, token.end);
+        case "or":
+        case "and":
+          throw new QueryError(`${token.text} needs a term before it`, token.start, token.end);
+        case "field":
+          return fieldNode(token);
+        default: // word or "quoted phrase"
+          return { type: "text", value: token.value.toLowerCase() };
+      }
+    }
+
+    let ast = null;
+    if (tokens.length && !errors.length) {
+      try {
+        ast = parseOr();
+        if (pos < tokens.length) {
+          const extra = tokens[pos];
+          throw new QueryError("Unexpected closing parenthesis", extra.start, extra.end);
+        }
+      } catch (e) {
+        if (!(e instanceof QueryError)) throw e;
+        errors.push(e);
+        ast = null;
+      }
+    }
+    // Mark the tokens an error points at, for highlighting
+    tokens.forEach((t) => {
+      t.error = errors.some((e) => t.start < e.end && t.end > e.start);
+    });
+    return { ast, tokens, errors };
+  }
+
+  function shiftIso(iso, days) {
+    const [y, m, d] = iso.split("-").map(Number);
+    return toDateInputValue(new Date(y, m - 1, d + days));
+  }
+
+  function resolveDate(value, today) {
+    if (value === "today") return today;
+    if (value === "tomorrow") return shiftIso(today, 1);
+    if (value === "yesterday") return shiftIso(today, -1);
+    const rel = /^([+-]\d+)d$/.exec(value);
+    return rel ? shiftIso(today, Number(rel[1])) : value;
+  }
+
+  function compare(a, op, b) {
+    switch (op) {
+      case "<": return a < b;
+      case "<=": return a <= b;
+      case ">": return a > b;
+      case ">=": return a >= b;
+      default: return a === b;
+    }
+  }
+
+  function isOverdue(task, ctx) {
+    if (task.completed || !task.dueDate) return false;
+    if (task.dueDate < ctx.today) return true;
+    return task.dueDate === ctx.today && !!task.dueTime && dueTimestamp(task) < ctx.now;
+  }
+
+  /**
+   * Does `task` satisfy `ast`? ctx: { today: "YYYY-MM-DD", now: ms, listName(task),
+   * subtaskHits?: Set } — ids of tasks matched only through a subtask's text are added to subtaskHits.
+   */
+  function matches(ast, task, ctx) {
+    switch (ast.type) {
+      case "and":
+        return ast.items.every((n) => matches(n, task, ctx));
+      case "or":
+        return ast.items.some((n) => matches(n, task, ctx));
+      case "not":
+        return !matches(ast.item, task, { ...ctx, subtaskHits: null });
+      case "text": {
+        if (task.text.toLowerCase().includes(ast.value) || task.tags.some((t) => t.toLowerCase().includes(ast.value))) return true;
+        const viaSubtask = task.subtasks.some((s) => s.text.toLowerCase().includes(ast.value));
+        if (viaSubtask && ctx.subtaskHits) ctx.subtaskHits.add(task.id);
+        return viaSubtask;
+      }
+      case "tag":
+        return task.tags.some((t) => t.toLowerCase() === ast.value);
+      case "list":
+        return (ctx.listName ? ctx.listName(task) : "").toLowerCase().includes(ast.value);
+      case "priority":
+        return compare(PRIORITY_RANK[task.priority], ast.op, PRIORITY_RANK[ast.value]);
+      case "is":
+        if (ast.value === "open" || ast.value === "active") return !task.completed;
+        if (ast.value === "done" || ast.value === "completed") return task.completed;
+        if (ast.value === "overdue") return isOverdue(task, ctx);
+        return !!task.recurrence;
+      case "has":
+        if (ast.value === "due") return !!task.dueDate;
+        if (ast.value === "reminder") return !!task.reminder;
+        if (ast.value === "subtasks") return task.subtasks.length > 0;
+        return task.tags.length > 0;
+      case "due":
+        if (ast.op === "none") return !task.dueDate;
+        if (ast.op === "any") return !!task.dueDate;
+        if (ast.op === "overdue") return isOverdue(task, ctx);
+        return !!task.dueDate && compare(task.dueDate, ast.op, resolveDate(ast.value, ctx.today));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Tag being typed at the caret ("tag:wo|" or "-tag:|"), for autocomplete:
+   * { prefix, from, to } where from/to delimit the value to replace; null otherwise.
+   */
+  function completionAt(input, caret) {
+    let start = caret;
+    while (start > 0 && !/[\s()]/.test(input[start - 1])) start--;
+    let end = caret;
+    while (end < input.length && !/[\s()]/.test(input[end])) end++;
+    const m = /^(-?tag:)([^\s()"]*)$/i.exec(input.slice(start, end));
+    if (!m) return null;
+    return { prefix: m[2].replace(/^#/, "").toLowerCase(), from: start + m[1].length, to: end };
+  }
+
+  return { FIELDS, QueryError, parse, matches, completionAt };
+})();
+
+// -----------------------------
+// View state in the URL hash: #filter=active&sort=due&tag=work&q=is:open&list=default&layout=board
+// -----------------------------
+
+const Views = (function () {
+  // View field → URL parameter
+  const PARAMS = { filter: "filter", sort: "sort", search: "q", tagFilter: "tag", listId: "list", layout: "layout", boardGroup: "group", calendarMode: "cal" };
+  const DEFAULTS = { filter: "all", sort: "created", search: "", tagFilter: "", listId: DEFAULT_LIST.id, layout: "list", boardGroup: "status", calendarMode: "month" };
+
+  // Fill in missing or invalid fields with their defaults
+  function normalize(raw) {
+    const view = { ...DEFAULTS };
+    if (!raw || typeof raw !== "object") return view;
+    if (FILTERS.includes(raw.filter)) view.filter = raw.filter;
+    if (SORTS.includes(raw.sort)) view.sort = raw.sort;
+    if (typeof raw.search === "string") view.search = raw.search;
+    if (typeof raw.tagFilter === "string") view.tagFilter = raw.tagFilter.replace(/^#/, "");
+    if (typeof raw.listId === "string" && raw.listId) view.listId = raw.listId;
+    if (LAYOUTS.includes(raw.layout)) view.layout = raw.layout;
+    if (BOARD_GROUPS.includes(raw.boardGroup)) view.boardGroup = raw.boardGroup;
+    if (CALENDAR_MODES.includes(raw.calendarMode)) view.calendarMode = raw.calendarMode;
+    return view;
+  }
+
+  function current(state) {
+    return normalize({
+      filter: state.filter,
+      sort: state.sort,
+      search: state.search,
+      tagFilter: state.tagFilter,
+      listId: state.activeListId,
+      layout: state.layout,
+      boardGroup: state.boardGroup,
+      calendarMode: state.calendarMode,
+    });
+  }
+
+  function apply(state, view) {
+    const v = normalize(view);
+    state.filter = v.filter;
+    state.sort = v.sort;
+    state.search = v.search;
+    state.tagFilter = v.tagFilter;
+    state.activeListId = v.listId;
+    state.layout = v.layout;
+    state.boardGroup = v.boardGroup;
+    state.calendarMode = v.calendarMode;
+  }
+
+  function equals(a, b) {
+    return Object.keys(PARAMS).every((k) => a[k] === b[k]);
+  }
+
+  // "#..." with only the fields that differ from the defaults; "" for the default view
+  function toHash(view) {
+    const params = new URLSearchParams();
+    Object.entries(PARAMS).forEach(([key, param]) => {
+      if (view[key] !== DEFAULTS[key]) params.set(param, view[key]);
+    });
+    const query = params.toString();
+    return query ? `#${query}` : "";
+  }
+
+  // View described by a hash, or null when it names no view fields (e.g. a plain page load)
+  function fromHash(hash) {
+    const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+    const raw = {};
+    let found = false;
+    Object.entries(PARAMS).forEach(([key, param]) => {
+      if (!params.has(param)) return;
+      raw[key] = params.get(param);
+      found = true;
+    });
+    return found ? normalize(raw) : null;
+  }
+
+  return { DEFAULTS, normalize, current, apply, equals, toHash, fromHash };
+})();
+
+// -----------------------------
+// Board: kanban columns grouped by status, priority or tag
+// -----------------------------
+
+const Board = (function () {
+  const COLUMNS = {
+    status: [
+      { key: "todo", title: "To do" },
+      { key: "doing", title: "In progress" },
+      { key: "done", title: "Done" },
+    ],
+    priority: [
+      { key: "high", title: "High" },
+      { key: "medium", title: "Medium" },
+      { key: "low", title: "Low" },
+    ],
+  };
+  const NO_TAG = ""; // column key for untagged tasks
+
+  function statusOf(task) {
+    if (task.completed) return "done";
+    return task.inProgress ? "doing" : "todo";
+  }
+
+  // Column keys a task shows under; a task with several tags is in each tag's column
+  function keysOf(task, group) {
+    if (group === "priority") return [task.priority];
+    if (group === "tag") return task.tags.length ? task.tags : [NO_TAG];
+    return [statusOf(task)];
+  }
+
+  /**
+   * Columns for tasks that are already filtered and sorted: [{ key, title, tasks }].
+   * Tag boards get one column per tag in use, alphabetically, then "No tag".
+   */
+  function columns(tasks, group) {
+    let defs = COLUMNS[group] || COLUMNS.status;
+    if (group === "tag") {
+      const tags = Array.from(new Set(tasks.flatMap((t) => t.tags))).sort((a, b) => a.localeCompare(b));
+      defs = [...tags.map((tag) => ({ key: tag, title: `#${tag}` })), { key: NO_TAG, title: "No tag" }];
+    }
+    return defs.map((def) => ({ ...def, tasks: tasks.filter((t) => keysOf(t, group).includes(def.key)) }));
+  }
+
+  /**
+   * Task fields that move a card from column `from` to column `to`; null for no move.
+   * On a tag board the card's `from` tag is swapped for `to` ("No tag" clears them all).
+   */
+  function moveFields(task, group, from, to) {
+    if (from === to) return null;
+    if (group === "priority") return { priority: to };
+    if (group === "tag") {
+      if (to === NO_TAG) return { tags: [] };
+      if (task.tags.includes(to)) return { tags: task.tags.filter((t) => t !== from) };
+      return { tags: from === NO_TAG ? [...task.tags, to] : task.tags.map((t) => (t === from ? to : t)) };
+    }
+    return { completed: to === "done", inProgress: to === "doing" };
+  }
+
+  return { NO_TAG, statusOf, columns, moveFields };
+})();
+
+// -----------------------------
+// Calendar: month and week grids of due dates
+// -----------------------------
+
+const Calendar = (function () {
+  const WEEK_START = 1; // Monday
+  const MONTH_CHIPS = 3; // tasks shown in a month cell before "+N more"
+
+  function parseDate(s) {
+    const [y, m, d] = s.split("-").map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  function addDays(date, n) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + n);
+    return d;
+  }
+
+  function startOfWeek(date) {
+    return addDays(date, -((date.getDay() - WEEK_START + 7) % 7));
+  }
+
+  // ISO day `n` days after `iso`
+  function offset(iso, n) {
+    return toDateInputValue(addDays(parseDate(iso), n));
+  }
+
+  // ISO days on screen: the anchor's week, or six whole weeks covering its month
+  function days(anchor, mode) {
+    const date = parseDate(anchor);
+    const start = mode === "week" ? startOfWeek(date) : startOfWeek(new Date(date.getFullYear(), date.getMonth(), 1));
+    return Array.from({ length: mode === "week" ? 7 : 42 }, (_, i) => toDateInputValue(addDays(start, i)));
+  }
+
+  // Previous/next page; months keep the day where they can (Jan 31 → Feb 28)
+  function shift(anchor, mode, delta) {
+    if (mode === "week") return offset(anchor, 7 * delta);
+    const date = parseDate(anchor);
+    const target = new Date(date.getFullYear(), date.getMonth() + delta, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), lastDay));
+    return toDateInputValue(target);
+  }
+
+  function title(anchor, mode) {
+    if (mode !== "week") return parseDate(anchor).toLocaleDateString(undefined, { month: "long", year: "numeric" });
+    const week = days(anchor, "week");
+    const first = parseDate(week[0]).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+    const last = parseDate(week[6]).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+    return `${first} – ${last}`;
+  }
+
+  function weekdayNames() {
+    const start = startOfWeek(new Date());
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i).toLocaleDateString(undefined, { weekday: "short" }));
+  }
+
+  function dayLabel(iso) {
+    return parseDate(iso).toLocaleDateString(undefined, { weekday: "long", month: "long", day: "numeric", year: "numeric" });
+  }
+
+  // Dated tasks by ISO day, untimed ones first and then by due time
+  function byDay(tasks) {
+    const map = new Map();
+    tasks.forEach((t) => {
+      if (!t.dueDate) return;
+      if (!map.has(t.dueDate)) map.set(t.dueDate, []);
+      map.get(t.dueDate).push(t);
+    });
+    map.forEach((dayTasks) => dayTasks.sort((a, b) => a.dueTime.localeCompare(b.dueTime)));
+    return map;
+  }
+
+  return { MONTH_CHIPS, offset, days, shift, title, weekdayNames, dayLabel, byDay };
+})();
+
+// -----------------------------
+// Stats: completion history, streaks and breakdowns for the statistics panel
+// -----------------------------
+
+const Stats = (function () {
+  const HOUR_MS = 60 * 60 * 1000;
+  const DAY_MS = 24 * HOUR_MS;
+
+  // Completions per local ISO day; tasks without a completion time are left out
+  function completionsByDay(tasks) {
+    const map = new Map();
+    tasks.forEach((t) => {
+      if (!t.completed || !t.completedAt) return;
+      const day = toDateInputValue(new Date(t.completedAt));
+      map.set(day, (map.get(day) || 0) + 1);
+    });
+    return map;
+  }
+
+  // The last `n` days up to today, oldest first: [{ date, count }]
+  function perDay(byDay, n, today) {
+    return Array.from({ length: n }, (_, i) => {
+      const date = Calendar.offset(today, i - n + 1);
+      return { date, count: byDay.get(date) || 0 };
+    });
+  }
+
+  // The last `n` weeks (Monday to Sunday) up to this one, oldest first: [{ start, count }]
+  function perWeek(byDay, n, today) {
+    const thisWeek = Calendar.days(today, "week")[0];
+    return Array.from({ length: n }, (_, i) => {
+      const start = Calendar.offset(thisWeek, 7 * (i - n + 1));
+      const count = Calendar.days(start, "week").reduce((sum, day) => sum + (byDay.get(day) || 0), 0);
+      return { start, count };
+    });
+  }
+
+  // Runs of consecutive days with a completion; today not being done yet doesn't break the current one
+  function streaks(byDay, today) {
+    const days = Array.from(byDay.keys()).sort();
+    let longest = 0;
+    let run = 0;
+    days.forEach((day, i) => {
+      run = i > 0 && Calendar.offset(days[i - 1], 1) === day ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    });
+    let current = 0;
+    let day = byDay.has(today) ? today : Calendar.offset(today, -1);
+    while (byDay.has(day)) {
+      current += 1;
+      day = Calendar.offset(day, -1);
+    }
+    return { current, longest };
+  }
+
+  function isOverdue(task, now) {
+    if (task.completed || !task.dueDate) return false;
+    const today = toDateInputValue(now);
+    if (task.dueDate !== today) return task.dueDate < today;
+    return !!task.dueTime && dueTimestamp(task) < now.getTime();
+  }
+
+  // [{ key, total, completed }] for each value of `keysOf(task)`, in `order` or by size
+  function breakdown(tasks, keysOf, order = null) {
+    const rows = new Map((order || []).map((key) => [key, { key, total: 0, completed: 0 }]));
+    tasks.forEach((t) => keysOf(t).forEach((key) => {
+      if (!rows.has(key)) rows.set(key, { key, total: 0, completed: 0 });
+      const row = rows.get(key);
+      row.total += 1;
+      if (t.completed) row.completed += 1;
+    }));
+    const out = Array.from(rows.values());
+    return order ? out : out.sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+  }
+
+  /** Everything the statistics panel shows for `tasks`, as of `now`. */
+  function summarize(tasks, { now = new Date(), days = 14, weeks = 8 } = {}) {
+    const today = toDateInputValue(now);
+    const byDay = completionsByDay(tasks);
+    const timed = tasks.filter((t) => t.completed && t.completedAt && t.completedAt >= t.createdAt);
+    const completed = tasks.filter((t) => t.completed).length;
+    return {
+      total: tasks.length,
+      completed,
+      active: tasks.length - completed,
+      overdue: tasks.filter((t) => isOverdue(t, now)).length,
+      // Completed tasks from before completion times were recorded
+      untracked: tasks.filter((t) => t.completed && !t.completedAt).length,
+      perDay: perDay(byDay, days, today),
+      perWeek: perWeek(byDay, weeks, today),
+      streak: streaks(byDay, today),
+      averageMs: timed.length ? timed.reduce((sum, t) => sum + (t.completedAt - t.createdAt), 0) / timed.length : null,
+      byPriority: breakdown(tasks, (t) => [t.priority], ["high", "medium", "low"]),
+      byTag: breakdown(tasks, (t) => t.tags),
+    };
+  }
+
+  // "45 min", "5.5 h", "3.2 days"
+  function formatDuration(ms) {
+    if (ms < HOUR_MS) return `${Math.max(1, Math.round(ms / 60000))} min`;
+    if (ms < DAY_MS) return `${+(ms / HOUR_MS).toFixed(1)} h`;
+    const d = +(ms / DAY_MS).toFixed(1);
+    return `${d} day${d === 1 ? "" : "s"}`;
+  }
+
+  return { summarize, formatDuration };
+})();
+
+// -----------------------------
+// Subtasks: a checklist of steps inside a task
+// -----------------------------
+
+/**
+ * Subtasks are one level deep: each is { id, text, completed } with no subtasks of its own.
+ * A step that needs steps of its own is better made a task of its own.
+ */
+const Subtasks = (function () {
+  function progress(subtasks) {
+    return { done: subtasks.filter((s) => s.completed).length, total: subtasks.length };
+  }
+
+  // Whether giving `task` the checklist `subtasks` should complete it too (the autoCompleteParent setting)
+  function completesParent(task, subtasks, autoComplete) {
+    return !!autoComplete && !task.completed && subtasks.length > 0 && subtasks.every((s) => s.completed);
+  }
+
+  /**
+   * [{ id, fields }] for updateTasksCommand that move subtask `subId` of task `fromId` to
+   * `toIndex` in the checklist of task `toId` (the same task reorders it); [] when any is missing.
+   */
+  function move(tasks, fromId, subId, toId, toIndex) {
+    const from = tasks.find((t) => t.id === fromId);
+    const to = tasks.find((t) => t.id === toId);
+    const sub = from && from.subtasks.find((s) => s.id === subId);
+    if (!to || !sub) return [];
+    const fromList = from.subtasks.filter((s) => s.id !== subId);
+    if (fromId === toId) {
+      fromList.splice(Math.min(toIndex, fromList.length), 0, sub);
+      return [{ id: fromId, fields: { subtasks: fromList } }];
+    }
+    const toList = to.subtasks.slice();
+    toList.splice(Math.min(toIndex, toList.length), 0, sub);
+    return [
+      { id: fromId, fields: { subtasks: fromList } },
+      { id: toId, fields: { subtasks: toList } },
+    ];
+  }
+
+  return { progress, completesParent, move };
+})();
+
+// -----------------------------
+// Bulk edits: one change applied to many tasks at once
+// -----------------------------
+
+const Bulk = (function () {
+  function fieldsFor(task, change) {
+    if ("priority" in change) return { priority: change.priority };
+    if ("listId" in change) return { listId: change.listId };
+    if ("dueDate" in change) {
+      if (change.dueDate) return { dueDate: change.dueDate };
+      // No due date: the time goes too, and so do reminders relative to it
+      const fields = { dueDate: "", dueTime: "" };
+      if (task.reminder && task.reminder.type !== "custom") fields.reminder = null;
+      return fields;
+    }
+    if ("shiftDays" in change) return task.dueDate ? { dueDate: Calendar.offset(task.dueDate, change.shiftDays) } : null;
+    if ("addTags" in change) {
+      // Matched ignoring case, as removeTags does; a tag the task has keeps its spelling
+      const have = new Set(task.tags.map((t) => t.toLowerCase()));
+      const tags = task.tags.slice();
+      change.addTags.forEach((t) => {
+        if (have.has(t.toLowerCase())) return;
+        have.add(t.toLowerCase());
+        tags.push(t);
+      });
+      return { tags };
+    }
+    if ("removeTags" in change) {
+      const drop = new Set(change.removeTags.map((t) => t.toLowerCase()));
+      return { tags: task.tags.filter((t) => !drop.has(t.toLowerCase())) };
+    }
+    return null;
+  }
+
+  /**
+   * [{ id, fields }] for updateTasksCommand. `change` is one of { priority }, { listId },
+   * { dueDate } ("" clears it), { shiftDays } (undated tasks stay undated), { addTags } or { removeTags }.
+   */
+  function updates(tasks, ids, change) {
+    const wanted = new Set(ids);
+    return tasks
+      .filter((t) => wanted.has(t.id))
+      .map((t) => ({ id: t.id, fields: fieldsFor(t, change) }))
+      .filter((u) => u.fields);
+  }
+
+  // Ids from one row to another in on-screen `order`, both included, whichever comes first
+  function range(order, fromId, toId) {
+    const to = order.indexOf(toId);
+    if (to < 0) return [];
+    const from = order.indexOf(fromId);
+    if (from < 0) return [toId];
+    return order.slice(Math.min(from, to), Math.max(from, to) + 1);
+  }
+
+  // "work, #home urgent" → ["work", "home", "urgent"]
+  function parseTags(text) {
+    return Array.from(new Set(text.split(/[,\s]+/).map((t) => t.replace(/^#/, "")).filter(Boolean)));
+  }
+
+  return { updates, range, parseTags };
+})();
+
+// -----------------------------
+// Keyboard shortcuts: remappable bindings and fuzzy matching
+// -----------------------------
+
+const Shortcuts = (function () {
+  const STORAGE_KEY = "todo_shortcuts_v1";
+  const MODIFIERS = ["Ctrl", "Alt", "Shift"];
+
+  // Order here is the order of the "?" overlay
+  const ACTIONS = [
+    { id: "next", label: "Focus next task", keys: ["j"] },
+    { id: "prev", label: "Focus previous task", keys: ["k"] },
+    { id: "toggle", label: "Complete / reopen focused task", keys: ["x"] },
+    { id: "edit", label: "Edit focused task", keys: ["e"] },
+    { id: "delete", label: "Delete focused task", keys: ["Delete"] },
+    { id: "moveUp", label: "Move focused task up", keys: ["Alt+ArrowUp"] },
+    { id: "moveDown", label: "Move focused task down", keys: ["Alt+ArrowDown"] },
+    { id: "newTask", label: "New task", keys: ["n"] },
+    { id: "search", label: "Search", keys: ["/"] },
+    { id: "undo", label: "Undo", keys: ["Ctrl+z"] },
+    { id: "redo", label: "Redo", keys: ["Ctrl+Shift+z", "Ctrl+y"] },
+    { id: "palette", label: "Command palette", keys: ["Ctrl+k"] },
+    { id: "help", label: "Show keyboard shortcuts", keys: ["?"] },
+  ];
+  // Work even while typing in a text field
+  const GLOBAL = new Set(["palette"]);
+
+  function keyName(key) {
+    if (key === " ") return "Space";
+    if (key === "Esc") return "Escape";
+    if (key === "Del") return "Delete";
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  /**
+   * Canonical "Ctrl+Alt+Shift+key" string for a keydown event. Cmd counts as Ctrl;
+   * Shift is dropped for punctuation so "?" stays "?" on every layout.
+   */
+  function fromEvent(e) {
+    if (["Control", "Alt", "Shift", "Meta"].includes(e.key)) return "";
+    const key = keyName(e.key);
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push("Ctrl");
+    if (e.altKey) parts.push("Alt");
+    if (e.shiftKey && (key.length > 1 || /[a-z0-9]/.test(key))) parts.push("Shift");
+    parts.push(key);
+    return parts.join("+");
+  }
+
+  // Normalize a typed or stored combo ("ctrl+K", "Cmd+k") to the fromEvent() form
+  function normalize(combo) {
+    if (typeof combo !== "string" || !combo.trim()) return "";
+    const raw = combo.trim();
+    const tokens = raw === "+" ? ["+"] : raw.split(/\+(?!$)/);
+    const key = keyName(tokens.pop());
+    const mods = new Set(tokens.map((t) => {
+      const m = t.trim().toLowerCase();
+      if (m === "cmd" || m === "meta" || m === "control") return "Ctrl";
+      return m.charAt(0).toUpperCase() + m.slice(1);
+    }));
+    if ([...mods].some((m) => !MODIFIERS.includes(m))) return "";
+    if (key.length === 1 && !/[a-z0-9]/.test(key)) mods.delete("Shift");
+    return [...MODIFIERS.filter((m) => mods.has(m)), key].join("+");
+  }
+
+  // Human-readable label ("Ctrl+K", "Alt+↑")
+  function format(combo) {
+    const arrows = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+    return combo.split(/\+(?!$)/).map((p) => arrows[p] || (p.length === 1 ? p.toUpperCase() : p)).join("+");
+  }
+
+  function loadOverrides() {
+    try {
+      const raw = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return raw && typeof raw === "object" ? raw : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /** Current bindings: { actionId: [combo, ...] } with user overrides applied. */
+  function bindings() {
+    const overrides = loadOverrides();
+    const out = {};
+    for (const action of ACTIONS) {
+      const custom = Array.isArray(overrides[action.id]) ? overrides[action.id].map(normalize).filter(Boolean) : null;
+      out[action.id] = custom && custom.length ? custom : action.keys.map(normalize);
+    }
+    return out;
+  }
+
+  /** Action bound to a keydown event, or null. */
+  function match(e, current = bindings()) {
+    const combo = fromEvent(e);
+    if (!combo) return null;
+    return ACTIONS.map((a) => a.id).find((id) => current[id].includes(combo)) || null;
+  }
+
+  /**
+   * Rebind an action to a single combo. Returns { ok, conflict } where conflict is
+   * the label of the action already using the combo.
+   */
+  function set(actionId, combo) {
+    const key = normalize(combo);
+    if (!key || !ACTIONS.some((a) => a.id === actionId)) return { ok: false, conflict: "" };
+    const current = bindings();
+    const other = ACTIONS.find((a) => a.id !== actionId && current[a.id].includes(key));
+    if (other) return { ok: false, conflict: other.label };
+    const overrides = loadOverrides();
+    overrides[actionId] = [key];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+    return { ok: true, conflict: "" };
+  }
+
+  function reset() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+
+  return { ACTIONS, GLOBAL, fromEvent, normalize, format, bindings, match, set, reset };
+})();
+
+/**
+ * Fuzzy subsequence score of `query` in `text` (case-insensitive); -1 when not all
+ * query characters appear in order. Consecutive runs and word starts score higher.
+ */
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, "");
+  const t = text.toLowerCase();
+  if (!q) return 0;
+  let score = 0;
+  let run = 0;
+  let from = 0;
+  for (const ch of q) {
+    const i = t.indexOf(ch, from);
+    if (i < 0) return -1;
+    run = i === from ? run + 1 : 1;
+    score += run * 2 + (i === 0 || /[\s#:/-]/.test(t[i - 1]) ? 3 : 0) - Math.min(i - from, 3);
+    from = i + 1;
+  }
+  return score;
+}
+
+// -----------------------------
+// Offline support: service worker registration and updates
+// -----------------------------
+
+/**
+ * Register sw.js (service workers don't run on file:// pages). onUpdate(activate) is
+ * called when a new version has installed and is waiting; activate() hands control
+ * to it and reloads the page once it has taken over.
+ */
+function registerServiceWorker({ onUpdate }) {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+  let reloading = false;
+  navigator.serviceWorker.register("sw.js").then(
+    (registration) => {
+      const offer = (worker) =>
+        onUpdate(() => {
+          navigator.serviceWorker.addEventListener("controllerchange", () => {
+            if (reloading) return;
+            reloading = true;
+            location.reload();
+          });
+          worker.postMessage({ type: "SKIP_WAITING" });
+        });
+      // Without a controller this is the first install, which only fills the cache
+      if (registration.waiting && navigator.serviceWorker.controller) offer(registration.waiting);
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed" && navigator.serviceWorker.controller) offer(worker);
+        });
+      });
+      // Long-lived tabs look for a new version whenever they come back into view
+      document.addEventListener("visibilitychange", () => {
+        if (!document.hidden) registration.update().catch(() => {});
+      });
+    },
+    (err) => console.error("Service worker registration failed:", err)
+  );
+}
+
+// DOMContentLoaded UI builder: after mounting container
+document.addEventListener("DOMContentLoaded", async () => {
+    const app = document.getElementById("app");
+
+    // استخدم حاوية موجودة فعلاً في الصفحة: #todoContainer أو .app-content أو body
+    const mount =
+      document.getElementById("todoContainer") ||
+      document.querySelector(".app-content") ||
+      document.body;
+
+    // Container (card)
+    const container = el("div", {
+      classes:
+        "max-w-2xl mx-auto mt-12 p-6 bg-white/95 dark:bg-slate-900/60 backdrop-blur rounded-2xl shadow-lg border border-emerald-200 dark:border-emerald-700",
+      attrs: { id: "todoCard", role: "region", "aria-label": "To-Do list" }, // تغيير المعرّف لتجنّب التكرار
+    });
+
+    // Header with title (use global header theme controls from index.html to avoid duplicates)
+    const header = el("div", { classes: "flex items-center justify-between mb-4" });
+    const title = el("h1", {
+      classes: "text-2xl font-semibold text-emerald-700 dark:text-emerald-300",
       text: "To-Do List",
     });
     const headerRight = el("div", { classes: "flex items-center gap-2" });
     // Do not create local #themeToggle/#autoMode/#sunBadge/#moonBadge here — they already exist in index.html
     header.append(title, headerRight);
 
+    // Lists: switcher and management
+    const listsRow = el("div", { classes: "flex flex-wrap items-center gap-2 mb-4", attrs: { role: "group", "aria-label": "Lists" } });
+    const listBadge = el("span", { classes: "w-9 h-9 inline-flex items-center justify-center rounded-full text-lg", attrs: { "aria-hidden": "true" } });
+    const listSelect = el("select", {
+      classes:
+        "flex-1 min-w-[10rem] border border-emerald-300 dark:border-emerald-600 rounded-xl px-3 py-2 dark:bg-slate-800 dark:text-slate-100",
+      attrs: { "aria-label": "Current list" },
+    });
+    const listBtnClasses = "px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800 text-sm";
+    const newListBtn = el("button", { classes: listBtnClasses, text: "New list" });
+    const renameListBtn = el("button", { classes: listBtnClasses, text: "Rename" });
+    const listColorInput = el("input", { classes: "w-10 h-9 p-1", attrs: { type: "color", "aria-label": "List color", title: "List color" } });
+    const listIconSelect = el("select", {
+      classes: "border border-emerald-300 dark:border-emerald-600 rounded-xl px-2 py-2 dark:bg-slate-800 dark:text-slate-100",
+      attrs: { "aria-label": "List icon", title: "List icon" },
+    });
+    LIST_ICONS.forEach((icon) => listIconSelect.appendChild(el("option", { attrs: { value: icon }, text: icon })));
+    const archiveListBtn = el("button", { classes: listBtnClasses, text: "Archive" });
+    const deleteListBtn = el("button", { classes: `${listBtnClasses} text-red-600 dark:text-red-400`, text: "Delete list" });
+    listsRow.append(listBadge, listSelect, newListBtn, renameListBtn, listColorInput, listIconSelect, archiveListBtn, deleteListBtn);
+
     // Search and sorting row
     const controlsRow = el("div", { classes: "grid grid-cols-1 md:grid-cols-3 gap-3 mb-4" });
     const searchInput = el("input", {
       classes:
         "w-full border border-emerald-300 dark:border-emerald-600 rounded-xl px-4 py-2 outline-none focus:ring focus:ring-emerald-200 dark:bg-slate-800 dark:text-slate-100",
-      attrs: { type: "text", placeholder: "Search tasks or tags...", "aria-label": "Search" },
+      attrs: {
+        type: "text",
+        placeholder: "Search… e.g. tag:work is:open due:<+7d",
+        "aria-label": "Search",
+        "aria-describedby": "queryFeedback",
+        "aria-autocomplete": "list",
+        "aria-controls": "tagSuggestions",
+        autocomplete: "off",
+        title: 'Words and "phrases" match text, tags and subtasks. Fields: tag:, list:, priority:(<|>)high, due:(<|>)YYYY-MM-DD|today|+7d|none|overdue, is:open|done|overdue|recurring, has:due|reminder|subtasks|tags. Combine with AND (implied), OR, parentheses; negate with - or NOT.',
+      },
+    });
+    // Search box with the tag autocomplete dropdown underneath
+    const searchCell = el("div", { classes: "relative" });
+    const tagSuggestions = el("ul", {
+      classes: "absolute left-0 right-0 top-full mt-1 z-20 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 shadow-lg py-1 hidden",
+      attrs: { id: "tagSuggestions", role: "listbox", "aria-label": "Tag suggestions" },
     });
+    searchCell.append(searchInput, tagSuggestions);
     const sortSelect = el("select", {
       classes:
         "w-full border border-emerald-300 dark:border-emerald-600 rounded-xl px-3 py-2 dark:bg-slate-800 dark:text-slate-100",
@@ -416,6 +4265,7 @@ document.addEventListener("DOMContentLoaded", () => {
       { v: "due", t: "Sort: Due Date" },
       { v: "priority", t: "Sort: Priority" },
       { v: "text", t: "Sort: Task Text" },
+      { v: "manual", t: "Sort: Manual" },
     ].forEach(({ v, t }) => sortSelect.appendChild(el("option", { attrs: { value: v }, text: t })));
 
     const confirmDeleteToggle = el("label", { classes: "inline-flex items-center gap-2" });
@@ -423,14 +4273,56 @@ document.addEventListener("DOMContentLoaded", () => {
     const confirmDeleteLabel = el("span", { classes: "text-slate-800 dark:text-slate-200", text: "Confirm deletes" });
     confirmDeleteToggle.append(confirmDeleteCheckbox, confirmDeleteLabel);
 
-    controlsRow.append(searchInput, sortSelect, confirmDeleteToggle);
+    const autoCompleteToggle = el("label", { classes: "inline-flex items-center gap-2" });
+    const autoCompleteCheckbox = el("input", { attrs: { type: "checkbox" } });
+    autoCompleteToggle.append(autoCompleteCheckbox, el("span", { classes: "text-slate-800 dark:text-slate-200", text: "Complete task when all subtasks are done" }));
+    const togglesCell = el("div", { classes: "flex flex-col gap-1" });
+    togglesCell.append(confirmDeleteToggle, autoCompleteToggle);
+
+    // List, board or calendar layout; the board's columns follow the chosen field
+    const layoutBtnClasses = "px-3 py-2 text-sm hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-800 dark:text-slate-100";
+    const listLayoutBtn = el("button", { classes: layoutBtnClasses, text: "☰ List", attrs: { "aria-pressed": "true", title: "Show tasks as a list" } });
+    const boardLayoutBtn = el("button", { classes: layoutBtnClasses, text: "▦ Board", attrs: { "aria-pressed": "false", title: "Show tasks as a board" } });
+    const calendarLayoutBtn = el("button", { classes: layoutBtnClasses, text: "📅 Calendar", attrs: { "aria-pressed": "false", title: "Show tasks on a calendar" } });
+    const layoutBtns = el("div", {
+      classes: "inline-flex shrink-0 rounded-xl border border-slate-200 dark:border-slate-700 overflow-hidden",
+      attrs: { role: "group", "aria-label": "Layout" },
+    });
+    layoutBtns.append(listLayoutBtn, boardLayoutBtn, calendarLayoutBtn);
+    const groupSelect = el("select", {
+      classes: "flex-1 min-w-0 border border-emerald-300 dark:border-emerald-600 rounded-xl px-3 py-2 dark:bg-slate-800 dark:text-slate-100",
+      attrs: { "aria-label": "Group board by" },
+    });
+    [
+      { v: "status", t: "Group: Status" },
+      { v: "priority", t: "Group: Priority" },
+      { v: "tag", t: "Group: Tag" },
+    ].forEach(({ v, t }) => groupSelect.appendChild(el("option", { attrs: { value: v }, text: t })));
+    const calendarModeSelect = el("select", {
+      classes: "flex-1 min-w-0 border border-emerald-300 dark:border-emerald-600 rounded-xl px-3 py-2 dark:bg-slate-800 dark:text-slate-100",
+      attrs: { "aria-label": "Calendar range" },
+    });
+    [
+      { v: "month", t: "Month" },
+      { v: "week", t: "Week" },
+    ].forEach(({ v, t }) => calendarModeSelect.appendChild(el("option", { attrs: { value: v }, text: t })));
+    const layoutRow = el("div", { classes: "flex flex-wrap items-center gap-2" });
+    layoutRow.append(layoutBtns, groupSelect, calendarModeSelect);
+    const sortCell = el("div", { classes: "flex flex-col gap-2" });
+    sortCell.append(sortSelect, layoutRow);
+
+    controlsRow.append(searchCell, sortCell, togglesCell);
+
+    // Query feedback (highlighted terms or the parse error) and saved smart lists
+    const queryRow = el("div", { classes: "flex flex-wrap items-center gap-2 -mt-2 mb-3 text-xs hidden", attrs: { id: "queryFeedback", "aria-live": "polite" } });
+    const smartListsRow = el("div", { classes: "flex flex-wrap items-center gap-2 mb-4" });
 
     // Add row: text, due date, priority, tags, add button
-    const addRow = el("div", { classes: "grid grid-cols-1 md:grid-cols-5 gap-3 mb-4" });
+    const addRow = el("div", { classes: "grid grid-cols-1 md:grid-cols-7 gap-3 mb-4" });
     const input = el("input", {
       classes:
         "w-full border border-emerald-300 dark:border-emerald-600 rounded-xl px-4 py-2 outline-none focus:ring focus:ring-emerald-200 dark:bg-slate-800 dark:text-slate-100",
-      attrs: { type: "text", placeholder: "Add a new task...", "aria-label": "Task text" },
+      attrs: { type: "text", placeholder: "Add a task, e.g. Pay rent tomorrow 9am !high #home", "aria-label": "Task text", "aria-describedby": "quickAddPreview" },
     });
     const dueInput = el("input", {
       classes:
@@ -460,79 +4352,770 @@ document.addEventListener("DOMContentLoaded", () => {
       text: "Add Task",
       attrs: { "aria-label": "Add task" },
     });
-    addRow.append(input, dueInput, prioritySelect, tagsInput, addBtn);
+    const repeatSelect = el("select", {
+      classes:
+        "w-full border border-emerald-300 dark:border-emerald-600 rounded-xl px-3 py-2 dark:bg-slate-800 dark:text-slate-100",
+      attrs: { "aria-label": "Repeat" },
+    });
+    [
+      { v: "", t: "No repeat" },
+      { v: "daily", t: "Daily" },
+      { v: "weekly", t: "Weekly" },
+      { v: "monthly", t: "Monthly" },
+      { v: "afterCompletion", t: "After completion" },
+    ].forEach(({ v, t }) => repeatSelect.appendChild(el("option", { attrs: { value: v }, text: t })));
+    const reminderSelect = el("select", {
+      classes:
+        "w-full border border-emerald-300 dark:border-emerald-600 rounded-xl px-3 py-2 dark:bg-slate-800 dark:text-slate-100",
+      attrs: { "aria-label": "Reminder" },
+    });
+    [
+      { v: "", t: "No reminder" },
+      { v: "due", t: "At due time" },
+      { v: "10", t: "10 min before" },
+      { v: "60", t: "1 hour before" },
+      { v: "1440", t: "1 day before" },
+      { v: "custom", t: "Custom time…" },
+    ].forEach(({ v, t }) => reminderSelect.appendChild(el("option", { attrs: { value: v }, text: t })));
+    const reminderAtInput = el("input", {
+      classes:
+        "hidden w-full border border-emerald-300 dark:border-emerald-600 rounded-xl px-3 py-2 dark:bg-slate-800 dark:text-slate-100",
+      attrs: { type: "datetime-local", "aria-label": "Custom reminder time" },
+    });
+    addRow.append(input, dueInput, prioritySelect, tagsInput, repeatSelect, reminderSelect, addBtn);
+
+    // Recurrence options, shown when a repeat frequency is chosen
+    const repeatRow = el("div", { classes: "hidden flex flex-wrap items-center gap-3 -mt-2 mb-4 text-sm text-slate-800 dark:text-slate-100" });
+    const repeatIntervalLabel = el("label", { classes: "inline-flex items-center gap-2" });
+    const repeatInterval = el("input", {
+      classes: "w-16 border border-emerald-300 dark:border-emerald-600 rounded-lg px-2 py-1 dark:bg-slate-800",
+      attrs: { type: "number", min: "1", value: "1", "aria-label": "Repeat interval" },
+    });
+    const repeatUnit = el("span", { text: "day(s)" });
+    repeatIntervalLabel.append(el("span", { text: "Every" }), repeatInterval, repeatUnit);
+    const repeatWeekdays = el("div", { classes: "inline-flex items-center gap-1", attrs: { role: "group", "aria-label": "Repeat on" } });
+    const weekdayBoxes = Recurrence.DAY_NAMES.map((name, i) => {
+      const label = el("label", { classes: "inline-flex items-center gap-1" });
+      const box = el("input", { attrs: { type: "checkbox", value: String(i) } });
+      label.append(box, el("span", { text: name }));
+      repeatWeekdays.appendChild(label);
+      return box;
+    });
+    const repeatMonthlyBy = el("select", {
+      classes: "border border-emerald-300 dark:border-emerald-600 rounded-lg px-2 py-1 dark:bg-slate-800",
+      attrs: { "aria-label": "Repeat monthly by" },
+    });
+    [
+      { v: "date", t: "on the same date" },
+      { v: "weekday", t: "on the same weekday (e.g. 2nd Tue)" },
+    ].forEach(({ v, t }) => repeatMonthlyBy.appendChild(el("option", { attrs: { value: v }, text: t })));
+    const repeatUntilLabel = el("label", { classes: "inline-flex items-center gap-2" });
+    const repeatUntil = el("input", {
+      classes: "border border-emerald-300 dark:border-emerald-600 rounded-lg px-2 py-1 dark:bg-slate-800",
+      attrs: { type: "date", "aria-label": "Repeat until" },
+    });
+    repeatUntilLabel.append(el("span", { text: "Until" }), repeatUntil);
+    const repeatCountLabel = el("label", { classes: "inline-flex items-center gap-2" });
+    const repeatCount = el("input", {
+      classes: "w-16 border border-emerald-300 dark:border-emerald-600 rounded-lg px-2 py-1 dark:bg-slate-800",
+      attrs: { type: "number", min: "0", placeholder: "∞", "aria-label": "Number of occurrences" },
+    });
+    repeatCountLabel.append(el("span", { text: "Times" }), repeatCount);
+    repeatRow.append(repeatIntervalLabel, repeatWeekdays, repeatMonthlyBy, repeatUntilLabel, repeatCountLabel);
+    const reminderRow = el("div", { classes: "-mt-2 mb-4 max-w-xs" });
+    reminderRow.appendChild(reminderAtInput);
+
+    // Live preview of what quick-add detected in the task text
+    const quickAddPreview = el("div", {
+      classes: "flex flex-wrap items-center gap-2 -mt-2 mb-4 text-xs text-slate-600 dark:text-slate-300 min-h-[1rem]",
+      attrs: { id: "quickAddPreview", "aria-live": "polite" },
+    });
+
+    // Filter and bulk actions row
+    const filterRow = el("div", { classes: "flex flex-wrap items-center justify-between gap-2 mb-4" });
+    const filterBtns = el("div", { classes: "inline-flex rounded-xl border border-slate-200 dark:border-slate-700 overflow-hidden" });
+    const btnAll = el("button", { classes: "px-3 py-2 text-sm bg-slate-50 dark:bg-slate-800 text-slate-800 dark:text-slate-100", text: "All" });
+    const btnActive = el("button", { classes: "px-3 py-2 text-sm hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-800 dark:text-slate-100", text: "Active" });
+    const btnCompleted = el("button", { classes: "px-3 py-2 text-sm hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-800 dark:text-slate-100", text: "Completed" });
+    filterBtns.append(btnAll, btnActive, btnCompleted);
+    // Archive and Trash: views of their own, kept out of the filters above
+    const binBtns = el("div", { classes: "inline-flex rounded-xl border border-slate-200 dark:border-slate-700 overflow-hidden", attrs: { role: "group", "aria-label": "Archive and trash" } });
+    const btnArchive = el("button", { classes: "px-3 py-2 text-sm hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-800 dark:text-slate-100", text: "🗄 Archive" });
+    const btnTrash = el("button", { classes: "px-3 py-2 text-sm hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-800 dark:text-slate-100", text: "🗑 Trash" });
+    binBtns.append(btnArchive, btnTrash);
+    const bulkRow = el("div", { classes: "inline-flex items-center gap-2" });
+    const toggleAllBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800", text: "Toggle All" });
+    const clearCompletedBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800", text: "Clear Completed", attrs: { title: "Move completed tasks to the Trash" } });
+    const archiveCompletedBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800", text: "Archive Completed" });
+    const undoBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-slate-300 dark:border-slate-600 text-slate-800 dark:text-slate-100 hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-40", text: "Undo", attrs: { "aria-label": "Undo (Ctrl+Z)", title: "Undo (Ctrl+Z)" } });
+    const redoBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-slate-300 dark:border-slate-600 text-slate-800 dark:text-slate-100 hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-40", text: "Redo", attrs: { "aria-label": "Redo (Ctrl+Shift+Z)", title: "Redo (Ctrl+Shift+Z)" } });
+    const shortcutsBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-slate-300 dark:border-slate-600 text-slate-800 dark:text-slate-100 hover:bg-slate-100 dark:hover:bg-slate-800", text: "⌨", attrs: { "aria-label": "Keyboard shortcuts (?)", title: "Keyboard shortcuts (?)" } });
+    const statsBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-slate-300 dark:border-slate-600 text-slate-800 dark:text-slate-100 hover:bg-slate-100 dark:hover:bg-slate-800", text: "📊", attrs: { "aria-label": "Statistics", title: "Statistics" } });
+    const selectBtn = el("button", {
+      classes: "px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800",
+      text: "☑ Select",
+      attrs: { "aria-pressed": "false", title: "Select tasks for bulk edits (or Ctrl-click a task)" },
+    });
+    bulkRow.append(undoBtn, redoBtn, selectBtn, toggleAllBtn, clearCompletedBtn, archiveCompletedBtn, statsBtn, shortcutsBtn);
+    // Saved views sit next to the built-in filters as quick buttons
+    const viewsCell = el("div", { classes: "flex flex-wrap items-center gap-2" });
+    const savedViewsGroup = el("div", { classes: "inline-flex flex-wrap items-center gap-2", attrs: { id: "savedViews" } });
+    const saveViewBtn = el("button", {
+      classes: "px-3 py-2 rounded-xl border border-dashed border-emerald-300 dark:border-emerald-600 text-sm text-slate-700 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800",
+      text: "＋ Save view",
+      attrs: { title: "Save the current filter, sort, search, tag and list as a named view" },
+    });
+    viewsCell.append(filterBtns, binBtns, savedViewsGroup, saveViewBtn);
+    filterRow.append(viewsCell, bulkRow);
+
+    // Tags quick filter row
+    const tagsQuickRow = el("div", { classes: "flex flex-wrap gap-2 mb-4" });
+
+    // Summary stats
+    const summaryRow = el("div", { classes: "flex items-center justify-between mb-2" });
+    const summaryText = el("div", { classes: "text-sm text-slate-700 dark:text-slate-300" });
+
+    // List and empty state
+    const list = el("ul", { classes: "space-y-2", attrs: { role: "list", "aria-live": "polite" } });
+    // Board layout: one column per status, priority or tag (see Board)
+    const board = el("div", { classes: "hidden flex gap-3 overflow-x-auto pb-2", attrs: { id: "taskBoard", role: "region", "aria-label": "Task board" } });
+    // Calendar layout: month or week grid of due dates, with undated tasks in a side tray (see Calendar)
+    const calendarView = el("div", { classes: "hidden flex flex-col md:flex-row gap-3", attrs: { id: "taskCalendar", role: "region", "aria-label": "Task calendar" } });
+    // Bulk actions on the selected tasks, or on every task the filter and search show
+    const bulkControlClasses = "border border-emerald-300 dark:border-emerald-600 rounded-lg px-2 py-1 dark:bg-slate-700 dark:text-slate-100";
+    const bulkBtnClasses = "px-3 py-1 rounded-lg border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-100 dark:hover:bg-slate-700";
+    const bulkBar = el("div", {
+      classes: "hidden flex flex-wrap items-center gap-2 mb-3 p-2 rounded-xl border border-emerald-300 dark:border-emerald-600 bg-emerald-50 dark:bg-slate-800 text-sm text-slate-800 dark:text-slate-100",
+      attrs: { id: "bulkBar", role: "toolbar", "aria-label": "Bulk actions" },
+    });
+    const bulkScopeSelect = el("select", { classes: bulkControlClasses, attrs: { "aria-label": "Apply to" } });
+    bulkScopeSelect.append(el("option", { attrs: { value: "selected" } }), el("option", { attrs: { value: "matching" } }));
+    const bulkPrioritySelect = el("select", { classes: bulkControlClasses, attrs: { "aria-label": "Set priority" } });
+    [
+      { v: "", t: "Priority…" },
+      { v: "high", t: "High" },
+      { v: "medium", t: "Medium" },
+      { v: "low", t: "Low" },
+    ].forEach(({ v, t }) => bulkPrioritySelect.appendChild(el("option", { attrs: { value: v }, text: t })));
+    const bulkDueInput = el("input", { classes: bulkControlClasses, attrs: { type: "date", "aria-label": "New due date" } });
+    const bulkDueBtn = el("button", { classes: bulkBtnClasses, text: "Set due" });
+    const bulkShiftSelect = el("select", { classes: bulkControlClasses, attrs: { "aria-label": "Shift due dates" } });
+    [
+      { v: "", t: "Shift due…" },
+      { v: "-7", t: "1 week earlier" },
+      { v: "-1", t: "1 day earlier" },
+      { v: "1", t: "1 day later" },
+      { v: "7", t: "1 week later" },
+      { v: "clear", t: "Remove due date" },
+    ].forEach(({ v, t }) => bulkShiftSelect.appendChild(el("option", { attrs: { value: v }, text: t })));
+    const bulkTagInput = el("input", { classes: `${bulkControlClasses} w-28`, attrs: { type: "text", placeholder: "tags", "aria-label": "Tags to add or remove" } });
+    const bulkAddTagBtn = el("button", { classes: bulkBtnClasses, text: "+ Tag", attrs: { "aria-label": "Add tags" } });
+    const bulkRemoveTagBtn = el("button", { classes: bulkBtnClasses, text: "− Tag", attrs: { "aria-label": "Remove tags" } });
+    const bulkCompleteBtn = el("button", { classes: bulkBtnClasses, text: "Complete" });
+    const bulkReopenBtn = el("button", { classes: bulkBtnClasses, text: "Reopen" });
+    const bulkMoveSelect = el("select", { classes: bulkControlClasses, attrs: { "aria-label": "Move to list" } });
+    const bulkDeleteBtn = el("button", { classes: "px-3 py-1 rounded-lg bg-red-500 text-white hover:bg-red-600", text: "Delete" });
+    const bulkDoneBtn = el("button", { classes: "ml-auto px-3 py-1 rounded-lg text-slate-600 dark:text-slate-300 hover:underline", text: "Done", attrs: { "aria-label": "Leave selection mode" } });
+    bulkBar.append(bulkScopeSelect, bulkPrioritySelect, bulkDueInput, bulkDueBtn, bulkShiftSelect, bulkTagInput, bulkAddTagBtn, bulkRemoveTagBtn, bulkCompleteBtn, bulkReopenBtn, bulkMoveSelect, bulkDeleteBtn, bulkDoneBtn);
+
+    // What the Archive and Trash views are, and the Trash's purge setting
+    const binBar = el("div", { classes: "flex flex-wrap items-center justify-between gap-2 mb-3 px-3 py-2 rounded-xl bg-slate-100 dark:bg-slate-800 text-sm text-slate-700 dark:text-slate-300 hidden" });
+    const binNote = el("span");
+    const trashDaysLabel = el("label", { classes: "inline-flex items-center gap-2" });
+    const trashDaysInput = el("input", {
+      classes: "w-16 border border-emerald-300 dark:border-emerald-600 rounded-lg px-2 py-1 dark:bg-slate-700 dark:text-slate-100",
+      attrs: { type: "number", min: "1", max: String(MAX_TRASH_DAYS), "aria-label": "Days before trashed tasks are deleted" },
+    });
+    trashDaysLabel.append(el("span", { text: "Delete after" }), trashDaysInput, el("span", { text: "days" }));
+    const emptyTrashBtn = el("button", { classes: "px-3 py-1 rounded-lg bg-red-500 text-white text-sm hover:bg-red-600 disabled:opacity-40", text: "Empty trash" });
+    const trashControls = el("div", { classes: "flex items-center gap-3" });
+    trashControls.append(trashDaysLabel, emptyTrashBtn);
+    binBar.append(binNote, trashControls);
+    const emptyState = el("div", { classes: "text-center text-slate-500 dark:text-slate-400 py-8 hidden" });
+    emptyState.innerHTML = `
+      <div class="flex flex-col items-center gap-2">
+        <svg class="w-12 h-12 opacity-60" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M7 7h10M7 12h10M7 17h6" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+        </svg>
+        <p data-empty-text>No tasks yet. Add your first task above.</p>
+      </div>`;
+    const emptyText = emptyState.querySelector("[data-empty-text]");
+
+    // Import / export panel
+    const dataPanel = el("details", { classes: "mt-4 rounded-xl border border-slate-200 dark:border-slate-700 px-4 py-3" });
+    dataPanel.appendChild(el("summary", { classes: "cursor-pointer text-sm font-medium text-slate-800 dark:text-slate-100", text: "Import / Export" }));
+    const exportRow = el("div", { classes: "flex flex-wrap items-center gap-2 mt-3" });
+    const exportJsonBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800", text: "Export JSON" });
+    const exportCsvBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800", text: "Export CSV" });
+    const exportIcsBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800", text: "Export .ics", attrs: { title: "Tasks with a due date, as calendar to-dos" } });
+    const exportTodoTxtBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800", text: "Export todo.txt" });
+    exportRow.append(exportJsonBtn, exportCsvBtn, exportIcsBtn, exportTodoTxtBtn);
+    const importRow = el("div", { classes: "flex flex-wrap items-center gap-2 mt-3" });
+    const importFile = el("input", {
+      classes: "flex-1 text-sm text-slate-800 dark:text-slate-100",
+      attrs: { type: "file", accept: ".json,.csv,.ics,.txt,application/json,text/csv,text/calendar,text/plain", "aria-label": "File to import" },
+    });
+    const importModeSelect = el("select", {
+      classes: "border border-emerald-300 dark:border-emerald-600 rounded-xl px-3 py-2 dark:bg-slate-800 dark:text-slate-100",
+      attrs: { "aria-label": "Import mode" },
+    });
+    [
+      { v: "merge", t: "Merge (match by id)" },
+      { v: "replace", t: "Replace current list (all lists for a JSON backup)" },
+    ].forEach(({ v, t }) => importModeSelect.appendChild(el("option", { attrs: { value: v }, text: t })));
+    const importBtn = el("button", { classes: "px-4 py-2 rounded-xl bg-emerald-600 text-white font-medium hover:bg-emerald-700", text: "Import" });
+    importRow.append(importFile, importModeSelect, importBtn);
+    const importReport = el("ul", { classes: "mt-3 space-y-1 text-sm text-red-600 dark:text-red-400", attrs: { "aria-live": "polite" } });
+    const pasteRow = el("div", { classes: "flex flex-col gap-2 mt-3" });
+    const pasteInput = el("textarea", {
+      classes: "w-full border border-emerald-300 dark:border-emerald-600 rounded-xl px-3 py-2 font-mono text-sm dark:bg-slate-800 dark:text-slate-100",
+      attrs: { rows: "4", placeholder: "(A) 2026-10-01 Call Mom +Family @phone due:2026-10-20", "aria-label": "Paste todo.txt lines" },
+    });
+    const pasteBtn = el("button", { classes: "self-start px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800", text: "Import pasted todo.txt" });
+    pasteRow.append(pasteInput, pasteBtn);
+    dataPanel.append(exportRow, importRow, pasteRow, importReport);
+
+    // Keyboard shortcuts overlay ("?") and command palette (Ctrl+K)
+    const overlayClasses = "fixed inset-0 z-50 flex items-start justify-center p-4 pt-16 bg-slate-900/50 hidden";
+    const overlayCardClasses = "w-full max-w-lg max-h-[80vh] overflow-auto rounded-2xl bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 p-4 shadow-xl space-y-3";
+    const shortcutsOverlay = el("div", { classes: overlayClasses, attrs: { role: "dialog", "aria-modal": "true", "aria-labelledby": "shortcutsTitle" } });
+    const shortcutsCard = el("div", { classes: overlayCardClasses });
+    const shortcutsHead = el("div", { classes: "flex items-center justify-between gap-3" });
+    shortcutsHead.appendChild(el("h2", { classes: "text-lg font-semibold", text: "Keyboard shortcuts", attrs: { id: "shortcutsTitle" } }));
+    const shortcutsCloseBtn = el("button", { classes: "px-3 py-1 rounded-lg border border-slate-300 dark:border-slate-600 text-slate-800 dark:text-slate-100 bg-transparent", text: "Close", attrs: { "aria-label": "Close keyboard shortcuts" } });
+    shortcutsHead.appendChild(shortcutsCloseBtn);
+    const shortcutsTable = el("table", { classes: "w-full text-sm" });
+    const shortcutsFoot = el("div", { classes: "flex items-center justify-between gap-3 text-xs text-slate-500 dark:text-slate-400" });
+    shortcutsFoot.appendChild(el("span", { text: "Click Change, then press the new keys (Esc cancels)." }));
+    const shortcutsResetBtn = el("button", { classes: "px-3 py-1 rounded-lg border border-slate-300 dark:border-slate-600 text-slate-800 dark:text-slate-100 bg-transparent text-sm", text: "Reset to defaults" });
+    shortcutsFoot.appendChild(shortcutsResetBtn);
+    shortcutsCard.append(shortcutsHead, shortcutsTable, shortcutsFoot);
+    shortcutsOverlay.appendChild(shortcutsCard);
+
+    const statsOverlay = el("div", { classes: overlayClasses, attrs: { role: "dialog", "aria-modal": "true", "aria-labelledby": "statsTitle" } });
+    const statsCard = el("div", { classes: overlayCardClasses.replace("max-w-lg", "max-w-2xl") });
+    const statsHead = el("div", { classes: "flex items-center justify-between gap-3" });
+    const statsHeading = el("div");
+    const statsScope = el("p", { classes: "text-xs text-slate-500 dark:text-slate-400" });
+    statsHeading.append(el("h2", { classes: "text-lg font-semibold", text: "Statistics", attrs: { id: "statsTitle" } }), statsScope);
+    const statsCloseBtn = el("button", { classes: "px-3 py-1 rounded-lg border border-slate-300 dark:border-slate-600 text-slate-800 dark:text-slate-100 bg-transparent", text: "Close", attrs: { "aria-label": "Close statistics" } });
+    statsHead.append(statsHeading, statsCloseBtn);
+    const statsBody = el("div", { classes: "space-y-4" });
+    statsCard.append(statsHead, statsBody);
+    statsOverlay.appendChild(statsCard);
+
+    const paletteOverlay = el("div", { classes: overlayClasses, attrs: { role: "dialog", "aria-modal": "true", "aria-label": "Command palette" } });
+    const paletteCard = el("div", { classes: overlayCardClasses });
+    const paletteInput = el("input", {
+      classes: "w-full border border-emerald-300 dark:border-emerald-600 rounded-xl px-3 py-2 dark:bg-slate-700 dark:text-slate-100",
+      attrs: { type: "text", role: "combobox", "aria-expanded": "true", "aria-controls": "commandResults", "aria-autocomplete": "list", placeholder: "Type a command… (filter, sort, theme, #tag, list)" },
+    });
+    const paletteResults = el("ul", { classes: "space-y-1", attrs: { id: "commandResults", role: "listbox", "aria-label": "Commands" } });
+    paletteCard.append(paletteInput, paletteResults);
+    paletteOverlay.appendChild(paletteCard);
+
+    container.append(header, listsRow, controlsRow, queryRow, smartListsRow, addRow, repeatRow, reminderRow, quickAddPreview, filterRow, tagsQuickRow, summaryRow, bulkBar, binBar, list, board, calendarView, emptyState, dataPanel, shortcutsOverlay, statsOverlay, paletteOverlay);
+    mount.appendChild(container);
+    // Remove duplicate init; Theme is initialized globally once
+    // Theme._init();
+
+    // State
+    const storage = await openStorage({ onError: reportStorageError });
+    let state = await storage.load();
+    const history = createHistory({ onError: reportStorageError });
+    // Task JSON as last written, to stamp edits and deletions for other tabs
+    let savedTasks = trackTaskChanges(state, null);
+    let mergedOnly = false; // the next render only shows another tab's save, see applyRemoteState
+    const reminders = createReminderScheduler({ notify: notifyTaskDue, onError: reportStorageError });
+    if (stateRecovery) {
+      // Recorded commands may not line up with the recovered tasks
+      history.clear();
+      const where = stateRecovery.backupKey ? ` A copy was kept under "${stateRecovery.backupKey}".` : "";
+      showToast(`${stateRecovery.reason}.${where}`, { duration: 10000 });
+    }
+
+    // Failed writes of the tasks, the undo history or the reminder log stay visible until retried;
+    // the data is still in this tab. A null retry means there is nothing to retry.
+    function reportStorageError(message, err, retry = () => {
+      storage.save(state);
+      storage.flush();
+    }) {
+      showToast(message, { duration: 15000, actionLabel: "Retry", onAction: retry });
+    }
+
+    // Apply a command through the history so it can be undone
+    function run(command, { undoToast = false } = {}) {
+      if (!history.execute(state, command)) return;
+      render();
+      if (undoToast) showToast(command.label, { actionLabel: "Undo", onAction: undo });
+    }
+
+    function undo() {
+      const command = history.undo(state);
+      if (!command) return;
+      render();
+      showToast(`Undone: ${command.label}`, { duration: 3000 });
+    }
+
+    function redo() {
+      const command = history.redo(state);
+      if (!command) return;
+      render();
+      showToast(`Redone: ${command.label}`, { duration: 3000 });
+    }
+
+    // "overdue" | "today" | "" for a task's due date/time
+    function dueStatus(task) {
+      if (!task.dueDate) return "";
+      const today = toDateInputValue(new Date());
+      if (task.dueDate < today) return "overdue";
+      if (task.dueDate > today) return "";
+      return task.dueTime && dueTimestamp(task) < Date.now() ? "overdue" : "today";
+    }
+
+    // Lists helpers
+    function listById(id) {
+      return state.lists.find((l) => l.id === id);
+    }
+
+    // List that new tasks go to: the active one, or the first open list in the aggregate view
+    function targetListId() {
+      if (state.activeListId !== ALL_LISTS) return state.activeListId;
+      const open = state.lists.find((l) => !l.archived);
+      return (open || state.lists[0]).id;
+    }
+
+    // Tasks in the current list (all open lists in the aggregate view), in manual order
+    function scopeTasks() {
+      if (state.activeListId === ALL_LISTS) {
+        const open = new Set(state.lists.filter((l) => !l.archived).map((l) => l.id));
+        return state.tasks.filter((t) => open.has(t.listId));
+      }
+      return state.tasks.filter((t) => t.listId === state.activeListId);
+    }
+
+    // Tasks of the current list(s) outside the Archive and Trash
+    function viewTasks() {
+      return scopeTasks().filter((t) => !t.archivedAt && !t.trashedAt);
+    }
+
+    function archivedTasks() {
+      return scopeTasks().filter((t) => t.archivedAt && !t.trashedAt);
+    }
+
+    function trashedTasks() {
+      return scopeTasks().filter((t) => t.trashedAt);
+    }
+
+    // Everything but the Trash: what statistics, exports and imports cover
+    function keptTasks() {
+      return scopeTasks().filter((t) => !t.trashedAt);
+    }
+
+    // Trashed tasks past state.trashDays are deleted for good, along with the undo steps
+    // that involve them; returns how many tasks went
+    function purgeTrash() {
+      const expired = new Set(expiredTrash(state.tasks, state.trashDays).map((t) => t.id));
+      if (!expired.size) return 0;
+      state.tasks = state.tasks.filter((t) => !expired.has(t.id));
+      if (history.forget(expired)) {
+        showToast(`${expired.size} task${expired.size === 1 ? " was" : "s were"} deleted from the trash for good; undo is no longer available for ${expired.size === 1 ? "it" : "them"}.`);
+      }
+      return expired.size;
+    }
+
+    function switchList(id) {
+      state.activeListId = id;
+      state.tagFilter = "";
+      render();
+    }
+
+    function refreshListControls() {
+      listSelect.innerHTML = "";
+      listSelect.appendChild(el("option", { attrs: { value: ALL_LISTS }, text: "🗂️ All lists" }));
+      const open = state.lists.filter((l) => !l.archived);
+      const archived = state.lists.filter((l) => l.archived);
+      open.forEach((l) => listSelect.appendChild(el("option", { attrs: { value: l.id }, text: `${l.icon} ${l.name}` })));
+      if (archived.length) {
+        const group = el("optgroup", { attrs: { label: "Archived" } });
+        archived.forEach((l) => group.appendChild(el("option", { attrs: { value: l.id }, text: `${l.icon} ${l.name}` })));
+        listSelect.appendChild(group);
+      }
+      listSelect.value = state.activeListId;
+
+      const list = listById(state.activeListId);
+      [renameListBtn, listColorInput, listIconSelect, archiveListBtn, deleteListBtn].forEach((c) => (c.disabled = !list));
+      listBadge.textContent = list ? list.icon : "🗂️";
+      listBadge.style.backgroundColor = list ? `${list.color}33` : "";
+      listBadge.style.boxShadow = list ? `inset 0 0 0 2px ${list.color}` : "";
+      if (!list) return;
+      listColorInput.value = list.color;
+      listIconSelect.value = LIST_ICONS.includes(list.icon) ? list.icon : LIST_ICONS[0];
+      archiveListBtn.textContent = list.archived ? "Unarchive" : "Archive";
+      deleteListBtn.disabled = state.lists.length <= 1;
+    }
+
+    // Helper: update tags quick filter chips
+    function refreshTagChips() {
+      tagsQuickRow.innerHTML = "";
+      const tagSet = new Set();
+      viewTasks().forEach((t) => t.tags.forEach((tag) => tagSet.add(tag)));
+      const tags = Array.from(tagSet).sort((a, b) => a.localeCompare(b));
+      if (tags.length === 0) return;
+      tags.forEach((tag) => {
+        const chip = el("button", {
+          classes:
+            `px-3 py-1 rounded-full text-sm border ${state.tagFilter === tag ? "bg-indigo-600 text-white border-indigo-600" : "border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-100 hover:bg-slate-50 dark:hover:bg-slate-700"}`,
+          text: `#${tag}`,
+        });
+        chip.addEventListener("click", () => {
+          state.tagFilter = state.tagFilter === tag ? "" : tag;
+          render();
+        });
+        tagsQuickRow.appendChild(chip);
+      });
+      const clearChip = el("button", { classes: "px-3 py-1 rounded-full text-sm border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-100", text: "Clear tag filter" });
+      clearChip.addEventListener("click", () => { state.tagFilter = ""; render(); });
+      tagsQuickRow.appendChild(clearChip);
+    }
+
+    // Search query: highlighted terms, or the parse error pointing at the bad part
+    const QUERY_TOKEN_CLASSES = {
+      field: "bg-emerald-100 dark:bg-emerald-900 text-emerald-800 dark:text-emerald-100",
+      phrase: "bg-amber-100 dark:bg-amber-900 text-amber-900 dark:text-amber-100",
+      word: "bg-slate-100 dark:bg-slate-700 text-slate-800 dark:text-slate-100",
+      op: "bg-indigo-100 dark:bg-indigo-900 text-indigo-800 dark:text-indigo-100 font-semibold",
+    };
+
+    function renderQueryFeedback(query) {
+      queryRow.innerHTML = "";
+      queryRow.classList.toggle("hidden", query.tokens.length === 0);
+      searchInput.setAttribute("aria-invalid", String(query.errors.length > 0));
+      searchInput.classList.toggle("ring-2", query.errors.length > 0);
+      searchInput.classList.toggle("ring-red-400", query.errors.length > 0);
+      query.tokens.forEach((t) => {
+        const kind = QUERY_TOKEN_CLASSES[t.type] ? t.type : "op";
+        queryRow.appendChild(el("code", {
+          classes: `px-1.5 py-0.5 rounded-md ${t.error ? "bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-100 line-through" : QUERY_TOKEN_CLASSES[kind]}`,
+          text: t.text,
+        }));
+      });
+      if (query.errors.length) {
+        queryRow.appendChild(el("span", {
+          classes: "text-red-600 dark:text-red-400 font-medium",
+          text: `${query.errors[0].message} — search not applied`,
+        }));
+        return;
+      }
+      if (!query.ast) return;
+      const saved = state.smartLists.some((sl) => sl.query === state.search.trim());
+      if (saved) return;
+      const saveBtn = el("button", {
+        classes: "px-2 py-0.5 rounded-full border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 bg-transparent text-xs",
+        text: "☆ Save as smart list",
+      });
+      saveBtn.addEventListener("click", saveSmartList);
+      queryRow.appendChild(saveBtn);
+    }
+
+    function saveSmartList() {
+      const query = state.search.trim();
+      if (!query || !Query.parse(query).ast) return;
+      const name = (prompt("Name of the smart list:", query) || "").trim();
+      if (!name) return;
+      state.smartLists.push({ id: newId(), name, query });
+      render();
+    }
+
+    function applySmartList(sl) {
+      state.search = state.search.trim() === sl.query ? "" : sl.query;
+      render();
+    }
+
+    function refreshSmartLists() {
+      smartListsRow.innerHTML = "";
+      if (state.smartLists.length === 0) return;
+      smartListsRow.appendChild(el("span", { classes: "text-sm text-slate-600 dark:text-slate-300", text: "Smart lists:" }));
+      state.smartLists.forEach((sl) => {
+        const active = state.search.trim() === sl.query;
+        const chip = el("span", {
+          classes: `inline-flex items-center rounded-full text-sm border ${active ? "bg-emerald-600 text-white border-emerald-600" : "border-emerald-300 dark:border-emerald-600 text-slate-700 dark:text-slate-100"}`,
+        });
+        const open = el("button", {
+          classes: "pl-3 pr-1 py-1 bg-transparent border-0 shadow-none text-inherit",
+          text: `☆ ${sl.name}`,
+          attrs: { title: sl.query, "aria-pressed": String(active) },
+        });
+        open.addEventListener("click", () => applySmartList(sl));
+        const remove = el("button", {
+          classes: "pr-3 pl-1 py-1 bg-transparent border-0 shadow-none text-inherit opacity-70 hover:opacity-100",
+          text: "×",
+          attrs: { "aria-label": `Delete smart list ${sl.name}`, title: "Delete smart list" },
+        });
+        remove.addEventListener("click", () => {
+          if (!confirm(`Delete the smart list "${sl.name}"?`)) return;
+          state.smartLists = state.smartLists.filter((x) => x.id !== sl.id);
+          render();
+        });
+        chip.append(open, remove);
+        smartListsRow.appendChild(chip);
+      });
+    }
+
+    function saveView() {
+      const name = (prompt("Name of the view:") || "").trim();
+      if (!name) return;
+      const view = Views.current(state);
+      const existing = state.savedViews.find((sv) => sv.name.toLowerCase() === name.toLowerCase());
+      if (existing) {
+        if (!confirm(`Replace the view "${existing.name}"?`)) return;
+        existing.view = view;
+      } else {
+        state.savedViews.push({ id: newId(), name, view });
+      }
+      render();
+    }
+
+    function describeView(view) {
+      const parts = [`Filter: ${view.filter}`, `Sort: ${view.sort}`];
+      if (view.layout === "board") parts.push(`Board by ${view.boardGroup}`);
+      if (view.layout === "calendar") parts.push(`Calendar: ${view.calendarMode}`);
+      if (view.tagFilter) parts.push(`Tag: #${view.tagFilter}`);
+      if (view.search) parts.push(`Search: ${view.search}`);
+      const list = view.listId === ALL_LISTS ? { name: "All lists" } : listById(view.listId);
+      if (list) parts.push(`List: ${list.name}`);
+      return parts.join(" · ");
+    }
+
+    function refreshSavedViews() {
+      savedViewsGroup.innerHTML = "";
+      const now = Views.current(state);
+      state.savedViews.forEach((sv) => {
+        const active = Views.equals(sv.view, now);
+        const chip = el("span", {
+          classes: `inline-flex items-center rounded-xl text-sm border ${active ? "bg-emerald-600 text-white border-emerald-600" : "border-slate-200 dark:border-slate-700 text-slate-800 dark:text-slate-100"}`,
+        });
+        const open = el("button", {
+          classes: "pl-3 pr-1 py-2 bg-transparent border-0 shadow-none text-inherit",
+          text: sv.name,
+          attrs: { title: describeView(sv.view), "aria-pressed": String(active) },
+        });
+        open.addEventListener("click", () => {
+          Views.apply(state, sv.view);
+          render();
+        });
+        const remove = el("button", {
+          classes: "pr-3 pl-1 py-2 bg-transparent border-0 shadow-none text-inherit opacity-70 hover:opacity-100",
+          text: "×",
+          attrs: { "aria-label": `Delete view ${sv.name}`, title: "Delete view" },
+        });
+        remove.addEventListener("click", () => {
+          if (!confirm(`Delete the view "${sv.name}"?`)) return;
+          state.savedViews = state.savedViews.filter((x) => x.id !== sv.id);
+          render();
+        });
+        chip.append(open, remove);
+        savedViewsGroup.appendChild(chip);
+      });
+    }
+
+    // Mirror the view in the URL hash. Typing in the search box replaces the
+    // current history entry; every other view change pushes a new one.
+    let urlView = null;
+    function syncUrl() {
+      const view = Views.current(state);
+      const hash = Views.toHash(view);
+      if (hash !== location.hash) {
+        const url = `${location.pathname}${location.search}${hash}`;
+        const replace = !urlView || Views.equals({ ...urlView, search: view.search }, view);
+        try {
+          if (replace) window.history.replaceState(null, "", url);
+          else window.history.pushState(null, "", url);
+        } catch {
+          /* some file:// pages refuse history entries; the view still works */
+        }
+      }
+      urlView = view;
+    }
+
+    // Back/forward (or an edited address bar) restores the view the URL names
+    function onUrlChange() {
+      const view = Views.fromHash(location.hash) || Views.DEFAULTS;
+      if (Views.equals(view, Views.current(state))) return;
+      urlView = view;
+      Views.apply(state, view);
+      render();
+    }
 
-    // Filter and bulk actions row
-    const filterRow = el("div", { classes: "flex flex-wrap items-center justify-between gap-2 mb-4" });
-    const filterBtns = el("div", { classes: "inline-flex rounded-xl border border-slate-200 dark:border-slate-700 overflow-hidden" });
-    const btnAll = el("button", { classes: "px-3 py-2 text-sm bg-slate-50 dark:bg-slate-800 text-slate-800 dark:text-slate-100", text: "All" });
-    const btnActive = el("button", { classes: "px-3 py-2 text-sm hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-800 dark:text-slate-100", text: "Active" });
-    const btnCompleted = el("button", { classes: "px-3 py-2 text-sm hover:bg-slate-100 dark:hover:bg-slate-700 text-slate-800 dark:text-slate-100", text: "Completed" });
-    filterBtns.append(btnAll, btnActive, btnCompleted);
-    const bulkRow = el("div", { classes: "inline-flex items-center gap-2" });
-    const toggleAllBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800", text: "Toggle All" });
-    const clearCompletedBtn = el("button", { classes: "px-3 py-2 rounded-xl border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 hover:bg-emerald-50 dark:hover:bg-slate-800", text: "Clear Completed" });
-    bulkRow.append(toggleAllBtn, clearCompletedBtn);
-    filterRow.append(filterBtns, bulkRow);
+    // Tasks whose subtasks are shown (view state only, not persisted)
+    const expandedIds = new Set();
+    // Inline editors of the rendered tasks, for the "e" shortcut (rebuilt by render())
+    const taskEditors = new Map();
 
-    // Tags quick filter row
-    const tagsQuickRow = el("div", { classes: "flex flex-wrap gap-2 mb-4" });
+    // Swap a text span for an input; Enter/blur commits a non-empty value, Escape cancels.
+    // onDone runs after either, once the span is back (and any re-render has happened)
+    function startInlineEdit(span, value, onCommit, onDone = null) {
+      const parent = span.parentNode;
+      const inputEdit = el("input", {
+        classes:
+          "w-full border border-emerald-300 dark:border-emerald-600 rounded-md px-2 py-1 dark:bg-slate-700 dark:text-slate-100",
+        attrs: { type: "text" },
+      });
+      inputEdit.value = value;
+      parent.replaceChild(inputEdit, span);
+      inputEdit.focus();
+      let finished = false;
+      const commit = () => {
+        if (finished) return;
+        finished = true;
+        const v = inputEdit.value.trim();
+        parent.replaceChild(span, inputEdit);
+        if (v && v !== value) onCommit(v);
+        if (onDone) onDone();
+      };
+      const cancel = () => {
+        if (finished) return;
+        finished = true;
+        parent.replaceChild(span, inputEdit);
+        if (onDone) onDone();
+      };
+      inputEdit.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") commit();
+        else if (e.key === "Escape") cancel();
+      });
+      inputEdit.addEventListener("blur", commit);
+    }
 
-    // Summary stats
-    const summaryRow = el("div", { classes: "flex items-center justify-between mb-2" });
-    const summaryText = el("div", { classes: "text-sm text-slate-700 dark:text-slate-300" });
+    // Replace a task's subtasks; completes the parent when that setting is on and all are done
+    function commitSubtasks(task, subtasks, label) {
+      const update = updateTasksCommand(state, [{ id: task.id, fields: { subtasks } }], label);
+      if (Subtasks.completesParent(task, subtasks, state.autoCompleteParent)) {
+        run(batchCommand([update, setCompletedCommand(state, [task.id], true, label)], label));
+      } else {
+        run(update);
+      }
+    }
 
-    // List and empty state
-    const list = el("ul", { classes: "space-y-2", attrs: { role: "list", "aria-live": "polite" } });
-    const emptyState = el("div", { classes: "text-center text-slate-500 dark:text-slate-400 py-8 hidden" });
-    emptyState.innerHTML = `
-      <div class="flex flex-col items-center gap-2">
-        <svg class="w-12 h-12 opacity-60" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-          <path d="M7 7h10M7 12h10M7 17h6" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
-        </svg>
-        <p>No tasks yet. Add your first task above.</p>
-      </div>`;
+    // Move a subtask to another position, possibly under another task
+    function moveSubtask(fromId, subId, toId, toIndex) {
+      const updates = Subtasks.move(state.tasks, fromId, subId, toId, toIndex);
+      if (!updates.length) return;
+      if (fromId !== toId) expandedIds.add(toId);
+      run(updateTasksCommand(state, updates, fromId === toId ? "Reorder subtasks" : "Move subtask"));
+    }
 
-    container.append(header, controlsRow, addRow, filterRow, tagsQuickRow, summaryRow, list, emptyState);
-    mount.appendChild(container);
-    // Remove duplicate init; Theme is initialized globally once
-    // Theme._init();
+    function makeSubtaskItem(task, sub, index) {
+      const item = el("li", { classes: "flex items-center gap-2 py-0.5", attrs: { draggable: "true" } });
+      const box = el("input", { attrs: { type: "checkbox", "aria-label": `Mark subtask complete: ${sub.text}` } });
+      box.checked = sub.completed;
+      box.addEventListener("change", () => {
+        const subtasks = task.subtasks.map((s) => (s.id === sub.id ? { ...s, completed: box.checked } : s));
+        commitSubtasks(task, subtasks, box.checked ? "Complete subtask" : "Reopen subtask");
+      });
+      const label = el("span", {
+        classes: `flex-1 text-sm text-slate-800 dark:text-slate-200 ${sub.completed ? "line-through opacity-60" : ""}`,
+        text: sub.text,
+      });
+      label.addEventListener("dblclick", () => startInlineEdit(label, sub.text, (v) => {
+        const subtasks = task.subtasks.map((s) => (s.id === sub.id ? { ...s, text: v } : s));
+        commitSubtasks(task, subtasks, "Edit subtask");
+      }));
+      const remove = el("button", {
+        classes: "px-2 text-slate-400 hover:text-red-500 bg-transparent border-0",
+        text: "×",
+        attrs: { "aria-label": `Delete subtask: ${sub.text}` },
+      });
+      remove.addEventListener("click", () => commitSubtasks(task, task.subtasks.filter((s) => s.id !== sub.id), "Delete subtask"));
+      item.append(box, label, remove);
 
-    // State
-    let state = loadState();
+      item.addEventListener("dragstart", (ev) => {
+        ev.stopPropagation();
+        ev.dataTransfer.setData("application/x-subtask", JSON.stringify({ parentId: task.id, subId: sub.id }));
+        ev.dataTransfer.effectAllowed = "move";
+        item.classList.add("opacity-60");
+      });
+      item.addEventListener("dragend", () => item.classList.remove("opacity-60"));
+      item.addEventListener("dragover", (ev) => {
+        ev.preventDefault();
+        ev.stopPropagation();
+      });
+      item.addEventListener("drop", (ev) => {
+        ev.preventDefault();
+        ev.stopPropagation();
+        const data = ev.dataTransfer.getData("application/x-subtask");
+        if (!data) return;
+        const { parentId, subId } = JSON.parse(data);
+        if (subId !== sub.id) moveSubtask(parentId, subId, task.id, index);
+      });
+      return item;
+    }
 
-    // Helper: update tags quick filter chips
-    function refreshTagChips() {
-      tagsQuickRow.innerHTML = "";
-      const tagSet = new Set();
-      state.tasks.forEach((t) => t.tags.forEach((tag) => tagSet.add(tag)));
-      const tags = Array.from(tagSet).sort((a, b) => a.localeCompare(b));
-      if (tags.length === 0) return;
-      tags.forEach((tag) => {
-        const chip = el("button", {
-          classes:
-            `px-3 py-1 rounded-full text-sm border ${state.tagFilter === tag ? "bg-indigo-600 text-white border-indigo-600" : "border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-100 hover:bg-slate-50 dark:hover:bg-slate-700"}`,
-          text: `#${tag}`,
-        });
-        chip.addEventListener("click", () => {
-          state.tagFilter = state.tagFilter === tag ? "" : tag;
-          render();
-        });
-        tagsQuickRow.appendChild(chip);
+    // Subtask list plus an input to add more
+    function makeSubtaskPanel(task) {
+      const panel = el("div", { classes: "mt-2 pl-1" });
+      const hideDone = state.filter === "active";
+      const shown = task.subtasks.map((sub, i) => ({ sub, i })).filter(({ sub }) => !(hideDone && sub.completed));
+      const ul = el("ul", { classes: "space-y-0.5", attrs: { role: "list", "aria-label": `Subtasks of ${task.text}` } });
+      shown.forEach(({ sub, i }) => ul.appendChild(makeSubtaskItem(task, sub, i)));
+      panel.appendChild(ul);
+      const hidden = task.subtasks.length - shown.length;
+      if (hidden > 0) panel.appendChild(el("div", { classes: "text-xs text-slate-500 dark:text-slate-400", text: `${hidden} completed subtask${hidden === 1 ? "" : "s"} hidden` }));
+      const addSub = el("input", {
+        classes: "mt-1 w-full border border-emerald-300 dark:border-emerald-600 rounded-md px-2 py-1 text-sm dark:bg-slate-700 dark:text-slate-100",
+        attrs: { type: "text", placeholder: "Add a subtask...", "aria-label": `Add subtask to ${task.text}`, "data-subtask-input": task.id },
       });
-      const clearChip = el("button", { classes: "px-3 py-1 rounded-full text-sm border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-100", text: "Clear tag filter" });
-      clearChip.addEventListener("click", () => { state.tagFilter = ""; render(); });
-      tagsQuickRow.appendChild(clearChip);
+      addSub.addEventListener("keydown", (e) => {
+        if (e.key !== "Enter") return;
+        const v = addSub.value.trim();
+        if (!v) return;
+        expandedIds.add(task.id);
+        commitSubtasks(task, [...task.subtasks, { id: newId(), text: v, completed: false }], "Add subtask");
+        const again = Array.from(list.querySelectorAll("[data-subtask-input]")).find((n) => n.dataset.subtaskInput === task.id);
+        if (again) again.focus();
+      });
+      panel.appendChild(addSub);
+      return panel;
     }
 
     // Create a task <li>
-    function makeTaskItem(task) {
+    // Multi-select for bulk actions: checkbox mode, Ctrl/Cmd-click to toggle, Shift-click for a range
+    let selectMode = false;
+    const selectedIds = new Set();
+    let selectAnchor = null;
+    // Tasks the current filter and search show, in order (the bulk bar's "All matching")
+    let matchingIds = [];
+
+    function selectTask(id, { range = false } = {}) {
+      selectMode = true;
+      if (range && selectAnchor) {
+        Bulk.range(taskItems().map((li) => li.dataset.taskId), selectAnchor, id).forEach((x) => selectedIds.add(x));
+      } else {
+        if (selectedIds.has(id)) selectedIds.delete(id);
+        else selectedIds.add(id);
+        selectAnchor = id;
+      }
+      render();
+    }
+
+    function leaveSelectMode() {
+      selectMode = false;
+      selectedIds.clear();
+      selectAnchor = null;
+      render();
+    }
+
+    function makeTaskItem(task, { forceExpand = false } = {}) {
       const li = el("li", {
         classes:
-          "flex items-center justify-between gap-3 px-4 py-2 bg-slate-50 dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700 transition-all duration-200",
-        attrs: { draggable: "true" },
+          "flex items-center justify-between gap-3 px-4 py-2 bg-slate-50 dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700 transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-400",
+        attrs: { draggable: "true", tabindex: "0", "data-task-id": task.id, "aria-label": task.text },
       });
 
+      // Overdue and due-today highlight
+      const dueState = task.completed ? "" : dueStatus(task);
+      if (dueState === "overdue") li.classList.add("border-red-400", "dark:border-red-500", "ring-1", "ring-red-300", "dark:ring-red-700");
+      else if (dueState === "today") li.classList.add("border-amber-400", "dark:border-amber-500");
+
       // Enter animation
       li.classList.add("opacity-0", "translate-y-1");
       requestAnimationFrame(() => li.classList.remove("opacity-0", "translate-y-1"));
@@ -542,8 +5125,7 @@ document.addEventListener("DOMContentLoaded", () => {
       const checkbox = el("input", { attrs: { type: "checkbox", "aria-label": "Mark complete" } });
       checkbox.checked = !!task.completed;
       checkbox.addEventListener("change", () => {
-        task.completed = checkbox.checked;
-        render();
+        run(setCompletedCommand(state, [task.id], checkbox.checked, checkbox.checked ? "Complete task" : "Reopen task"));
       });
 
       const textWrap = el("div", { classes: "flex-1" });
@@ -551,160 +5133,932 @@ document.addEventListener("DOMContentLoaded", () => {
         classes: `text-slate-900 dark:text-slate-100 ${task.completed ? "line-through opacity-60" : ""}`,
         text: task.text,
       });
-      // Inline editing on double-click
-      span.addEventListener("dblclick", () => {
-        const inputEdit = el("input", {
-          classes:
-            "w-full border border-emerald-300 dark:border-emerald-600 rounded-md px-2 py-1 dark:bg-slate-700 dark:text-slate-100",
-          attrs: { type: "text" },
+      // Inline editing on double-click (or the edit shortcut)
+      const editText = (onDone) => startInlineEdit(span, task.text, (v) => {
+        run(updateTasksCommand(state, [{ id: task.id, fields: { text: v } }], "Edit task"));
+      }, onDone);
+      span.addEventListener("dblclick", () => editText());
+      taskEditors.set(task.id, editText);
+
+      const meta = el("div", { classes: "flex items-center gap-2 mt-1" });
+      if (task.dueDate) {
+        const dueText = task.dueTime ? `${task.dueDate} ${task.dueTime}` : task.dueDate;
+        const dueColor = dueState === "overdue"
+          ? "bg-red-500 text-white"
+          : dueState === "today" ? "bg-amber-300 text-slate-900" : "bg-slate-200 dark:bg-slate-700 text-slate-800 dark:text-slate-100";
+        meta.appendChild(el("span", {
+          classes: `px-2 py-0.5 rounded-full text-xs ${dueColor}`,
+          text: dueState === "overdue" ? `Overdue · ${dueText}` : dueState === "today" ? `Today · ${dueText}` : dueText,
+        }));
+      }
+      const prioColor = task.priority === "high" ? "bg-red-500 text-white" : task.priority === "medium" ? "bg-amber-400 text-slate-900" : "bg-emerald-400 text-slate-900";
+      meta.appendChild(el("span", { classes: `px-2 py-0.5 rounded-full text-xs ${prioColor}`, text: task.priority }));
+      if (task.recurrence) {
+        const repeatLabel = Recurrence.describe(task.recurrence, task.dueDate);
+        const repeatBadge = el("button", {
+          classes: "px-2 py-0.5 rounded-full text-xs bg-sky-100 dark:bg-sky-900 text-sky-800 dark:text-sky-100",
+          text: `↻ ${repeatLabel}`,
+          attrs: { title: "Repeating task (click to stop repeating)", "aria-label": `Repeats: ${repeatLabel}. Stop repeating` },
         });
-        inputEdit.value = task.text;
-        textWrap.replaceChild(inputEdit, span);
-        inputEdit.focus();
-        const commit = () => {
-          const v = inputEdit.value.trim();
-          if (v) task.text = v;
-          textWrap.replaceChild(span, inputEdit);
-          span.textContent = task.text;
-          render();
-        };
-        const cancel = () => {
-          textWrap.replaceChild(span, inputEdit);
+        repeatBadge.addEventListener("click", () => {
+          if (confirm("Stop repeating this task?")) run(updateTasksCommand(state, [{ id: task.id, fields: { recurrence: null } }], "Stop repeating"));
+        });
+        meta.appendChild(repeatBadge);
+      }
+      if (task.reminder) {
+        const reminderLabel = describeReminder(task.reminder);
+        const bell = el("button", {
+          classes: "px-2 py-0.5 rounded-full text-xs bg-violet-100 dark:bg-violet-900 text-violet-800 dark:text-violet-100",
+          text: `🔔 ${reminderLabel}`,
+          attrs: { title: "Reminder (click to remove)", "aria-label": `Reminder: ${reminderLabel}. Remove reminder` },
+        });
+        bell.addEventListener("click", () => {
+          if (confirm("Remove this reminder?")) run(updateTasksCommand(state, [{ id: task.id, fields: { reminder: null } }], "Remove reminder"));
+        });
+        meta.appendChild(bell);
+      }
+      if (task.subtasks.length) {
+        const { done, total } = Subtasks.progress(task.subtasks);
+        meta.appendChild(el("span", {
+          classes: "px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-800 dark:text-slate-100",
+          text: `${done}/${total}`,
+          attrs: { title: "Subtasks done", "aria-label": `${done} of ${total} subtasks done` },
+        }));
+      }
+      task.tags.forEach((tg) => meta.appendChild(el("span", { classes: "px-2 py-0.5 rounded-full text-xs border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100", text: `#${tg}` })));
+      // Which list a task is in, for the aggregate view
+      const taskList = listById(task.listId);
+      if (state.activeListId === ALL_LISTS && taskList) {
+        const listTag = el("span", { classes: "px-2 py-0.5 rounded-full text-xs text-slate-800 dark:text-slate-100", text: `${taskList.icon} ${taskList.name}` });
+        listTag.style.boxShadow = `inset 0 0 0 1px ${taskList.color}`;
+        meta.appendChild(listTag);
+      }
+
+      textWrap.append(span, meta);
+
+      // Subtasks: expand/collapse control and panel
+      const expanded = forceExpand || expandedIds.has(task.id);
+      const expandBtn = el("button", {
+        classes: "w-6 px-0 py-0 text-slate-500 dark:text-slate-300 bg-transparent border-0 shadow-none",
+        text: expanded ? "▾" : "▸",
+        attrs: { "aria-expanded": String(expanded), "aria-label": `${expanded ? "Hide" : "Show"} subtasks of ${task.text}`, title: expanded ? "Hide subtasks" : "Show subtasks" },
+      });
+      expandBtn.addEventListener("click", () => {
+        if (expandedIds.has(task.id)) expandedIds.delete(task.id);
+        else expandedIds.add(task.id);
+        render();
+      });
+      if (expanded) textWrap.appendChild(makeSubtaskPanel(task));
+      left.append(expandBtn, checkbox, textWrap);
+
+      // Selection for the bulk bar
+      if (selectMode) {
+        const selected = selectedIds.has(task.id);
+        const selectBox = el("input", { attrs: { type: "checkbox", "aria-label": `Select "${task.text}"`, title: "Select (Shift-click selects a range)" } });
+        selectBox.checked = selected;
+        selectBox.addEventListener("click", (e) => {
+          e.stopPropagation();
+          selectTask(task.id, { range: e.shiftKey });
+        });
+        left.prepend(selectBox);
+        li.setAttribute("aria-selected", String(selected));
+        if (selected) li.classList.add("ring-2", "ring-emerald-500");
+      }
+      li.addEventListener("click", (e) => {
+        const modifier = e.ctrlKey || e.metaKey || (e.shiftKey && selectMode);
+        if (!modifier || e.target.closest("button, input, select, a")) return;
+        e.preventDefault();
+        selectTask(task.id, { range: e.shiftKey });
+      });
+      // Space selects the focused row while selecting; Esc leaves selection mode
+      li.addEventListener("keydown", (e) => {
+        if (e.target !== li || !selectMode) return;
+        if (e.key === " ") {
+          e.preventDefault();
+          selectTask(task.id, { range: e.shiftKey });
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          leaveSelectMode();
+        }
+      });
+
+      // Right side: delete button and drag handle
+      const right = el("div", { classes: "flex items-center gap-2" });
+      const delBtn = el("button", {
+        classes:
+          "px-3 py-1 rounded-lg bg-red-500 text-white text-sm hover:bg-red-600 transition",
+        text: "Delete",
+        attrs: { "aria-label": "Delete task" },
+      });
+      delBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const doDelete = () => {
+          // Exit animation then remove
+          li.classList.add("opacity-0", "translate-y-1");
+          setTimeout(() => {
+            run(trashTasksCommand(state, [task.id], true, "Task moved to trash"), { undoToast: true });
+          }, 150);
         };
-        inputEdit.addEventListener("keydown", (e) => {
-          if (e.key === "Enter") commit();
-          else if (e.key === "Escape") cancel();
+        if (state.confirmDelete) {
+          if (confirm("Delete this task?")) doDelete();
+        } else {
+          doDelete();
+        }
+      });
+      const dragHandle = el("span", { classes: "cursor-grab text-slate-400 select-none", text: "⋮⋮" });
+
+      // Completed tasks can leave the list for the Archive, and come back from it
+      if (task.completed) {
+        const archiveLabel = task.archivedAt ? "Unarchive" : "Archive";
+        const archiveBtn = el("button", {
+          classes: "px-3 py-1 rounded-lg border border-slate-300 dark:border-slate-600 text-slate-800 dark:text-slate-100 text-sm hover:bg-slate-100 dark:hover:bg-slate-700",
+          text: archiveLabel,
+          attrs: { "aria-label": `${archiveLabel} task` },
+        });
+        archiveBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          run(archiveTasksCommand(state, [task.id], !task.archivedAt, task.archivedAt ? "Task unarchived" : "Task archived"), { undoToast: true });
+        });
+        right.appendChild(archiveBtn);
+      }
+
+      // Move to another list
+      if (state.lists.length > 1) {
+        const moveSelect = el("select", {
+          classes: "max-w-[8rem] border border-slate-300 dark:border-slate-600 rounded-lg px-2 py-1 text-sm dark:bg-slate-700 dark:text-slate-100",
+          attrs: { "aria-label": `Move "${task.text}" to list`, title: "Move to list" },
+        });
+        state.lists.forEach((l) => moveSelect.appendChild(el("option", { attrs: { value: l.id }, text: `${l.icon} ${l.name}` })));
+        moveSelect.value = task.listId;
+        moveSelect.addEventListener("change", () => {
+          const target = listById(moveSelect.value);
+          run(updateTasksCommand(state, [{ id: task.id, fields: { listId: moveSelect.value } }], `Moved to ${target ? target.name : "list"}`), { undoToast: true });
+        });
+        right.appendChild(moveSelect);
+      }
+
+      right.append(delBtn, dragHandle);
+      li.append(left, right);
+
+      // Drag and drop reordering
+      li.addEventListener("dragstart", (ev) => {
+        ev.dataTransfer.setData("text/plain", task.id);
+        ev.dataTransfer.effectAllowed = "move";
+        li.classList.add("opacity-60");
+      });
+      li.addEventListener("dragend", () => li.classList.remove("opacity-60"));
+      li.addEventListener("dragover", (ev) => {
+        ev.preventDefault();
+        ev.dataTransfer.dropEffect = "move";
+      });
+      li.addEventListener("drop", (ev) => {
+        ev.preventDefault();
+        // A subtask dropped on a task joins the end of its checklist
+        const sub = ev.dataTransfer.getData("application/x-subtask");
+        if (sub) {
+          const { parentId, subId } = JSON.parse(sub);
+          moveSubtask(parentId, subId, task.id, task.subtasks.length);
+          return;
+        }
+        const srcId = ev.dataTransfer.getData("text/plain");
+        if (!srcId || srcId === task.id) return;
+        run(moveTaskCommand(state, srcId, task.id));
+      });
+
+      return li;
+    }
+
+    // Permanent deletion from the Trash, after a confirmation
+    function deleteForever(ids) {
+      if (!ids.length) return;
+      if (!confirm(ids.length === 1 ? "Delete this task permanently?" : `Delete ${ids.length} tasks permanently?`)) return;
+      run(removeTasksCommand(state, ids, ids.length === 1 ? "Task deleted permanently" : `${ids.length} tasks deleted permanently`), { undoToast: true });
+    }
+
+    // A row in the Trash: when it was deleted and when it goes for good, with restore and delete
+    function makeTrashItem(task) {
+      const li = el("li", {
+        classes:
+          "flex items-center justify-between gap-3 px-4 py-2 bg-slate-50 dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-400",
+        attrs: { tabindex: "0", "data-task-id": task.id, "aria-label": task.text },
+      });
+      const textWrap = el("div", { classes: "flex-1 min-w-0" });
+      textWrap.appendChild(el("span", { classes: `text-slate-900 dark:text-slate-100 ${task.completed ? "line-through opacity-60" : ""}`, text: task.text }));
+      const meta = el("div", { classes: "flex flex-wrap items-center gap-2 mt-1 text-xs text-slate-500 dark:text-slate-400" });
+      const daysLeft = Math.max(0, Math.ceil((task.trashedAt + state.trashDays * 24 * 60 * 60 * 1000 - Date.now()) / (24 * 60 * 60 * 1000)));
+      meta.appendChild(el("span", { text: `Deleted ${toDateInputValue(new Date(task.trashedAt))} · removed for good in ${daysLeft} day${daysLeft === 1 ? "" : "s"}` }));
+      if (task.archivedAt) meta.appendChild(el("span", { text: "· from the Archive" }));
+      task.tags.forEach((tg) => meta.appendChild(el("span", { classes: "px-2 py-0.5 rounded-full border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100", text: `#${tg}` })));
+      textWrap.appendChild(meta);
+
+      const right = el("div", { classes: "flex items-center gap-2" });
+      const restoreBtn = el("button", {
+        classes: "px-3 py-1 rounded-lg border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100 text-sm hover:bg-emerald-50 dark:hover:bg-slate-700",
+        text: "Restore",
+        attrs: { "aria-label": `Restore "${task.text}"` },
+      });
+      restoreBtn.addEventListener("click", () => run(trashTasksCommand(state, [task.id], false, "Task restored"), { undoToast: true }));
+      const purgeBtn = el("button", {
+        classes: "px-3 py-1 rounded-lg bg-red-500 text-white text-sm hover:bg-red-600 transition",
+        text: "Delete forever",
+        attrs: { "aria-label": `Delete "${task.text}" permanently` },
+      });
+      purgeBtn.addEventListener("click", () => deleteForever([task.id]));
+      right.append(restoreBtn, purgeBtn);
+      li.append(textWrap, right);
+      return li;
+    }
+
+    // Drop a card into another column by changing the field the board is grouped by
+    function moveCard(task, from, column) {
+      const fields = Board.moveFields(task, state.boardGroup, from, column.key);
+      if (!fields) return;
+      const label = `Moved to ${column.title}`;
+      const { completed, ...rest } = fields;
+      const commands = [updateTasksCommand(state, [{ id: task.id, fields: rest }], label)];
+      // Completing goes through setCompletedCommand so repeating tasks get their next occurrence
+      if (completed !== undefined && completed !== task.completed) commands.push(setCompletedCommand(state, [task.id], completed, label));
+      run(batchCommand(commands, label));
+    }
+
+    // Card to focus after the next board render, e.g. one just moved with the keyboard
+    let boardFocus = null;
+
+    function makeBoardCard(task, column, columns, index) {
+      const card = el("li", {
+        classes:
+          "px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 shadow-sm cursor-grab focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-400",
+        attrs: { draggable: "true", tabindex: "0", "data-task-id": task.id, "aria-label": task.text, title: "Drag to another column, or press Alt+← / Alt+→" },
+      });
+      const dueState = task.completed ? "" : dueStatus(task);
+      if (dueState === "overdue") card.classList.add("border-red-400", "dark:border-red-500");
+      else if (dueState === "today") card.classList.add("border-amber-400", "dark:border-amber-500");
+
+      const text = el("span", {
+        classes: `block text-sm text-slate-900 dark:text-slate-100 ${task.completed ? "line-through opacity-60" : ""}`,
+        text: task.text,
+      });
+      text.addEventListener("dblclick", () => startInlineEdit(text, task.text, (v) => {
+        run(updateTasksCommand(state, [{ id: task.id, fields: { text: v } }], "Edit task"));
+      }));
+
+      const meta = el("div", { classes: "flex flex-wrap items-center gap-1 mt-1" });
+      if (task.dueDate) {
+        const dueColor = dueState === "overdue"
+          ? "bg-red-500 text-white"
+          : dueState === "today" ? "bg-amber-300 text-slate-900" : "bg-slate-200 dark:bg-slate-700 text-slate-800 dark:text-slate-100";
+        meta.appendChild(el("span", { classes: `px-2 py-0.5 rounded-full text-xs ${dueColor}`, text: task.dueTime ? `${task.dueDate} ${task.dueTime}` : task.dueDate }));
+      }
+      if (state.boardGroup !== "priority") {
+        const prioColor = task.priority === "high" ? "bg-red-500 text-white" : task.priority === "medium" ? "bg-amber-400 text-slate-900" : "bg-emerald-400 text-slate-900";
+        meta.appendChild(el("span", { classes: `px-2 py-0.5 rounded-full text-xs ${prioColor}`, text: task.priority }));
+      }
+      if (task.subtasks.length) {
+        const { done, total } = Subtasks.progress(task.subtasks);
+        meta.appendChild(el("span", {
+          classes: "px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-800 dark:text-slate-100",
+          text: `${done}/${total}`,
+          attrs: { "aria-label": `${done} of ${total} subtasks done` },
+        }));
+      }
+      task.tags.forEach((tg) => meta.appendChild(el("span", { classes: "px-2 py-0.5 rounded-full text-xs border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100", text: `#${tg}` })));
+      card.append(text, meta);
+
+      card.addEventListener("dragstart", (ev) => {
+        ev.dataTransfer.setData("application/x-board-card", JSON.stringify({ id: task.id, from: column.key }));
+        ev.dataTransfer.effectAllowed = "move";
+        card.classList.add("opacity-60");
+      });
+      card.addEventListener("dragend", () => card.classList.remove("opacity-60"));
+      // Alt+←/→ moves the card to the neighbouring column; ↑/↓ walk the column
+      card.addEventListener("keydown", (e) => {
+        if (e.target !== card) return;
+        if (e.altKey && (e.key === "ArrowLeft" || e.key === "ArrowRight")) {
+          e.preventDefault();
+          const target = columns[index + (e.key === "ArrowLeft" ? -1 : 1)];
+          if (!target) return;
+          boardFocus = { id: task.id, key: target.key };
+          moveCard(task, column.key, target);
+        } else if (!e.altKey && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+          e.preventDefault();
+          const next = e.key === "ArrowUp" ? card.previousElementSibling : card.nextElementSibling;
+          if (next) next.focus();
+        }
+      });
+      return card;
+    }
+
+    function makeBoardColumn(column, columns, index) {
+      const section = el("section", {
+        classes: "flex-1 min-w-[14rem] flex flex-col gap-2 p-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-900/40",
+        attrs: { "data-column": column.key, "aria-label": `${column.title}, ${column.tasks.length} task${column.tasks.length === 1 ? "" : "s"}` },
+      });
+      const heading = el("h3", { classes: "flex items-center justify-between px-1 text-sm font-semibold text-slate-700 dark:text-slate-200", text: column.title });
+      heading.appendChild(el("span", { classes: "text-xs font-normal text-slate-500 dark:text-slate-400", text: String(column.tasks.length) }));
+      const cards = el("ul", { classes: "flex flex-col gap-2 min-h-[3rem]", attrs: { role: "list" } });
+      column.tasks.forEach((task) => cards.appendChild(makeBoardCard(task, column, columns, index)));
+      section.append(heading, cards);
+
+      const highlight = (on) => {
+        section.classList.toggle("ring-2", on);
+        section.classList.toggle("ring-emerald-400", on);
+      };
+      section.addEventListener("dragover", (ev) => {
+        if (!Array.from(ev.dataTransfer.types).includes("application/x-board-card")) return;
+        ev.preventDefault();
+        ev.dataTransfer.dropEffect = "move";
+        highlight(true);
+      });
+      section.addEventListener("dragleave", (ev) => {
+        if (!section.contains(ev.relatedTarget)) highlight(false);
+      });
+      section.addEventListener("drop", (ev) => {
+        ev.preventDefault();
+        highlight(false);
+        const data = ev.dataTransfer.getData("application/x-board-card");
+        if (!data) return;
+        const { id, from } = JSON.parse(data);
+        const task = state.tasks.find((t) => t.id === id);
+        if (task) moveCard(task, from, column);
+      });
+      return section;
+    }
+
+    // Board columns for the filtered tasks; keyboard focus stays on the same card
+    function renderBoard(tasks) {
+      const active = document.activeElement;
+      const focused = active && board.contains(active) && active.dataset.taskId
+        ? { id: active.dataset.taskId, key: active.closest("[data-column]").dataset.column }
+        : null;
+      const refocus = boardFocus || focused;
+      boardFocus = null;
+      board.innerHTML = "";
+      const columns = Board.columns(tasks, state.boardGroup);
+      columns.forEach((column, index) => board.appendChild(makeBoardColumn(column, columns, index)));
+      if (refocus) {
+        const cards = Array.from(board.querySelectorAll("li[data-task-id]")).filter((c) => c.dataset.taskId === refocus.id);
+        const card = cards.find((c) => c.closest("[data-column]").dataset.column === refocus.key) || cards[0];
+        if (card) card.focus();
+      }
+    }
+
+    // Calendar: the selected day anchors the month or week on screen and holds keyboard focus
+    let calendarDate = toDateInputValue(new Date());
+    // Chip to focus after the next calendar render, e.g. one just moved with the keyboard
+    let calendarFocus = null;
+
+    // Move a task to another day, or off the calendar (dropping reminders relative to the due date)
+    function rescheduleTask(task, dueDate) {
+      if (task.dueDate === dueDate) return;
+      const fields = { dueDate };
+      if (!dueDate) {
+        fields.dueTime = "";
+        if (task.reminder && task.reminder.type !== "custom") fields.reminder = null;
+      }
+      run(updateTasksCommand(state, [{ id: task.id, fields }], dueDate ? `Reschedule to ${dueDate}` : "Remove due date"));
+    }
+
+    // Clicking a day starts a new task due that day
+    function quickAddOn(day) {
+      dueInput.value = day;
+      input.focus();
+    }
+
+    function selectCalendarDay(day) {
+      calendarDate = day;
+      calendarFocus = { day };
+      render();
+    }
+
+    function makeCalendarChip(task) {
+      const chip = el("li", {
+        classes:
+          "flex items-center gap-1 px-2 py-0.5 rounded-lg border-l-4 text-xs bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 shadow-sm cursor-grab focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-400",
+        attrs: {
+          draggable: "true",
+          tabindex: "-1",
+          "data-task-id": task.id,
+          "aria-label": task.dueTime ? `${task.text}, ${task.dueTime}` : task.text,
+          title: task.dueDate ? "Drag to another day, or press Alt+arrows" : "Drag onto a day, or press Alt+→ to schedule it on the selected day",
+        },
+      });
+      const prioBorder = task.priority === "high" ? "border-red-500" : task.priority === "medium" ? "border-amber-400" : "border-emerald-400";
+      chip.classList.add(prioBorder);
+      if (!task.completed && dueStatus(task) === "overdue") chip.classList.add("bg-red-50", "dark:bg-red-900/40");
+      if (task.dueTime) chip.appendChild(el("span", { classes: "shrink-0 text-slate-500 dark:text-slate-400", text: task.dueTime }));
+      const text = el("span", { classes: `truncate ${task.completed ? "line-through opacity-60" : ""}`, text: task.text });
+      text.addEventListener("dblclick", () => startInlineEdit(text, task.text, (v) => {
+        run(updateTasksCommand(state, [{ id: task.id, fields: { text: v } }], "Edit task"));
+      }));
+      chip.appendChild(text);
+
+      chip.addEventListener("click", (ev) => ev.stopPropagation());
+      chip.addEventListener("dragstart", (ev) => {
+        ev.dataTransfer.setData("application/x-calendar-task", task.id);
+        ev.dataTransfer.effectAllowed = "move";
+        chip.classList.add("opacity-60");
+      });
+      chip.addEventListener("dragend", () => chip.classList.remove("opacity-60"));
+      // Alt+←/→ moves a day, Alt+↑/↓ a week; undated tasks land on the selected day
+      chip.addEventListener("keydown", (e) => {
+        if (e.target !== chip) return;
+        const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+        if (e.altKey && e.key in steps) {
+          e.preventDefault();
+          const day = task.dueDate ? Calendar.offset(task.dueDate, steps[e.key]) : calendarDate;
+          calendarDate = day;
+          calendarFocus = { id: task.id };
+          rescheduleTask(task, day);
+        } else if (!e.altKey && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+          e.preventDefault();
+          const next = e.key === "ArrowUp" ? chip.previousElementSibling : chip.nextElementSibling;
+          if (next && next.dataset.taskId) next.focus();
+        } else if (e.key === "Escape") {
+          const cell = chip.closest("[data-date]");
+          if (cell) cell.focus();
+        }
+      });
+      return chip;
+    }
+
+    // Highlight a drop target while a task is dragged over it; drops reschedule to `day` ("" = undated)
+    function makeCalendarDropTarget(target, day) {
+      const highlight = (on) => {
+        target.classList.toggle("ring-2", on);
+        target.classList.toggle("ring-emerald-400", on);
+      };
+      target.addEventListener("dragover", (ev) => {
+        if (!Array.from(ev.dataTransfer.types).includes("application/x-calendar-task")) return;
+        ev.preventDefault();
+        ev.dataTransfer.dropEffect = "move";
+        highlight(true);
+      });
+      target.addEventListener("dragleave", (ev) => {
+        if (!target.contains(ev.relatedTarget)) highlight(false);
+      });
+      target.addEventListener("drop", (ev) => {
+        ev.preventDefault();
+        highlight(false);
+        const task = state.tasks.find((t) => t.id === ev.dataTransfer.getData("application/x-calendar-task"));
+        if (task) rescheduleTask(task, day);
+      });
+    }
+
+    function makeCalendarDay(day, tasks, month, today) {
+      const week = state.calendarMode === "week";
+      const cell = el("div", {
+        classes: `flex flex-col gap-1 p-1 rounded-lg border border-slate-200 dark:border-slate-700 cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-400 ${
+          week ? "min-h-[12rem]" : "min-h-[6rem]"
+        } ${!week && day.slice(0, 7) !== month ? "bg-slate-50 dark:bg-slate-900/40 opacity-60" : "bg-white dark:bg-slate-800/60"}`,
+        attrs: {
+          role: "gridcell",
+          tabindex: day === calendarDate ? "0" : "-1",
+          "data-date": day,
+          "aria-selected": String(day === calendarDate),
+          "aria-label": `${Calendar.dayLabel(day)}, ${tasks.length ? `${tasks.length} task${tasks.length === 1 ? "" : "s"}` : "no tasks"}`,
+          title: "Click or press Enter to add a task on this day",
+        },
+      });
+      if (day === calendarDate) cell.classList.add("border-emerald-400", "dark:border-emerald-500");
+      const number = el("span", {
+        classes: `self-start px-1.5 rounded-full text-xs font-semibold ${day === today ? "bg-emerald-600 text-white" : "text-slate-700 dark:text-slate-300"}`,
+        text: String(Number(day.slice(8))),
+      });
+      const chips = el("ul", { classes: "flex flex-col gap-1 min-w-0", attrs: { role: "list" } });
+      const shown = week ? tasks : tasks.slice(0, Calendar.MONTH_CHIPS);
+      shown.forEach((task) => chips.appendChild(makeCalendarChip(task)));
+      cell.append(number, chips);
+      if (shown.length < tasks.length) {
+        const hidden = tasks.length - shown.length;
+        const more = el("button", {
+          classes: "self-start px-1 text-xs text-emerald-700 dark:text-emerald-300 hover:underline",
+          text: `+${hidden} more`,
+          attrs: { tabindex: "-1", "aria-label": `${hidden} more on ${Calendar.dayLabel(day)}, show week` },
+        });
+        more.addEventListener("click", (ev) => {
+          ev.stopPropagation();
+          state.calendarMode = "week";
+          selectCalendarDay(day);
         });
-        inputEdit.addEventListener("blur", commit);
+        cell.appendChild(more);
+      }
+
+      cell.addEventListener("click", () => {
+        calendarDate = day;
+        render();
+        quickAddOn(day);
+      });
+      // Arrows move the selection; PageUp/PageDown turn the page; Enter adds a task on the day
+      cell.addEventListener("keydown", (e) => {
+        if (e.target !== cell || e.altKey || e.ctrlKey || e.metaKey) return;
+        const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+        const weekday = Calendar.days(day, "week").indexOf(day);
+        let next = null;
+        if (e.key in steps) next = Calendar.offset(day, steps[e.key]);
+        else if (e.key === "Home") next = Calendar.offset(day, -weekday);
+        else if (e.key === "End") next = Calendar.offset(day, 6 - weekday);
+        else if (e.key === "PageUp" || e.key === "PageDown") next = Calendar.shift(day, state.calendarMode, e.key === "PageUp" ? -1 : 1);
+        else if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          quickAddOn(day);
+          return;
+        } else if (e.key === "Tab" && !e.shiftKey && chips.firstElementChild) {
+          // Tab steps into the day's tasks before leaving the grid
+          e.preventDefault();
+          chips.firstElementChild.focus();
+          return;
+        }
+        if (!next) return;
+        e.preventDefault();
+        selectCalendarDay(next);
       });
+      makeCalendarDropTarget(cell, day);
+      return cell;
+    }
 
-      const meta = el("div", { classes: "flex items-center gap-2 mt-1" });
-      if (task.dueDate) meta.appendChild(el("span", { classes: "px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-800 dark:text-slate-100", text: task.dueDate }));
-      const prioColor = task.priority === "high" ? "bg-red-500 text-white" : task.priority === "medium" ? "bg-amber-400 text-slate-900" : "bg-emerald-400 text-slate-900";
-      meta.appendChild(el("span", { classes: `px-2 py-0.5 rounded-full text-xs ${prioColor}`, text: task.priority }));
-      task.tags.forEach((tg) => meta.appendChild(el("span", { classes: "px-2 py-0.5 rounded-full text-xs border border-emerald-300 dark:border-emerald-600 text-slate-800 dark:text-slate-100", text: `#${tg}` })));
+    // Month or week grid for the filtered tasks, plus a tray of the ones without a due date
+    function renderCalendar(tasks) {
+      const active = document.activeElement;
+      const focused = active && calendarView.contains(active)
+        ? (active.dataset.taskId ? { id: active.dataset.taskId } : active.dataset.date ? { day: active.dataset.date } : null)
+        : null;
+      const refocus = calendarFocus || focused;
+      calendarFocus = null;
+      calendarView.innerHTML = "";
 
-      textWrap.append(span, meta);
-      left.append(checkbox, textWrap);
+      const mode = state.calendarMode;
+      const today = toDateInputValue(new Date());
+      const title = Calendar.title(calendarDate, mode);
+      const byDay = Calendar.byDay(tasks);
 
-      // Right side: delete button and drag handle
-      const right = el("div", { classes: "flex items-center gap-2" });
-      const delBtn = el("button", {
-        classes:
-          "px-3 py-1 rounded-lg bg-red-500 text-white text-sm hover:bg-red-600 transition",
-        text: "Delete",
-        attrs: { "aria-label": "Delete task" },
+      const main = el("div", { classes: "flex-1 min-w-0 flex flex-col gap-2" });
+      const navBtnClasses = "px-3 py-1 rounded-xl border border-slate-200 dark:border-slate-700 text-sm text-slate-800 dark:text-slate-100 hover:bg-slate-100 dark:hover:bg-slate-700";
+      const toolbar = el("div", { classes: "flex items-center gap-2" });
+      const prevBtn = el("button", { classes: navBtnClasses, text: "‹", attrs: { "aria-label": mode === "week" ? "Previous week" : "Previous month" } });
+      const nextBtn = el("button", { classes: navBtnClasses, text: "›", attrs: { "aria-label": mode === "week" ? "Next week" : "Next month" } });
+      const todayBtn = el("button", { classes: navBtnClasses, text: "Today" });
+      const heading = el("h3", { classes: "flex-1 font-semibold text-slate-800 dark:text-slate-100", text: title, attrs: { "aria-live": "polite" } });
+      prevBtn.addEventListener("click", () => { calendarDate = Calendar.shift(calendarDate, mode, -1); render(); });
+      nextBtn.addEventListener("click", () => { calendarDate = Calendar.shift(calendarDate, mode, 1); render(); });
+      todayBtn.addEventListener("click", () => { calendarDate = today; render(); });
+      toolbar.append(heading, prevBtn, todayBtn, nextBtn);
+
+      // Rows use `contents` so the cells still sit on one 7-column grid
+      const grid = el("div", { classes: "grid grid-cols-7 gap-1", attrs: { role: "grid", "aria-label": title } });
+      const header = el("div", { classes: "contents", attrs: { role: "row" } });
+      Calendar.weekdayNames().forEach((name) =>
+        header.appendChild(el("div", { classes: "px-1 text-xs font-medium text-slate-500 dark:text-slate-400", text: name, attrs: { role: "columnheader" } })));
+      grid.appendChild(header);
+      const days = Calendar.days(calendarDate, mode);
+      const month = calendarDate.slice(0, 7);
+      for (let i = 0; i < days.length; i += 7) {
+        const row = el("div", { classes: "contents", attrs: { role: "row" } });
+        days.slice(i, i + 7).forEach((day) => row.appendChild(makeCalendarDay(day, byDay.get(day) || [], month, today)));
+        grid.appendChild(row);
+      }
+      main.append(toolbar, grid);
+
+      const undated = tasks.filter((t) => !t.dueDate);
+      const tray = el("section", {
+        classes: "md:w-56 shrink-0 flex flex-col gap-2 p-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-900/40",
+        attrs: { "aria-label": `No due date, ${undated.length} task${undated.length === 1 ? "" : "s"}` },
       });
-      delBtn.addEventListener("click", (e) => {
-        e.stopPropagation();
-        const doDelete = () => {
-          // Exit animation then remove
-          li.classList.add("opacity-0", "translate-y-1");
-          setTimeout(() => {
-            state.tasks = state.tasks.filter((t) => t.id !== task.id);
-            render();
-          }, 150);
-        };
-        if (state.confirmDelete) {
-          if (confirm("Delete this task?")) doDelete();
-        } else {
-          doDelete();
-        }
+      const trayHeading = el("h3", { classes: "flex items-center justify-between px-1 text-sm font-semibold text-slate-700 dark:text-slate-200", text: "No due date" });
+      trayHeading.appendChild(el("span", { classes: "text-xs font-normal text-slate-500 dark:text-slate-400", text: String(undated.length) }));
+      const trayChips = el("ul", { classes: "flex flex-col gap-1 min-h-[3rem]", attrs: { role: "list" } });
+      undated.forEach((task) => {
+        const chip = makeCalendarChip(task);
+        chip.setAttribute("tabindex", "0");
+        trayChips.appendChild(chip);
       });
-      const dragHandle = el("span", { classes: "cursor-grab text-slate-400 select-none", text: "⋮⋮" });
+      tray.append(trayHeading, trayChips);
+      makeCalendarDropTarget(tray, "");
 
-      right.append(delBtn, dragHandle);
-      li.append(left, right);
+      calendarView.append(main, tray);
+      if (refocus) {
+        const target = refocus.id
+          ? Array.from(calendarView.querySelectorAll("li[data-task-id]")).find((c) => c.dataset.taskId === refocus.id)
+          : calendarView.querySelector(`[data-date="${refocus.day}"]`);
+        if (target) target.focus();
+      }
+    }
 
-      // Drag and drop reordering
-      li.addEventListener("dragstart", (ev) => {
-        ev.dataTransfer.setData("text/plain", task.id);
-        ev.dataTransfer.effectAllowed = "move";
-        li.classList.add("opacity-60");
+    // Statistics panel: small SVG charts drawn here, so nothing leaves the browser
+    const SVG_NS = "http://www.w3.org/2000/svg";
+    function svgEl(tag, attrs = {}, classes = "") {
+      const node = document.createElementNS(SVG_NS, tag);
+      Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, String(v)));
+      if (classes) node.setAttribute("class", classes);
+      return node;
+    }
+
+    function svgText(x, y, text, attrs = {}) {
+      const node = svgEl("text", { x, y, "font-size": 10, ...attrs }, "fill-slate-500 dark:fill-slate-400");
+      node.textContent = text;
+      return node;
+    }
+
+    // Vertical bars, labelled under the first, middle and last one: points = [{ label, title, value }]
+    function columnChart(points, label) {
+      const width = 320;
+      const height = 120;
+      const top = 14;
+      const bottom = 16;
+      const max = Math.max(1, ...points.map((p) => p.value));
+      const slot = width / points.length;
+      const barWidth = Math.max(2, slot * 0.7);
+      const chart = svgEl("svg", { viewBox: `0 0 ${width} ${height}`, role: "img", "aria-label": label }, "w-full h-auto");
+      chart.appendChild(svgEl("line", { x1: 0, x2: width, y1: height - bottom, y2: height - bottom }, "stroke-slate-300 dark:stroke-slate-600"));
+      const labelled = new Set([0, Math.floor(points.length / 2), points.length - 1]);
+      points.forEach((p, i) => {
+        const barHeight = (p.value / max) * (height - top - bottom);
+        const x = i * slot + (slot - barWidth) / 2;
+        const bar = svgEl("rect", { x, y: height - bottom - barHeight, width: barWidth, height: barHeight, rx: 2 }, "fill-emerald-500 dark:fill-emerald-400");
+        const tip = svgEl("title");
+        tip.textContent = `${p.title}: ${p.value}`;
+        bar.appendChild(tip);
+        chart.appendChild(bar);
+        if (p.value) chart.appendChild(svgText(x + barWidth / 2, height - bottom - barHeight - 3, String(p.value), { "text-anchor": "middle" }));
+        if (labelled.has(i)) chart.appendChild(svgText(x + barWidth / 2, height - 3, p.label, { "text-anchor": "middle" }));
       });
-      li.addEventListener("dragend", () => li.classList.remove("opacity-60"));
-      li.addEventListener("dragover", (ev) => {
-        ev.preventDefault();
-        ev.dataTransfer.dropEffect = "move";
+      return chart;
+    }
+
+    // One row per key: the completed part of each total, counts at the end: rows = [{ label, total, completed }]
+    function breakdownChart(rows, label) {
+      const width = 320;
+      const rowHeight = 22;
+      const labelWidth = 90;
+      const countWidth = 50;
+      const track = width - labelWidth - countWidth;
+      const max = Math.max(1, ...rows.map((r) => r.total));
+      const chart = svgEl("svg", { viewBox: `0 0 ${width} ${rows.length * rowHeight}`, role: "img", "aria-label": label }, "w-full h-auto");
+      rows.forEach((r, i) => {
+        const y = i * rowHeight;
+        const name = r.label.length > 14 ? `${r.label.slice(0, 13)}…` : r.label;
+        const row = svgEl("g");
+        const tip = svgEl("title");
+        tip.textContent = `${r.label}: ${r.completed} of ${r.total} completed`;
+        row.appendChild(tip);
+        row.appendChild(svgText(0, y + 15, name, { "font-size": 11 }));
+        row.appendChild(svgEl("rect", { x: labelWidth, y: y + 4, width: (track * r.total) / max, height: 14, rx: 3 }, "fill-slate-200 dark:fill-slate-700"));
+        row.appendChild(svgEl("rect", { x: labelWidth, y: y + 4, width: (track * r.completed) / max, height: 14, rx: 3 }, "fill-emerald-500 dark:fill-emerald-400"));
+        row.appendChild(svgText(width, y + 15, `${r.completed}/${r.total}`, { "text-anchor": "end", "font-size": 11 }));
+        chart.appendChild(row);
       });
-      li.addEventListener("drop", (ev) => {
-        ev.preventDefault();
-        const srcId = ev.dataTransfer.getData("text/plain");
-        if (!srcId || srcId === task.id) return;
-        const fromIdx = state.tasks.findIndex((t) => t.id === srcId);
-        const toIdx = state.tasks.findIndex((t) => t.id === task.id);
-        if (fromIdx < 0 || toIdx < 0) return;
-        const [moved] = state.tasks.splice(fromIdx, 1);
-        state.tasks.splice(toIdx, 0, moved);
-        render();
+      return chart;
+    }
+
+    // Tasks of the current list (or all lists), redrawn on open and on every render while shown
+    function renderStats() {
+      statsBody.innerHTML = "";
+      const scope = state.activeListId === ALL_LISTS ? "All lists" : (listById(state.activeListId) || { name: "" }).name;
+      statsScope.textContent = scope;
+      const tasks = keptTasks(); // archived tasks are part of the history
+      if (!tasks.length) {
+        statsBody.appendChild(el("p", { classes: "text-sm text-slate-500 dark:text-slate-400", text: "No tasks yet. Statistics appear once you add and complete some." }));
+        return;
+      }
+      const stats = Stats.summarize(tasks);
+      const short = (iso, opts) => new Date(`${iso}T00:00`).toLocaleDateString(undefined, opts);
+
+      const tiles = el("div", { classes: "grid grid-cols-2 sm:grid-cols-3 gap-2" });
+      [
+        ["Completed", `${stats.completed} of ${stats.total}`],
+        ["Active", String(stats.active)],
+        ["Overdue", String(stats.overdue)],
+        ["Current streak", `${stats.streak.current} day${stats.streak.current === 1 ? "" : "s"}`],
+        ["Longest streak", `${stats.streak.longest} day${stats.streak.longest === 1 ? "" : "s"}`],
+        ["Average time to complete", stats.averageMs === null ? "–" : Stats.formatDuration(stats.averageMs)],
+      ].forEach(([name, value]) => {
+        const tile = el("div", { classes: "p-2 rounded-xl border border-slate-200 dark:border-slate-700" });
+        tile.append(
+          el("div", { classes: `text-lg font-semibold ${name === "Overdue" && stats.overdue ? "text-red-600 dark:text-red-400" : ""}`, text: value }),
+          el("div", { classes: "text-xs text-slate-500 dark:text-slate-400", text: name }),
+        );
+        tiles.appendChild(tile);
       });
+      statsBody.appendChild(tiles);
 
-      return li;
+      const section = (heading, chart) => {
+        const wrap = el("section", { classes: "space-y-1" });
+        wrap.append(el("h3", { classes: "text-sm font-semibold text-slate-700 dark:text-slate-200", text: heading }), chart);
+        statsBody.appendChild(wrap);
+      };
+      section(`Completed per day (last ${stats.perDay.length} days)`, columnChart(
+        stats.perDay.map((d) => ({ label: short(d.date, { month: "short", day: "numeric" }), title: short(d.date, { weekday: "short", month: "short", day: "numeric" }), value: d.count })),
+        `Tasks completed per day: ${stats.perDay.map((d) => d.count).join(", ")}`,
+      ));
+      section(`Completed per week (last ${stats.perWeek.length} weeks)`, columnChart(
+        stats.perWeek.map((w) => ({ label: short(w.start, { month: "short", day: "numeric" }), title: `Week of ${short(w.start, { month: "short", day: "numeric" })}`, value: w.count })),
+        `Tasks completed per week: ${stats.perWeek.map((w) => w.count).join(", ")}`,
+      ));
+      const priorities = stats.byPriority.map((r) => ({ ...r, label: r.key[0].toUpperCase() + r.key.slice(1) }));
+      section("By priority", breakdownChart(priorities, `Completed by priority: ${priorities.map((r) => `${r.label} ${r.completed} of ${r.total}`).join(", ")}`));
+      if (stats.byTag.length) {
+        const tags = stats.byTag.slice(0, 8).map((r) => ({ ...r, label: `#${r.key}` }));
+        section(stats.byTag.length > tags.length ? `By tag (top ${tags.length})` : "By tag", breakdownChart(tags, `Completed by tag: ${tags.map((r) => `${r.label} ${r.completed} of ${r.total}`).join(", ")}`));
+      }
+      if (stats.untracked) {
+        statsBody.appendChild(el("p", {
+          classes: "text-xs text-slate-500 dark:text-slate-400",
+          text: `${stats.untracked} completed task${stats.untracked === 1 ? " was" : "s were"} finished before completion times were recorded, so ${stats.untracked === 1 ? "it is" : "they are"} left out of the charts, streaks and average.`,
+        }));
+      }
+    }
+
+    // Rendered task rows, and the one holding keyboard focus (if any)
+    function taskItems() {
+      return Array.from(list.children).filter((li) => li.dataset.taskId);
+    }
+
+    function focusedTaskItem() {
+      const active = document.activeElement;
+      const li = active && active.closest ? active.closest("li[data-task-id]") : null;
+      return li && li.parentNode === list ? li : null;
     }
 
     // Render the list and UI state
     function render() {
       // Theme toggle text is handled by Theme module
 
+      // The active list may be gone after an undo/redo
+      if (state.activeListId !== ALL_LISTS && !listById(state.activeListId)) state.activeListId = ALL_LISTS;
+
       // Update controls from state
       sortSelect.value = state.sort;
       confirmDeleteCheckbox.checked = state.confirmDelete;
+      autoCompleteCheckbox.checked = state.autoCompleteParent;
       searchInput.value = state.search;
 
+      // Layout controls
+      listLayoutBtn.setAttribute("aria-pressed", String(state.layout === "list"));
+      boardLayoutBtn.setAttribute("aria-pressed", String(state.layout === "board"));
+      calendarLayoutBtn.setAttribute("aria-pressed", String(state.layout === "calendar"));
+      [listLayoutBtn, boardLayoutBtn, calendarLayoutBtn].forEach((b) => {
+        const on = b.getAttribute("aria-pressed") === "true";
+        b.classList.toggle("bg-emerald-600", on);
+        b.classList.toggle("text-white", on);
+      });
+      groupSelect.value = state.boardGroup;
+      groupSelect.classList.toggle("hidden", state.layout !== "board");
+      calendarModeSelect.value = state.calendarMode;
+      calendarModeSelect.classList.toggle("hidden", state.layout !== "calendar");
+
       // Filter buttons active styles
-      [btnAll, btnActive, btnCompleted].forEach((b) => b.classList.remove("bg-emerald-600", "text-white"));
-      const activeBtn = state.filter === "all" ? btnAll : state.filter === "active" ? btnActive : btnCompleted;
-      activeBtn.classList.add("bg-emerald-600", "text-white");
+      const filterBtnFor = { all: btnAll, active: btnActive, completed: btnCompleted, archived: btnArchive, trash: btnTrash };
+      Object.values(filterBtnFor).forEach((b) => b.classList.remove("bg-emerald-600", "text-white"));
+      filterBtnFor[state.filter].classList.add("bg-emerald-600", "text-white");
+      const archivedCount = archivedTasks().length;
+      const trashedCount = trashedTasks().length;
+      btnArchive.textContent = archivedCount ? `🗄 Archive (${archivedCount})` : "🗄 Archive";
+      btnTrash.textContent = trashedCount ? `🗑 Trash (${trashedCount})` : "🗑 Trash";
 
-      // Compute filtered tasks
-      let filtered = state.tasks.slice();
+      // Compute filtered tasks; the Archive and Trash are views of their own, shown as a list
+      const inBin = state.filter === "archived" || state.filter === "trash";
+      let filtered = state.filter === "archived" ? archivedTasks() : state.filter === "trash" ? trashedTasks() : viewTasks();
       if (state.filter === "active") filtered = filtered.filter((t) => !t.completed);
       if (state.filter === "completed") filtered = filtered.filter((t) => t.completed);
       if (state.tagFilter) filtered = filtered.filter((t) => t.tags.includes(state.tagFilter));
-      const q = state.search.trim().toLowerCase();
-      if (q) filtered = filtered.filter((t) => t.text.toLowerCase().includes(q) || t.tags.some((tg) => tg.toLowerCase().includes(q)));
+      // Search query (see Query); an invalid query is reported and not applied
+      const query = Query.parse(state.search);
+      // Tasks found only through a subtask are shown expanded
+      const matchedBySubtask = new Set();
+      if (query.ast) {
+        const ctx = {
+          today: toDateInputValue(new Date()),
+          now: Date.now(),
+          listName: (t) => (listById(t.listId) || { name: "" }).name,
+          subtaskHits: matchedBySubtask,
+        };
+        filtered = filtered.filter((t) => Query.matches(query.ast, t, ctx));
+      }
+      renderQueryFeedback(query);
 
       // Sort
       const byPrio = { high: 2, medium: 1, low: 0 };
       filtered.sort((a, b) => {
         switch (state.sort) {
           case "due": {
-            const ad = a.dueDate ? new Date(a.dueDate).getTime() : Infinity;
-            const bd = b.dueDate ? new Date(b.dueDate).getTime() : Infinity;
-            return ad - bd;
+            const ad = dueTimestamp(a);
+            const bd = dueTimestamp(b);
+            return ad === bd ? 0 : ad - bd;
           }
           case "priority":
             return byPrio[b.priority] - byPrio[a.priority];
           case "text":
             return a.text.localeCompare(b.text);
+          case "manual":
+            return 0; // keep the stored order
           case "created":
           default:
             return (b.createdAt || 0) - (a.createdAt || 0);
           }
         });
+        // Most recently deleted first in the Trash
+        if (state.filter === "trash") filtered.sort((a, b) => b.trashedAt - a.trashedAt);
 
         // Summary
-        const total = state.tasks.length;
-        const active = state.tasks.filter((t) => !t.completed).length;
+        const scoped = viewTasks();
+        const total = scoped.length;
+        const active = scoped.filter((t) => !t.completed).length;
         const completed = total - active;
-        summaryText.textContent = `Total: ${total} • Active: ${active} • Completed: ${completed}`;
+        const subtasks = Subtasks.progress(scoped.flatMap((t) => t.subtasks));
+        summaryText.textContent = `Total: ${total} • Active: ${active} • Completed: ${completed}` +
+          (subtasks.total ? ` • Subtasks: ${subtasks.done}/${subtasks.total}` : "") +
+          (archivedCount ? ` • Archived: ${archivedCount}` : "");
+
+        // Archive and Trash notes; the purge setting and "Empty trash" only in the Trash
+        binBar.classList.toggle("hidden", !inBin);
+        trashControls.classList.toggle("hidden", state.filter !== "trash");
+        binNote.textContent = state.filter === "trash"
+          ? "Deleted tasks can be restored until they are removed for good."
+          : "Archived tasks stay searchable here and still count in Statistics.";
+        if (document.activeElement !== trashDaysInput) trashDaysInput.value = String(state.trashDays);
+        emptyTrashBtn.disabled = trashedCount === 0;
+
+        // Keyboard focus stays on the same task across re-renders (or its slot, once it's gone)
+        const focusedItem = focusedTaskItem();
+        const refocus = focusedItem && document.activeElement === focusedItem
+          ? { id: focusedItem.dataset.taskId, index: taskItems().indexOf(focusedItem) }
+          : null;
 
-        // List and empty state
+        // List (or board, or calendar) and empty state; an empty calendar still takes new tasks
+        const layout = inBin ? "list" : state.layout;
+
+        // Bulk bar; only rows on screen stay selected, and the Trash has its own actions
+        matchingIds = filtered.map((t) => t.id);
+        if (state.filter === "trash") selectMode = false;
+        const selectable = new Set(selectMode && layout === "list" ? matchingIds : []);
+        Array.from(selectedIds).forEach((id) => { if (!selectable.has(id)) selectedIds.delete(id); });
+        selectBtn.classList.toggle("hidden", state.filter === "trash");
+        selectBtn.setAttribute("aria-pressed", String(selectMode));
+        selectBtn.classList.toggle("bg-emerald-600", selectMode);
+        selectBtn.classList.toggle("text-white", selectMode);
+        bulkBar.classList.toggle("hidden", !selectMode);
+        const [selectedOption, matchingOption] = bulkScopeSelect.options;
+        selectedOption.textContent = `Selected (${selectedIds.size})`;
+        selectedOption.disabled = layout !== "list";
+        matchingOption.textContent = `All matching (${matchingIds.length})`;
+        if (layout !== "list") bulkScopeSelect.value = "matching";
+        bulkMoveSelect.innerHTML = "";
+        bulkMoveSelect.appendChild(el("option", { attrs: { value: "" }, text: "Move to…" }));
+        state.lists.forEach((l) => bulkMoveSelect.appendChild(el("option", { attrs: { value: l.id }, text: `${l.icon} ${l.name}` })));
+        taskEditors.clear();
         list.innerHTML = "";
-        if (filtered.length === 0) {
-          emptyState.classList.remove("hidden");
+        emptyState.classList.toggle("hidden", filtered.length > 0 || layout === "calendar");
+        emptyText.textContent = state.filter === "trash" ? "The trash is empty." : state.filter === "archived" ? "No archived tasks." : "No tasks yet. Add your first task above.";
+        list.classList.toggle("hidden", layout !== "list");
+        board.classList.toggle("hidden", layout !== "board");
+        calendarView.classList.toggle("hidden", layout !== "calendar");
+        if (layout !== "board") board.innerHTML = "";
+        if (layout !== "calendar") calendarView.innerHTML = "";
+        if (layout === "board") {
+          renderBoard(filtered);
+        } else if (layout === "calendar") {
+          renderCalendar(filtered);
+        } else if (state.filter === "trash") {
+          filtered.forEach((task) => list.appendChild(makeTrashItem(task)));
         } else {
-          emptyState.classList.add("hidden");
-          filtered.forEach((task) => list.appendChild(makeTaskItem(task)));
+          filtered.forEach((task) => list.appendChild(makeTaskItem(task, { forceExpand: matchedBySubtask.has(task.id) })));
+        }
+        if (refocus) {
+          const items = taskItems();
+          const target = items.find((li) => li.dataset.taskId === refocus.id) || items[Math.min(refocus.index, items.length - 1)];
+          if (target) target.focus();
         }
 
-        // Tag chips
+        // Lists
+        refreshListControls();
+
+        // Re-arm reminders when a due date, reminder or completion changed (not on every keystroke)
+        reminders.update(state.tasks.filter((t) => !t.trashedAt));
+
+        // History controls
+        undoBtn.disabled = !history.canUndo;
+        redoBtn.disabled = !history.canRedo;
+
+        // Tag chips and smart lists
         refreshTagChips();
+        refreshSmartLists();
+        refreshSavedViews();
+        if (!statsOverlay.classList.contains("hidden")) renderStats();
 
         // Persist
-        saveState(state);
+        savedTasks = trackTaskChanges(state, savedTasks);
+        if (mergedOnly) storage.replacePending(state);
+        else storage.save(state);
+        mergedOnly = false;
+        syncUrl();
       }
 
+      // A view in the URL (bookmark or shared link) wins over the one saved last
+      const linkedView = Views.fromHash(location.hash);
+      if (linkedView) Views.apply(state, linkedView);
+
+      // Tasks whose time in the Trash ran out while the app was closed
+      purgeTrash();
+
       // Initialize UI values
       sortSelect.value = state.sort;
       confirmDeleteCheckbox.checked = state.confirmDelete;
@@ -713,9 +6067,10 @@ document.addEventListener("DOMContentLoaded", () => {
       render();
 
       // Add logic + validation
+      // Tokens typed in the task text win over the separate controls; tags are merged
       function onAdd() {
-        const value = input.value.trim();
-        if (!value) {
+        const parsed = QuickAdd.parse(input.value);
+        if (!parsed.title) {
           alert("Please enter a task.");
           input.focus();
           return;
@@ -724,46 +6079,791 @@ document.addEventListener("DOMContentLoaded", () => {
           .split(",")
           .map((s) => s.trim())
           .filter(Boolean);
-        const newTask = {
-          id: (crypto && crypto.randomUUID) ? crypto.randomUUID() : String(Date.now()),
-          text: value,
+        let dueDate = parsed.dueDate || dueInput.value || "";
+        let recurrence = readRecurrence();
+        if (recurrence) {
+          if (!dueDate && recurrence.freq !== "afterCompletion") dueDate = firstOccurrence(recurrence);
+          recurrence = Recurrence.anchor(recurrence, dueDate);
+        }
+        const newTask = normalizeTask({
+          id: newId(),
+          text: parsed.title,
           completed: false,
           createdAt: Date.now(),
-          dueDate: dueInput.value || "",
-          priority: prioritySelect.value || "medium",
-          tags,
-        };
-        state.tasks.unshift(newTask);
+          dueDate,
+          dueTime: parsed.dueTime,
+          priority: parsed.priority || prioritySelect.value || "medium",
+          tags: [...tags, ...parsed.tags],
+          recurrence,
+          listId: targetListId(),
+          reminder: readReminder(),
+        });
+        if (reminderSelect.value === "custom" && !newTask.reminder) {
+          alert("Please pick a time for the custom reminder.");
+          reminderAtInput.focus();
+          return;
+        }
+        if (newTask.reminder && !newTask.dueDate && newTask.reminder.type !== "custom") {
+          alert("Reminders relative to the due date need a due date.");
+          dueInput.focus();
+          return;
+        }
+        if (newTask.reminder) requestNotificationPermission();
+        run(addTaskCommand(newTask, 0));
         input.value = "";
         dueInput.value = "";
         prioritySelect.value = "medium";
         tagsInput.value = "";
-        render();
+        resetRecurrence();
+        reminderSelect.value = "";
+        reminderAtInput.value = "";
+        reminderAtInput.classList.add("hidden");
+        renderQuickAddPreview();
         input.focus();
       }
 
+      // Reminder controls
+      function readReminder() {
+        const v = reminderSelect.value;
+        if (!v) return null;
+        if (v === "due") return normalizeReminder({ type: "due" });
+        if (v === "custom") return normalizeReminder({ type: "custom", at: reminderAtInput.value ? new Date(reminderAtInput.value).getTime() : NaN });
+        return normalizeReminder({ type: "before", offsetMinutes: Number(v) });
+      }
+
+      function requestNotificationPermission() {
+        if ("Notification" in window && Notification.permission === "default") Notification.requestPermission();
+      }
+
+      reminderSelect.addEventListener("change", () => {
+        reminderAtInput.classList.toggle("hidden", reminderSelect.value !== "custom");
+        if (reminderSelect.value === "custom") reminderAtInput.focus();
+      });
+
+      // Reminders and due highlights are re-armed (and the Trash purged) when the page becomes
+      // visible again; pending writes go out before the page is hidden or closed
+      document.addEventListener("visibilitychange", () => {
+        if (!document.hidden) {
+          purgeTrash();
+          reminders.schedule(state.tasks.filter((t) => !t.trashedAt));
+          render();
+        } else storage.flush();
+      });
+
+      // Overdue and due-today highlights change at midnight, also in a tab that stays open
+      function scheduleMidnightRender() {
+        const midnight = new Date();
+        midnight.setHours(24, 0, 1, 0);
+        setTimeout(() => {
+          render();
+          scheduleMidnightRender();
+        }, midnight - Date.now());
+      }
+      scheduleMidnightRender();
+      window.addEventListener("pagehide", () => storage.flush());
+
+      // A new version was deployed: reload into it once pending writes are out
+      registerServiceWorker({
+        onUpdate: (activate) =>
+          showToast("A new version of the app is available.", {
+            duration: 60 * 60 * 1000,
+            actionLabel: "Reload",
+            onAction: () => storage.flush().then(activate),
+          }),
+      });
+
+      // Another tab saved: merge its tasks into ours. While a task is being edited
+      // inline the merge waits until the editor closes, so typing isn't lost.
+      let pendingRemote = null;
+      function applyRemoteState() {
+        const incoming = pendingRemote;
+        pendingRemote = null;
+        if (!incoming) return;
+        state = mergeStates(state, incoming);
+        savedTasks = trackTaskChanges(state, null);
+        // Nothing of ours to add: writing back only this tab's view would start a ping-pong
+        mergedOnly = sameSharedState(state, incoming);
+        render();
+      }
+      storage.subscribe((incoming) => {
+        pendingRemote = incoming;
+        const editing = document.activeElement && document.activeElement.tagName === "INPUT" && list.contains(document.activeElement);
+        if (!editing) applyRemoteState();
+      });
+      list.addEventListener("focusout", () => {
+        if (pendingRemote) setTimeout(applyRemoteState);
+      });
+
+      // Recurrence controls
+      function readRecurrence() {
+        if (!repeatSelect.value) return null;
+        return Recurrence.normalize({
+          freq: repeatSelect.value,
+          interval: repeatInterval.value,
+          weekdays: weekdayBoxes.filter((b) => b.checked).map((b) => b.value),
+          monthlyBy: repeatMonthlyBy.value,
+          until: repeatUntil.value,
+          count: repeatCount.value,
+        });
+      }
+
+      // First due date for a new repeating task without one: today, or the next chosen weekday
+      function firstOccurrence(rule) {
+        const d = new Date();
+        if (rule.freq === "weekly" && rule.weekdays.length) {
+          while (!rule.weekdays.includes(d.getDay())) d.setDate(d.getDate() + 1);
+        }
+        return toDateInputValue(d);
+      }
+
+      function syncRecurrenceControls() {
+        const freq = repeatSelect.value;
+        repeatRow.classList.toggle("hidden", !freq);
+        repeatUnit.textContent = { daily: "day(s)", weekly: "week(s)", monthly: "month(s)", afterCompletion: "day(s) after completion" }[freq] || "";
+        repeatWeekdays.classList.toggle("hidden", freq !== "weekly");
+        repeatMonthlyBy.classList.toggle("hidden", freq !== "monthly");
+      }
+
+      function resetRecurrence() {
+        repeatSelect.value = "";
+        repeatInterval.value = "1";
+        weekdayBoxes.forEach((b) => (b.checked = false));
+        repeatMonthlyBy.value = "date";
+        repeatUntil.value = "";
+        repeatCount.value = "";
+        syncRecurrenceControls();
+      }
+
+      repeatSelect.addEventListener("change", syncRecurrenceControls);
+
+      function renderQuickAddPreview() {
+        quickAddPreview.innerHTML = "";
+        if (!input.value.trim()) return;
+        const parsed = QuickAdd.parse(input.value);
+        const chip = (text) => quickAddPreview.appendChild(el("span", { classes: "px-2 py-0.5 rounded-full border border-emerald-300 dark:border-emerald-600", text }));
+        if (parsed.dueDate) chip(`Due ${parsed.dueDate}${parsed.dueTime ? ` ${parsed.dueTime}` : ""}`);
+        if (parsed.priority) chip(`Priority ${parsed.priority}`);
+        parsed.tags.forEach((tag) => chip(`#${tag}`));
+        if (quickAddPreview.childNodes.length) quickAddPreview.prepend(el("span", { text: parsed.title ? `“${parsed.title}”` : "(no title yet)" }));
+      }
+
       addBtn.addEventListener("click", onAdd);
       input.addEventListener("keydown", (e) => { if (e.key === "Enter") onAdd(); });
+      input.addEventListener("input", renderQuickAddPreview);
 
       // Controls handlers
       // Theme toggle is handled by Theme module via #themeToggle and #autoMode
       sortSelect.addEventListener("change", () => { state.sort = sortSelect.value; render(); });
+      listLayoutBtn.addEventListener("click", () => { state.layout = "list"; render(); });
+      boardLayoutBtn.addEventListener("click", () => { state.layout = "board"; render(); });
+      calendarLayoutBtn.addEventListener("click", () => { state.layout = "calendar"; render(); });
+      groupSelect.addEventListener("change", () => { state.boardGroup = groupSelect.value; render(); });
+      calendarModeSelect.addEventListener("change", () => { state.calendarMode = calendarModeSelect.value; render(); });
       confirmDeleteCheckbox.addEventListener("change", () => { state.confirmDelete = confirmDeleteCheckbox.checked; render(); });
-      searchInput.addEventListener("input", () => { state.search = searchInput.value; render(); });
+      autoCompleteCheckbox.addEventListener("change", () => { state.autoCompleteParent = autoCompleteCheckbox.checked; render(); });
+      searchInput.addEventListener("input", () => {
+        state.search = searchInput.value;
+        render();
+        tagIndex = 0;
+        suggestTags();
+      });
+
+      // Tag autocomplete while typing tag:… in the search box
+      let tagMatches = [];
+      let tagIndex = 0;
+
+      function hideTagSuggestions() {
+        tagMatches = [];
+        tagSuggestions.classList.add("hidden");
+        searchInput.removeAttribute("aria-activedescendant");
+      }
+
+      function suggestTags() {
+        const at = Query.completionAt(searchInput.value, searchInput.selectionStart ?? searchInput.value.length);
+        if (!at) return hideTagSuggestions();
+        const tags = new Set();
+        viewTasks().forEach((t) => t.tags.forEach((tag) => tags.add(tag)));
+        tagMatches = Array.from(tags)
+          .filter((tag) => tag.toLowerCase().startsWith(at.prefix) && tag.toLowerCase() !== at.prefix)
+          .sort((a, b) => a.localeCompare(b))
+          .slice(0, 8);
+        if (tagMatches.length === 0) return hideTagSuggestions();
+        tagIndex = Math.min(tagIndex, tagMatches.length - 1);
+        tagSuggestions.innerHTML = "";
+        tagMatches.forEach((tag, i) => {
+          const item = el("li", {
+            classes: `px-3 py-1 text-sm cursor-pointer ${i === tagIndex ? "bg-emerald-600 text-white" : "text-slate-800 dark:text-slate-100 hover:bg-slate-100 dark:hover:bg-slate-700"}`,
+            text: `#${tag}`,
+            attrs: { id: `tagSuggestion-${i}`, role: "option", "aria-selected": String(i === tagIndex) },
+          });
+          item.addEventListener("mousedown", (e) => e.preventDefault()); // keep focus in the search box
+          item.addEventListener("click", () => acceptTag(tag));
+          tagSuggestions.appendChild(item);
+        });
+        tagSuggestions.classList.remove("hidden");
+        searchInput.setAttribute("aria-activedescendant", `tagSuggestion-${tagIndex}`);
+      }
+
+      function acceptTag(tag) {
+        const value = searchInput.value;
+        const at = Query.completionAt(value, searchInput.selectionStart ?? value.length);
+        if (!at) return hideTagSuggestions();
+        const after = value.slice(at.to);
+        const insert = /\s/.test(tag) ? `"${tag}"` : tag;
+        searchInput.value = value.slice(0, at.from) + insert + (after.startsWith(" ") ? after : ` ${after}`);
+        const caret = at.from + insert.length + 1;
+        searchInput.setSelectionRange(caret, caret);
+        state.search = searchInput.value;
+        tagIndex = 0;
+        hideTagSuggestions();
+        render();
+      }
+
+      searchInput.addEventListener("keydown", (e) => {
+        if (tagMatches.length === 0) return;
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+          e.preventDefault();
+          tagIndex = (tagIndex + (e.key === "ArrowDown" ? 1 : -1) + tagMatches.length) % tagMatches.length;
+          suggestTags();
+        } else if (e.key === "Enter" || e.key === "Tab") {
+          e.preventDefault();
+          acceptTag(tagMatches[tagIndex]);
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          hideTagSuggestions();
+        }
+      });
+      searchInput.addEventListener("click", suggestTags);
+      searchInput.addEventListener("blur", hideTagSuggestions);
 
       // Filter buttons
       btnAll.addEventListener("click", () => { state.filter = "all"; render(); });
       btnActive.addEventListener("click", () => { state.filter = "active"; render(); });
       btnCompleted.addEventListener("click", () => { state.filter = "completed"; render(); });
+      btnArchive.addEventListener("click", () => { state.filter = "archived"; render(); });
+      btnTrash.addEventListener("click", () => { state.filter = "trash"; render(); });
+      saveViewBtn.addEventListener("click", saveView);
+      window.addEventListener("popstate", onUrlChange);
+      window.addEventListener("hashchange", onUrlChange);
 
       // Bulk actions
       toggleAllBtn.addEventListener("click", () => {
-        const anyActive = state.tasks.some((t) => !t.completed);
-        state.tasks.forEach((t) => (t.completed = anyActive));
-        render();
+        const scoped = viewTasks();
+        const anyActive = scoped.some((t) => !t.completed);
+        const ids = scoped.filter((t) => t.completed !== anyActive).map((t) => t.id);
+        run(setCompletedCommand(state, ids, anyActive, anyActive ? "All tasks completed" : "All tasks reopened"), { undoToast: true });
       });
       clearCompletedBtn.addEventListener("click", () => {
-        state.tasks = state.tasks.filter((t) => !t.completed);
+        const ids = viewTasks().filter((t) => t.completed).map((t) => t.id);
+        run(trashTasksCommand(state, ids, true, `${ids.length} completed task${ids.length === 1 ? "" : "s"} moved to trash`), { undoToast: true });
+      });
+      archiveCompletedBtn.addEventListener("click", () => {
+        const ids = viewTasks().filter((t) => t.completed).map((t) => t.id);
+        run(archiveTasksCommand(state, ids, true, `${ids.length} completed task${ids.length === 1 ? "" : "s"} archived`), { undoToast: true });
+      });
+
+      // Bulk actions: the selection, or every task the current filter and search show
+      selectBtn.addEventListener("click", () => {
+        if (selectMode) leaveSelectMode();
+        else {
+          selectMode = true;
+          render();
+        }
+      });
+      bulkDoneBtn.addEventListener("click", leaveSelectMode);
+      bulkScopeSelect.addEventListener("change", render);
+
+      function applyBulk(makeCommand, { confirmText = null } = {}) {
+        const ids = bulkScopeSelect.value === "matching" ? matchingIds.slice() : Array.from(selectedIds);
+        if (!ids.length) {
+          showToast(bulkScopeSelect.value === "matching" ? "No tasks match the current filter." : "Select some tasks first, or apply to all matching.", { duration: 3000 });
+          return;
+        }
+        const tasks = `${ids.length} task${ids.length === 1 ? "" : "s"}`;
+        if (confirmText && !confirm(confirmText(tasks))) return;
+        run(makeCommand(ids, tasks), { undoToast: true });
+      }
+      const bulkUpdate = (change, label) => applyBulk((ids, tasks) => updateTasksCommand(state, Bulk.updates(state.tasks, ids, change), label(tasks)));
+
+      bulkPrioritySelect.addEventListener("change", () => {
+        const priority = bulkPrioritySelect.value;
+        bulkPrioritySelect.value = "";
+        if (priority) bulkUpdate({ priority }, (tasks) => `${tasks} set to ${priority} priority`);
+      });
+      bulkDueBtn.addEventListener("click", () => {
+        if (!bulkDueInput.value) {
+          alert("Please pick a due date first.");
+          bulkDueInput.focus();
+          return;
+        }
+        bulkUpdate({ dueDate: bulkDueInput.value }, (tasks) => `${tasks} due ${bulkDueInput.value}`);
+      });
+      bulkShiftSelect.addEventListener("change", () => {
+        const shift = bulkShiftSelect.value;
+        bulkShiftSelect.value = "";
+        if (shift === "clear") bulkUpdate({ dueDate: "" }, (tasks) => `Removed the due date of ${tasks}`);
+        else if (shift) bulkUpdate({ shiftDays: Number(shift) }, (tasks) => `Moved the due date of ${tasks}`);
+      });
+      const bulkTags = (key, label) => {
+        const tags = Bulk.parseTags(bulkTagInput.value);
+        if (!tags.length) {
+          alert("Please enter one or more tags.");
+          bulkTagInput.focus();
+          return;
+        }
+        bulkUpdate({ [key]: tags }, (tasks) => label(tasks, tags.map((t) => `#${t}`).join(" ")));
+      };
+      bulkAddTagBtn.addEventListener("click", () => bulkTags("addTags", (tasks, tags) => `Tagged ${tasks} ${tags}`));
+      bulkRemoveTagBtn.addEventListener("click", () => bulkTags("removeTags", (tasks, tags) => `Removed ${tags} from ${tasks}`));
+      bulkCompleteBtn.addEventListener("click", () => applyBulk((ids, tasks) => setCompletedCommand(state, ids, true, `${tasks} completed`)));
+      bulkReopenBtn.addEventListener("click", () => applyBulk((ids, tasks) => setCompletedCommand(state, ids, false, `${tasks} reopened`)));
+      bulkMoveSelect.addEventListener("change", () => {
+        const target = listById(bulkMoveSelect.value);
+        bulkMoveSelect.value = "";
+        if (target) bulkUpdate({ listId: target.id }, (tasks) => `Moved ${tasks} to ${target.name}`);
+      });
+      bulkDeleteBtn.addEventListener("click", () => applyBulk(
+        (ids, tasks) => trashTasksCommand(state, ids, true, `${tasks} moved to trash`),
+        { confirmText: state.confirmDelete ? (tasks) => `Delete ${tasks}?` : null },
+      ));
+
+      // The Trash empties itself after state.trashDays
+      emptyTrashBtn.addEventListener("click", () => deleteForever(trashedTasks().map((t) => t.id)));
+      trashDaysInput.addEventListener("change", () => {
+        const days = Number(trashDaysInput.value);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_TRASH_DAYS) {
+          alert(`Please enter a whole number of days from 1 to ${MAX_TRASH_DAYS}.`);
+          trashDaysInput.value = String(state.trashDays);
+          return;
+        }
+        const expiring = expiredTrash(state.tasks, days).length;
+        if (expiring && !confirm(`${expiring} task${expiring === 1 ? " has" : "s have"} been in the trash longer than ${days} days and will be deleted permanently. Continue?`)) {
+          trashDaysInput.value = String(state.trashDays);
+          return;
+        }
+        state.trashDays = days;
+        purgeTrash();
         render();
       });
+
+      // Import / export
+      const stamp = () => new Date().toISOString().slice(0, 10);
+      // JSON is a full backup: every list and every task outside the Trash. The other formats
+      // have no lists, so they cover the current list ("All lists" exports everything); archive included.
+      exportJsonBtn.addEventListener("click", () => downloadFile(`todo-${stamp()}.json`, "application/json", TaskIO.toJSON(state.tasks.filter((t) => !t.trashedAt), state.lists)));
+      exportCsvBtn.addEventListener("click", () => downloadFile(`todo-${stamp()}.csv`, "text/csv", TaskIO.toCSV(keptTasks())));
+      exportIcsBtn.addEventListener("click", () => {
+        const dated = keptTasks().filter((t) => t.dueDate);
+        if (dated.length === 0) {
+          alert("No tasks have a due date to export.");
+          return;
+        }
+        downloadFile(`todo-${stamp()}.ics`, "text/calendar", ICal.serialize(dated));
+      });
+
+      // Apply parsed tasks and list every rejected line/row. A JSON backup brings its lists along,
+      // and replacing with it replaces the tasks of all lists, not just the current one.
+      function applyImport({ tasks, errors, lists = [] }) {
+        importReport.innerHTML = "";
+        errors.forEach(({ message }) => importReport.appendChild(el("li", { text: message })));
+        if (tasks.length === 0) {
+          if (errors.length === 0) importReport.appendChild(el("li", { text: "No tasks found to import." }));
+          return;
+        }
+        // Imported tasks from unknown lists go to the current one
+        const listId = targetListId();
+        tasks.forEach((t) => {
+          if (!listById(t.listId) && !lists.some((l) => l.id === t.listId)) t.listId = listId;
+        });
+        const replaceIds = (lists.length ? state.tasks.filter((t) => !t.trashedAt) : keptTasks()).map((t) => t.id);
+        const command = importTasksCommand(state, tasks, importModeSelect.value, replaceIds, lists);
+        run(command, { undoToast: true });
+        if (errors.length) importReport.prepend(el("li", { classes: "text-slate-700 dark:text-slate-300", text: `${command.label}; ${errors.length} skipped:` }));
+      }
+
+      exportTodoTxtBtn.addEventListener("click", () => downloadFile("todo.txt", "text/plain", TodoTxt.serialize(keptTasks())));
+      pasteBtn.addEventListener("click", () => {
+        if (!pasteInput.value.trim()) {
+          alert("Please paste some todo.txt lines.");
+          pasteInput.focus();
+          return;
+        }
+        applyImport(TodoTxt.parse(pasteInput.value));
+        pasteInput.value = "";
+      });
+
+      importBtn.addEventListener("click", async () => {
+        const file = importFile.files && importFile.files[0];
+        if (!file) {
+          alert("Please choose a file to import.");
+          importFile.focus();
+          return;
+        }
+        // The file can be gone or unreadable by now (moved, changed on disk, no permission)
+        let text;
+        try {
+          text = await file.text();
+        } catch (err) {
+          showToast(`Couldn't read "${file.name}": ${(err && err.message) || err}`);
+          return;
+        }
+        applyImport(TaskIO.parse(text, file.name));
+        importFile.value = "";
+      });
+
+      // Lists
+      listSelect.addEventListener("change", () => switchList(listSelect.value));
+      newListBtn.addEventListener("click", () => {
+        const name = (prompt("Name of the new list:") || "").trim();
+        if (!name) return;
+        const icon = LIST_ICONS[state.lists.length % LIST_ICONS.length];
+        const list = makeList({ name, icon, color: DEFAULT_LIST.color });
+        run(addListCommand(list, state.lists.length, `Created list "${name}"`));
+        switchList(list.id);
+      });
+      renameListBtn.addEventListener("click", () => {
+        const list = listById(state.activeListId);
+        if (!list) return;
+        const name = (prompt("Rename list:", list.name) || "").trim();
+        if (name) run(updateListCommand(state, list.id, { name }, "Rename list"));
+      });
+      listColorInput.addEventListener("change", () => {
+        if (listById(state.activeListId)) run(updateListCommand(state, state.activeListId, { color: listColorInput.value }, "Change list color"));
+      });
+      listIconSelect.addEventListener("change", () => {
+        if (listById(state.activeListId)) run(updateListCommand(state, state.activeListId, { icon: listIconSelect.value }, "Change list icon"));
+      });
+      archiveListBtn.addEventListener("click", () => {
+        const list = listById(state.activeListId);
+        if (!list) return;
+        run(updateListCommand(state, list.id, { archived: !list.archived }, list.archived ? `Unarchived "${list.name}"` : `Archived "${list.name}"`), { undoToast: !list.archived });
+      });
+      deleteListBtn.addEventListener("click", () => {
+        const list = listById(state.activeListId);
+        if (!list || state.lists.length <= 1) return;
+        const ids = state.tasks.filter((t) => t.listId === list.id).map((t) => t.id);
+        const what = ids.length ? ` and its ${ids.length} task${ids.length === 1 ? "" : "s"}` : "";
+        if (!confirm(`Delete the list "${list.name}"${what}?`)) return;
+        const command = deleteListCommand(state, list.id, `Deleted list "${list.name}"`);
+        state.activeListId = ALL_LISTS;
+        run(command, { undoToast: true });
+      });
+
+      // History: buttons; Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) go through the shortcut map below
+      undoBtn.addEventListener("click", undo);
+      redoBtn.addEventListener("click", redo);
+
+      // Keyboard: task navigation, shortcuts overlay and command palette
+      function focusTaskAt(index) {
+        const items = taskItems();
+        if (items.length) items[Math.max(0, Math.min(items.length - 1, index))].focus();
+      }
+
+      function stepFocus(delta) {
+        const items = taskItems();
+        const current = focusedTaskItem();
+        if (!current) focusTaskAt(delta > 0 ? 0 : items.length - 1);
+        else focusTaskAt(items.indexOf(current) + delta);
+      }
+
+      // Swap the focused task with its visible neighbour (same as dropping it there)
+      function moveFocused(delta) {
+        const li = focusedTaskItem();
+        if (!li) return;
+        const items = taskItems();
+        const neighbour = items[items.indexOf(li) + delta];
+        if (!neighbour) return;
+        if (state.sort !== "manual") {
+          showToast("Switch to Sort: Manual to reorder tasks.", { actionLabel: "Switch", onAction: () => { state.sort = "manual"; render(); } });
+          return;
+        }
+        li.focus();
+        run(moveTaskCommand(state, li.dataset.taskId, neighbour.dataset.taskId));
+      }
+
+      const focusedTaskById = () => {
+        const li = focusedTaskItem();
+        return li ? state.tasks.find((t) => t.id === li.dataset.taskId) : null;
+      };
+
+      const shortcutHandlers = {
+        next: () => stepFocus(1),
+        prev: () => stepFocus(-1),
+        toggle: () => {
+          const task = focusedTaskById();
+          if (!task) return;
+          focusedTaskItem().focus();
+          run(setCompletedCommand(state, [task.id], !task.completed, task.completed ? "Reopen task" : "Complete task"));
+        },
+        edit: () => {
+          const task = focusedTaskById();
+          const editText = task && taskEditors.get(task.id);
+          if (!editText) return;
+          editText(() => {
+            const item = taskItems().find((li) => li.dataset.taskId === task.id);
+            if (item) item.focus();
+          });
+        },
+        delete: () => {
+          const task = focusedTaskById();
+          if (!task) return;
+          if (task.trashedAt) {
+            deleteForever([task.id]);
+            return;
+          }
+          if (state.confirmDelete && !confirm("Delete this task?")) return;
+          focusedTaskItem().focus();
+          run(trashTasksCommand(state, [task.id], true, "Task moved to trash"), { undoToast: true });
+        },
+        moveUp: () => moveFocused(-1),
+        moveDown: () => moveFocused(1),
+        newTask: () => input.focus(),
+        search: () => searchInput.focus(),
+        undo,
+        redo,
+        palette: () => openCommandPalette(),
+        help: () => openShortcuts(),
+      };
+
+      // Modal overlays: remember what had focus and give it back on close
+      let overlayReturnFocus = null;
+      const overlays = [shortcutsOverlay, statsOverlay, paletteOverlay];
+      const overlayOpen = () => overlays.some((o) => !o.classList.contains("hidden"));
+
+      function showOverlay(overlay, focusTarget) {
+        if (!overlayOpen()) overlayReturnFocus = document.activeElement;
+        overlays.forEach((o) => o.classList.toggle("hidden", o !== overlay));
+        focusTarget.focus();
+      }
+
+      function hideOverlays() {
+        overlays.forEach((o) => o.classList.add("hidden"));
+        capturingAction = null;
+        if (overlayReturnFocus && document.contains(overlayReturnFocus)) overlayReturnFocus.focus();
+        overlayReturnFocus = null;
+      }
+      overlays.forEach((o) => o.addEventListener("click", (e) => {
+        if (e.target === o) hideOverlays();
+      }));
+
+      // Shortcut list with remapping: "Change" captures the next key combination
+      let capturingAction = null;
+      function renderShortcuts() {
+        const bindings = Shortcuts.bindings();
+        shortcutsTable.innerHTML = "";
+        Shortcuts.ACTIONS.forEach((action) => {
+          const row = el("tr", { classes: "border-b border-slate-200 dark:border-slate-700" });
+          row.appendChild(el("td", { classes: "py-2 pr-3", text: action.label }));
+          const keysCell = el("td", { classes: "py-2 pr-3 whitespace-nowrap" });
+          if (capturingAction === action.id) {
+            keysCell.appendChild(el("span", { classes: "italic text-slate-500 dark:text-slate-400", text: "Press keys…" }));
+          } else {
+            bindings[action.id].forEach((combo) => keysCell.appendChild(el("kbd", {
+              classes: "mr-1 px-2 py-0.5 rounded-md border border-slate-300 dark:border-slate-600 bg-slate-50 dark:bg-slate-700 font-mono text-xs",
+              text: Shortcuts.format(combo),
+            })));
+          }
+          const changeCell = el("td", { classes: "py-2 text-right" });
+          const changeBtn = el("button", {
+            classes: "px-2 py-1 rounded-lg border border-slate-300 dark:border-slate-600 text-slate-800 dark:text-slate-100 bg-transparent text-xs",
+            text: "Change",
+            attrs: { "aria-label": `Change shortcut for ${action.label}` },
+          });
+          changeBtn.addEventListener("click", () => {
+            capturingAction = action.id;
+            renderShortcuts();
+            shortcutsCloseBtn.focus();
+          });
+          changeCell.appendChild(changeBtn);
+          row.append(keysCell, changeCell);
+          shortcutsTable.appendChild(row);
+        });
+        refreshShortcutHints();
+      }
+
+      function refreshShortcutHints() {
+        const bindings = Shortcuts.bindings();
+        const hint = (id) => Shortcuts.format(bindings[id][0]);
+        undoBtn.title = `Undo (${hint("undo")})`;
+        undoBtn.setAttribute("aria-label", undoBtn.title);
+        redoBtn.title = `Redo (${hint("redo")})`;
+        redoBtn.setAttribute("aria-label", redoBtn.title);
+        shortcutsBtn.title = `Keyboard shortcuts (${hint("help")})`;
+        shortcutsBtn.setAttribute("aria-label", shortcutsBtn.title);
+      }
+
+      function openShortcuts() {
+        capturingAction = null;
+        renderShortcuts();
+        showOverlay(shortcutsOverlay, shortcutsCloseBtn);
+      }
+
+      shortcutsOverlay.addEventListener("keydown", (e) => {
+        if (capturingAction) {
+          e.preventDefault();
+          e.stopPropagation();
+          if (e.key === "Escape") {
+            capturingAction = null;
+            renderShortcuts();
+            return;
+          }
+          const combo = Shortcuts.fromEvent(e);
+          if (!combo) return; // modifier on its own
+          const { ok, conflict } = Shortcuts.set(capturingAction, combo);
+          if (!ok && conflict) alert(`${Shortcuts.format(combo)} is already used for "${conflict}".`);
+          capturingAction = null;
+          renderShortcuts();
+          shortcutsCloseBtn.focus();
+          return;
+        }
+        if (e.key === "Escape") {
+          e.preventDefault();
+          hideOverlays();
+        }
+      });
+      shortcutsCloseBtn.addEventListener("click", hideOverlays);
+      shortcutsResetBtn.addEventListener("click", () => {
+        if (!confirm("Reset all keyboard shortcuts to their defaults?")) return;
+        Shortcuts.reset();
+        renderShortcuts();
+      });
+      shortcutsBtn.addEventListener("click", openShortcuts);
+
+      function openStats() {
+        renderStats();
+        showOverlay(statsOverlay, statsCloseBtn);
+      }
+      statsOverlay.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") {
+          e.preventDefault();
+          hideOverlays();
+        }
+      });
+      statsCloseBtn.addEventListener("click", hideOverlays);
+      statsBtn.addEventListener("click", openStats);
+
+      // Command palette: everything it can do, rebuilt from the current state on open
+      function paletteCommands() {
+        const commands = [];
+        const add = (group, label, action) => commands.push({ group, label, action });
+        [["all", "All tasks"], ["active", "Active"], ["completed", "Completed"], ["archived", "Archive"], ["trash", "Trash"]].forEach(([v, t]) =>
+          add("Filter", t, () => { state.filter = v; render(); }));
+        Array.from(sortSelect.options).forEach((o) =>
+          add("Sort", o.textContent.replace(/^Sort:\s*/, ""), () => { state.sort = o.value; render(); }));
+        add("Layout", "List", () => { state.layout = "list"; render(); });
+        Array.from(groupSelect.options).forEach((o) =>
+          add("Layout", `Board by ${o.textContent.replace(/^Group:\s*/, "").toLowerCase()}`, () => { state.layout = "board"; state.boardGroup = o.value; render(); }));
+        Array.from(calendarModeSelect.options).forEach((o) =>
+          add("Layout", `Calendar: ${o.textContent.toLowerCase()}`, () => { state.layout = "calendar"; state.calendarMode = o.value; render(); }));
+        [["day", "Day"], ["night", "Night"], ["auto", "Auto (sunrise/sunset)"], ["system", "Follow system"]].forEach(([m, t]) =>
+          add("Theme", t, () => window.Theme.setMode(m)));
+        const tags = new Set();
+        viewTasks().forEach((t) => t.tags.forEach((tag) => tags.add(tag)));
+        Array.from(tags).sort((a, b) => a.localeCompare(b)).forEach((tag) =>
+          add("Tag", `#${tag}`, () => { state.tagFilter = tag; render(); }));
+        if (state.tagFilter) add("Tag", "Clear tag filter", () => { state.tagFilter = ""; render(); });
+        state.smartLists.forEach((sl) => add("Smart list", sl.name, () => { state.search = sl.query; render(); }));
+        state.savedViews.forEach((sv) => add("View", sv.name, () => { Views.apply(state, sv.view); render(); }));
+        add("View", "Save current view…", saveView);
+        add("List", "🗂️ All lists", () => switchList(ALL_LISTS));
+        state.lists.filter((l) => !l.archived).forEach((l) => add("List", `${l.icon} ${l.name}`, () => switchList(l.id)));
+        add("Task", "New task", () => input.focus());
+        add("Task", "Search", () => searchInput.focus());
+        add("Task", "Toggle all", () => toggleAllBtn.click());
+        add("Task", "Clear completed", () => clearCompletedBtn.click());
+        add("Task", "Archive completed", () => archiveCompletedBtn.click());
+        add("Task", selectMode ? "Stop selecting" : "Select tasks", () => selectBtn.click());
+        if (trashedTasks().length) add("Task", "Empty trash", () => emptyTrashBtn.click());
+        add("Edit", "Undo", undo);
+        add("Edit", "Redo", redo);
+        add("Help", "Keyboard shortcuts", openShortcuts);
+        add("Help", "Statistics", openStats);
+        return commands;
+      }
+
+      let paletteMatches = [];
+      let paletteIndex = 0;
+
+      function renderCommandResults() {
+        const query = paletteInput.value.trim();
+        paletteMatches = paletteCommands()
+          .map((c) => ({ ...c, score: fuzzyScore(query, `${c.group}: ${c.label}`) }))
+          .filter((c) => c.score >= 0)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, 50);
+        paletteIndex = Math.min(paletteIndex, Math.max(0, paletteMatches.length - 1));
+        paletteResults.innerHTML = "";
+        if (paletteMatches.length === 0) {
+          paletteResults.appendChild(el("li", { classes: "px-3 py-2 text-sm text-slate-500 dark:text-slate-400", text: "No matching commands" }));
+          paletteInput.removeAttribute("aria-activedescendant");
+          return;
+        }
+        paletteMatches.forEach((c, i) => {
+          const selected = i === paletteIndex;
+          const item = el("li", {
+            classes: `flex items-center justify-between gap-3 px-3 py-2 rounded-lg cursor-pointer text-sm ${selected ? "bg-emerald-600 text-white" : "hover:bg-slate-100 dark:hover:bg-slate-700"}`,
+            attrs: { id: `command-${i}`, role: "option", "aria-selected": String(selected) },
+          });
+          item.append(el("span", { text: c.label }), el("span", { classes: `text-xs ${selected ? "text-white" : "text-slate-500 dark:text-slate-400"}`, text: c.group }));
+          item.addEventListener("mousedown", (e) => e.preventDefault()); // keep focus in the input
+          item.addEventListener("click", () => runPaletteCommand(i));
+          paletteResults.appendChild(item);
+        });
+        paletteInput.setAttribute("aria-activedescendant", `command-${paletteIndex}`);
+        const active = paletteResults.children[paletteIndex];
+        if (active && active.scrollIntoView) active.scrollIntoView({ block: "nearest" });
+      }
+
+      function runPaletteCommand(i) {
+        const command = paletteMatches[i];
+        if (!command) return;
+        hideOverlays();
+        command.action();
+      }
+
+      function openCommandPalette() {
+        paletteInput.value = "";
+        paletteIndex = 0;
+        renderCommandResults();
+        showOverlay(paletteOverlay, paletteInput);
+      }
+
+      paletteInput.addEventListener("input", () => {
+        paletteIndex = 0;
+        renderCommandResults();
+      });
+      paletteInput.addEventListener("keydown", (e) => {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+          e.preventDefault();
+          if (!paletteMatches.length) return;
+          paletteIndex = (paletteIndex + (e.key === "ArrowDown" ? 1 : -1) + paletteMatches.length) % paletteMatches.length;
+          renderCommandResults();
+        } else if (e.key === "Enter") {
+          e.preventDefault();
+          runPaletteCommand(paletteIndex);
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          hideOverlays();
+        }
+      });
+
+      // Single-key shortcuts are ignored while typing; text fields keep their native undo
+      const isTyping = (t) => t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName) && t.type !== "checkbox");
+      document.addEventListener("keydown", (e) => {
+        if (e.defaultPrevented) return;
+        const action = Shortcuts.match(e);
+        if (!action) return;
+        if (overlayOpen()) {
+          // Ctrl+K toggles the palette closed again
+          if (action === "palette" && !paletteOverlay.classList.contains("hidden")) {
+            e.preventDefault();
+            hideOverlays();
+          }
+          return;
+        }
+        if (isTyping(e.target) && !Shortcuts.GLOBAL.has(action)) return;
+        e.preventDefault();
+        shortcutHandlers[action]();
+      });
+      refreshShortcutHints();
 });
@@ -0,0 +1,59 @@
+// Service worker: precaches the app shell so it runs fully offline.
+// Bump CACHE_VERSION whenever a precached file changes; the new worker then
+// installs alongside the old one and the page offers to reload into it.
+
+const CACHE_VERSION = "v22";
+const CACHE_NAME = `todo-shell-${CACHE_VERSION}`;
+const PRECACHE = [
+  "./",
+  "index.html",
+  "app.js",
+  "styles.css",
+  "tailwind.css",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "icons/maskable-512.png",
+  "icons/apple-touch-icon.png",
+];
+
+// "reload" skips the browser's HTTP cache, which could still hold the previous version's files
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE.map((url) => new Request(url, { cache: "reload" })))));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("todo-shell-") && k !== CACHE_NAME).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// Cache first for the shell; navigations fall back to the cached page (URLs carry view state in the hash)
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      const cached = await cache.match(request, { ignoreSearch: true });
+      if (cached) return cached;
+      try {
+        return await fetch(request);
+      } catch (err) {
+        if (request.mode === "navigate") {
+          const page = await cache.match("index.html");
+          if (page) return page;
+        }
+        throw err;
+      }
+    })
+  );
+});
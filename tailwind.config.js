@@ -0,0 +1,17 @@
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  // Classes are written as plain strings in app.js, so scanning the sources is enough
+  content: ["./index.html", "./app.js"],
+  darkMode: "class",
+  theme: {
+    extend: {
+      colors: {
+        // Emerald follows the palette accent (--accent-* in styles.css)
+        emerald: [50, 100, 200, 300, 400, 500, 600, 700, 800, 900].reduce((scale, shade) => {
+          scale[shade] = `rgb(var(--accent-${shade}) / <alpha-value>)`;
+          return scale;
+        }, {}),
+      },
+    },
+  },
+};
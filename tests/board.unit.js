@@ -0,0 +1,31 @@
+function runBoardTests() {
+  const task = (id, fields = {}) => normalizeTask({ id, text: id, ...fields });
+  const tasks = [
+    task('a', { priority: 'high', tags: ['work'] }),
+    task('b', { inProgress: true, tags: ['work', 'home'] }),
+    task('c', { completed: true, inProgress: true, priority: 'low' }),
+  ];
+  const summary = (cols) => cols.map((c) => `${c.key || '-'}:${c.tasks.map((t) => t.id).join('')}`).join(' ');
+
+  assert('Board: status of a task', Board.statusOf(tasks[0]) === 'todo' && Board.statusOf(tasks[1]) === 'doing' && Board.statusOf(tasks[2]) === 'done');
+  assert('Board: status columns', summary(Board.columns(tasks, 'status')) === 'todo:a doing:b done:c');
+  assert('Board: priority columns', summary(Board.columns(tasks, 'priority')) === 'high:a medium:b low:c');
+  assert('Board: tag columns sorted, untagged last', summary(Board.columns(tasks, 'tag')) === 'home:b work:ab -:c');
+  assert('Board: column titles', Board.columns([], 'status').map((c) => c.title).join() === 'To do,In progress,Done' && Board.columns(tasks, 'tag')[0].title === '#home');
+  assert('Board: unknown group falls back to status', summary(Board.columns(tasks, 'nope')) === 'todo:a doing:b done:c');
+
+  const fields = (t, group, from, to) => JSON.stringify(Board.moveFields(t, group, from, to));
+  assert('Board: same column is no move', Board.moveFields(tasks[0], 'status', 'todo', 'todo') === null);
+  assert('Board: move to in progress', fields(tasks[0], 'status', 'todo', 'doing') === '{"completed":false,"inProgress":true}');
+  assert('Board: move to done', fields(tasks[1], 'status', 'doing', 'done') === '{"completed":true,"inProgress":false}');
+  assert('Board: move between priorities', fields(tasks[0], 'priority', 'high', 'low') === '{"priority":"low"}');
+  assert('Board: tag swapped in place', fields(tasks[1], 'tag', 'work', 'later') === '{"tags":["later","home"]}');
+  assert('Board: tag already present is not duplicated', fields(tasks[1], 'tag', 'work', 'home') === '{"tags":["home"]}');
+  assert('Board: untagged task gets the tag', fields(tasks[2], 'tag', Board.NO_TAG, 'home') === '{"tags":["home"]}');
+  assert('Board: "No tag" clears the tags', fields(tasks[1], 'tag', 'home', Board.NO_TAG) === '{"tags":[]}');
+
+  const repeating = normalizeTask({ text: 'Standup', dueDate: '2026-10-19', inProgress: true, recurrence: { freq: 'daily' } });
+  assert('Board: next occurrence of a repeating task starts in To do', Recurrence.nextTask(repeating, new Date(2026, 9, 19)).inProgress === false);
+}
+
+document.addEventListener('DOMContentLoaded', runBoardTests);
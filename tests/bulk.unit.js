@@ -0,0 +1,26 @@
+function runBulkTests() {
+  const tasks = [
+    normalizeTask({ id: 'a', text: 'A', dueDate: '2026-10-30', dueTime: '09:00', tags: ['Work'], reminder: { type: 'before', offsetMinutes: 30 } }),
+    normalizeTask({ id: 'b', text: 'B', tags: ['home'] }),
+    normalizeTask({ id: 'c', text: 'C', dueDate: '2026-12-31', reminder: { type: 'custom', at: 5 } }),
+  ];
+  const fields = (ids, change) => JSON.stringify(Bulk.updates(tasks, ids, change).map((u) => [u.id, u.fields]));
+
+  assert('Bulk: only the given tasks change', fields(['a', 'c'], { priority: 'high' }) === '[["a",{"priority":"high"}],["c",{"priority":"high"}]]');
+  assert('Bulk: unknown ids are skipped', Bulk.updates(tasks, ['zz'], { priority: 'low' }).length === 0);
+  assert('Bulk: set due date keeps the time', fields(['a', 'b'], { dueDate: '2026-11-02' }) === '[["a",{"dueDate":"2026-11-02"}],["b",{"dueDate":"2026-11-02"}]]');
+  assert('Bulk: shifting skips undated tasks and crosses months and years', fields(['a', 'b', 'c'], { shiftDays: 7 }) === '[["a",{"dueDate":"2026-11-06"}],["c",{"dueDate":"2027-01-07"}]]');
+  assert('Bulk: removing the due date drops relative reminders only', fields(['a', 'c'], { dueDate: '' }) === '[["a",{"dueDate":"","dueTime":"","reminder":null}],["c",{"dueDate":"","dueTime":""}]]');
+  assert('Bulk: add tags without duplicates', fields(['a', 'b'], { addTags: ['home', 'q4'] }) === '[["a",{"tags":["Work","home","q4"]}],["b",{"tags":["home","q4"]}]]');
+  assert('Bulk: add tags ignores case', fields(['a', 'b'], { addTags: ['work', 'HOME', 'New', 'new'] }) === '[["a",{"tags":["Work","HOME","New"]}],["b",{"tags":["home","work","New"]}]]');
+  assert('Bulk: remove tags ignores case', fields(['a', 'b'], { removeTags: ['work'] }) === '[["a",{"tags":[]}],["b",{"tags":["home"]}]]');
+  assert('Bulk: move to a list', fields(['b'], { listId: 'l2' }) === '[["b",{"listId":"l2"}]]');
+
+  const order = ['a', 'b', 'c', 'd', 'e'];
+  assert('Bulk: range downwards', Bulk.range(order, 'b', 'd').join('') === 'bcd');
+  assert('Bulk: range upwards', Bulk.range(order, 'e', 'c').join('') === 'cde');
+  assert('Bulk: range from a row no longer shown', Bulk.range(order, 'zz', 'c').join('') === 'c' && Bulk.range(order, 'a', 'zz').length === 0);
+  assert('Bulk: parse tags', Bulk.parseTags(' #work, home  urgent,,#work ').join() === 'work,home,urgent');
+}
+
+document.addEventListener('DOMContentLoaded', runBulkTests);
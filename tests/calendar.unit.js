@@ -0,0 +1,37 @@
+function runCalendarTests() {
+  const month = Calendar.days('2026-10-19', 'month');
+  assert('Calendar: month grid is six whole weeks', month.length === 42);
+  assert('Calendar: month grid starts on the Monday before the 1st', month[0] === '2026-09-28' && month[3] === '2026-10-01');
+  assert('Calendar: month grid ends after the last day', month[41] === '2026-11-08');
+  assert('Calendar: month starting on a Monday has no leading days', Calendar.days('2026-06-10', 'month')[0] === '2026-06-01');
+  const week = Calendar.days('2026-10-21', 'week');
+  assert('Calendar: week runs Monday to Sunday', week.length === 7 && week[0] === '2026-10-19' && week[6] === '2026-10-25');
+  assert('Calendar: Sunday belongs to the week before', Calendar.days('2026-10-25', 'week')[0] === '2026-10-19');
+  assert('Calendar: week across a year end', Calendar.days('2026-12-31', 'week').join() === '2026-12-28,2026-12-29,2026-12-30,2026-12-31,2027-01-01,2027-01-02,2027-01-03');
+
+  assert('Calendar: offset by days', Calendar.offset('2026-10-31', 1) === '2026-11-01' && Calendar.offset('2026-03-01', -1) === '2026-02-28');
+  assert('Calendar: offset across a DST change', Calendar.offset('2026-03-28', 2) === '2026-03-30' && Calendar.offset('2026-10-24', 7) === '2026-10-31');
+  assert('Calendar: shift by week', Calendar.shift('2026-10-19', 'week', 1) === '2026-10-26' && Calendar.shift('2026-10-19', 'week', -1) === '2026-10-12');
+  assert('Calendar: shift by month', Calendar.shift('2026-10-19', 'month', 1) === '2026-11-19' && Calendar.shift('2026-01-15', 'month', -1) === '2025-12-15');
+  assert('Calendar: shift clamps to the end of a shorter month', Calendar.shift('2026-01-31', 'month', 1) === '2026-02-28' && Calendar.shift('2028-03-31', 'month', -1) === '2028-02-29');
+
+  const task = (id, fields = {}) => normalizeTask({ id, text: id, ...fields });
+  const byDay = Calendar.byDay([
+    task('a', { dueDate: '2026-10-19', dueTime: '14:00' }),
+    task('b'),
+    task('c', { dueDate: '2026-10-19' }),
+    task('d', { dueDate: '2026-10-19', dueTime: '09:30' }),
+    task('e', { dueDate: '2026-10-20' }),
+  ]);
+  assert('Calendar: undated tasks are left out', !Array.from(byDay.values()).flat().some((t) => t.id === 'b') && byDay.size === 2);
+  assert('Calendar: tasks of a day, untimed first then by time', byDay.get('2026-10-19').map((t) => t.id).join('') === 'cda');
+  assert('Calendar: seven weekday names', Calendar.weekdayNames().length === 7 && new Set(Calendar.weekdayNames()).size === 7);
+
+  const view = Views.fromHash('#layout=calendar&cal=week');
+  assert('Views: calendar layout and range', view.layout === 'calendar' && view.calendarMode === 'week');
+  assert('Views: invalid calendar range is ignored', Views.fromHash('#layout=calendar&cal=year').calendarMode === 'month');
+  assert('Views: calendar range round-trips', Views.toHash(view) === '#layout=calendar&cal=week');
+  assert('State: calendar range is kept', normalizeState({ calendarMode: 'week' }).state.calendarMode === 'week' && normalizeState({ calendarMode: 'day' }).state.calendarMode === 'month');
+}
+
+document.addEventListener('DOMContentLoaded', runCalendarTests);
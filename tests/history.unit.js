@@ -0,0 +1,89 @@
+function runHistoryTests() {
+  const key = 'todo_history_test';
+  localStorage.removeItem(key);
+  const state = { tasks: [
+    { id: 'a', text: 'A', completed: false, tags: [] },
+    { id: 'b', text: 'B', completed: true, tags: [] },
+    { id: 'c', text: 'C', completed: false, tags: [] },
+  ] };
+  const ids = () => state.tasks.map((t) => t.id).join('');
+  const history = createHistory({ storageKey: key, limit: 3 });
+
+  history.execute(state, removeTasksCommand(state, ['a', 'c']));
+  assert('Remove command removes tasks', ids() === 'b');
+  history.undo(state);
+  assert('Undo restores removed tasks in place', ids() === 'abc');
+  history.redo(state);
+  assert('Redo removes them again', ids() === 'b');
+  history.undo(state);
+
+  history.execute(state, updateTasksCommand(state, [{ id: 'a', fields: { completed: true, text: 'A' } }]));
+  assert('Update command patches fields', state.tasks[0].completed === true);
+  history.undo(state);
+  assert('Undo restores previous field values', state.tasks[0].completed === false);
+  assert('Unchanged updates are not recorded', history.execute(state, updateTasksCommand(state, [{ id: 'a', fields: { text: 'A' } }])) === false);
+
+  history.execute(state, moveTaskCommand(state, 'a', 'c'));
+  assert('Move command reorders', ids() === 'bca');
+  history.execute(state, batchCommand([addTaskCommand({ id: 'd', text: 'D' }, 3), updateTasksCommand(state, [{ id: 'b', fields: { text: 'B2' } }])], 'Batch'));
+  assert('Batch applies sub-commands in order', ids() === 'bcad');
+  history.undo(state);
+  assert('Batch undo reverts all sub-commands', ids() === 'bca' && state.tasks[0].text === 'B');
+
+  const reloaded = createHistory({ storageKey: key, limit: 3 });
+  assert('History survives a reload', reloaded.canUndo && reloaded.canRedo);
+  history.execute(state, moveTaskCommand(state, state.tasks[0].id, state.tasks[1].id));
+  history.execute(state, moveTaskCommand(state, state.tasks[0].id, state.tasks[1].id));
+  history.execute(state, moveTaskCommand(state, state.tasks[0].id, state.tasks[1].id));
+  let undone = 0;
+  while (history.undo(state)) undone += 1;
+  assert('History is bounded by its limit', undone === 3);
+
+  // Moves remember neighbours, not indices: tasks removed outside the history don't shift them
+  const rows = { tasks: ['a', 'b', 'c', 'd'].map((id) => ({ id, text: id, tags: [] })) };
+  const rowIds = () => rows.tasks.map((t) => t.id).join('');
+  const moves = createHistory({ storageKey: key });
+  moves.execute(rows, moveTaskCommand(rows, 'a', 'c'));
+  assert('Move lands where the target was', rowIds() === 'bcad');
+  rows.tasks = rows.tasks.filter((t) => t.id !== 'b'); // purged, or deleted in another tab
+  moves.undo(rows);
+  assert('Undo after a removal moves the same task back', rowIds() === 'acd');
+  moves.redo(rows);
+  assert('Redo after a removal moves the same task', rowIds() === 'cad');
+  rows.tasks = rows.tasks.filter((t) => t.id !== 'c');
+  moves.undo(rows);
+  assert('A move whose neighbour is gone leaves the task alone', rowIds() === 'ad');
+  assert('Moving a task onto itself is not recorded', !moves.execute(rows, moveTaskCommand(rows, 'a', 'a')));
+  localStorage.setItem(key, JSON.stringify({ past: [{ type: 'move', label: 'Old', from: 0, to: 1 }, batchCommand([{ type: 'move', from: 1, to: 0 }], 'Old batch')], future: [] }));
+  assert('Index-based moves from older versions are dropped', !createHistory({ storageKey: key }).canUndo);
+
+  // The stored copy is capped by size, oldest entries first; the session keeps them all
+  const big = { tasks: [] };
+  const sized = createHistory({ storageKey: key, maxChars: 3000 });
+  for (let i = 0; i < 5; i++) sized.execute(big, addTaskCommand({ id: `big${i}`, text: 'x'.repeat(1000) }, i));
+  const kept = JSON.parse(localStorage.getItem(key));
+  assert('Stored history stays under its size cap', localStorage.getItem(key).length <= 3000 && kept.past.length === 2);
+  assert('Stored history keeps the newest entries', kept.past.map((c) => c.task.id).join() === 'big3,big4');
+  let sessionUndos = 0;
+  while (sized.undo(big)) sessionUndos += 1;
+  assert('This session can still undo everything', sessionUndos === 5 && big.tasks.length === 0);
+
+  // Quota errors are reported once, with a retry, until a write succeeds again
+  const errors = [];
+  const failing = createHistory({ storageKey: key, onError: (message, err, retry) => errors.push({ message, retry }) });
+  const setItem = Storage.prototype.setItem;
+  Storage.prototype.setItem = function () { throw new DOMException('full', 'QuotaExceededError'); };
+  try {
+    failing.execute(state, moveTaskCommand(state, state.tasks[0].id, state.tasks[1].id));
+    failing.execute(state, moveTaskCommand(state, state.tasks[0].id, state.tasks[1].id));
+  } finally {
+    Storage.prototype.setItem = setItem;
+  }
+  assert('History write failures are reported once', errors.length === 1 && /storage is full.*undo history/.test(errors[0].message));
+  errors[0].retry();
+  assert('History retry writes the stacks', JSON.parse(localStorage.getItem(key)).past.length === 2);
+
+  localStorage.removeItem(key);
+}
+
+document.addEventListener('DOMContentLoaded', runHistoryTests);
@@ -0,0 +1,49 @@
+function runICalTests() {
+  const tasks = [
+    normalizeTask({ id: 'ics-1', text: 'Pay rent; landlord, "Ann" \\ office\nsecond line', completed: false, createdAt: Date.UTC(2026, 9, 1, 8, 30), dueDate: '2026-11-01', priority: 'high', tags: ['home', 'bills, monthly'] }),
+    normalizeTask({ id: 'ics-2', text: 'Ünïcödé ' + 'x'.repeat(120), completed: true, createdAt: Date.UTC(2026, 9, 2), completedAt: Date.UTC(2026, 9, 3, 10, 15), dueDate: '2026-12-24', priority: 'low', tags: [] }),
+    normalizeTask({ id: 'ics-3', text: 'No tags', inProgress: true, createdAt: Date.UTC(2026, 9, 3), dueDate: '2027-01-05', dueTime: '09:30', priority: 'medium', tags: [] }),
+  ];
+
+  const ics = ICal.serialize(tasks);
+  assert('ICS uses CRLF line endings', ics.includes('\r\n') && !/[^\r]\n/.test(ics));
+  assert('ICS has one VTODO per task', ics.match(/BEGIN:VTODO/g).length === 3);
+  assert('ICS maps priority', ics.includes('PRIORITY:1') && ics.includes('PRIORITY:9') && ics.includes('PRIORITY:5'));
+  assert('ICS exports the completion time', ics.includes('COMPLETED:20261003T101500Z'));
+  assert('ICS maps status', ics.includes('STATUS:COMPLETED') && ics.includes('STATUS:NEEDS-ACTION') && ics.includes('STATUS:IN-PROCESS'));
+  assert('ICS folds lines at 75 octets', ics.split('\r\n').every((l) => new TextEncoder().encode(l).length <= 75));
+
+  const { tasks: back, errors } = ICal.parse(ics);
+  assert('ICS round-trips without errors', errors.length === 0 && back.length === 3);
+  assert('ICS round-trips every field', JSON.stringify(back) === JSON.stringify(tasks));
+
+  const foreign = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:ev-1',
+    'SUMMARY:Dentist',
+    'DTSTART;TZID=Europe/Paris:20261105T093000',
+    'CATEGORIES:health',
+    'CATEGORIES:appointments',
+    'BEGIN:VALARM',
+    'SUMMARY:Alarm summary is ignored',
+    'END:VALARM',
+    'END:VEVENT',
+    'BEGIN:VTODO',
+    'UID:no-summary',
+    'END:VTODO',
+    'BEGIN:VTODO',
+    'SUMMARY:Bad date',
+    'DUE:2026-11-05',
+    'END:VTODO',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  const parsed = ICal.parse(foreign);
+  const ev = parsed.tasks[0];
+  assert('VEVENT imports as task', parsed.tasks.length === 1 && ev.text === 'Dentist' && ev.dueDate === '2026-11-05' && ev.dueTime === '09:30');
+  assert('Multiple CATEGORIES lines are merged', ev.tags.join(',') === 'health,appointments');
+  assert('Invalid components are reported by line', parsed.errors.map((e) => e.line).join(',') === '12,15');
+  assert('Non-calendar text is rejected', ICal.parse('hello').errors.length === 1);
+}
+
+document.addEventListener('DOMContentLoaded', runICalTests);
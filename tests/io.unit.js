@@ -0,0 +1,58 @@
+function runIOTests() {
+  const tasks = [
+    normalizeTask({ id: 't1', text: 'Call "Bob", then email', completed: true, createdAt: Date.UTC(2026, 0, 2), completedAt: Date.UTC(2026, 0, 5, 9), dueDate: '2026-02-01', priority: 'high', tags: ['work', 'calls'] }),
+    normalizeTask({ id: 't2', text: 'Multi\nline', completed: false, createdAt: Date.UTC(2026, 0, 3), priority: 'low', tags: [] }),
+  ];
+
+  const csv = TaskIO.toCSV(tasks);
+  assert('CSV has header row', csv.startsWith('id,text,completed,createdAt,dueDate,dueTime,priority,tags'));
+  const back = TaskIO.fromCSV(csv);
+  assert('CSV round-trips without errors', back.errors.length === 0 && back.tasks.length === 2);
+  assert('CSV keeps quotes, commas and newlines', back.tasks[0].text === tasks[0].text && back.tasks[1].text === 'Multi\nline');
+  assert('CSV keeps fields', back.tasks[0].completed && back.tasks[0].dueDate === '2026-02-01' && back.tasks[0].tags.join(',') === 'work,calls' && back.tasks[0].createdAt === tasks[0].createdAt && back.tasks[0].completedAt === tasks[0].completedAt);
+
+  const bad = TaskIO.fromCSV('text,completed,dueDate,priority\nOk,no,,\n,yes,,\nLate,maybe,,\nSoon,no,01/02/2026,\nHot,no,,urgent\n');
+  assert('CSV accepts valid rows', bad.tasks.length === 1 && bad.tasks[0].text === 'Ok');
+  assert('CSV reports errors by line', bad.errors.map((e) => e.line).join(',') === '3,4,5,6');
+  assert('CSV without text column is rejected', TaskIO.fromCSV('title\nx\n').errors.length === 1);
+
+  const json = TaskIO.fromJSON(TaskIO.toJSON(tasks));
+  assert('JSON round-trips', json.errors.length === 0 && JSON.stringify(json.tasks) === JSON.stringify(tasks));
+  const badJson = TaskIO.fromJSON('[{"text":"a"},{"text":""},{"text":"b","priority":"x"}]');
+  assert('JSON reports invalid tasks', badJson.tasks.length === 1 && badJson.errors.length === 2);
+  assert('JSON syntax errors are reported', TaskIO.fromJSON('{oops').errors.length === 1);
+
+  const state = { lists: [makeList(DEFAULT_LIST)], tasks: [normalizeTask({ id: 't1', text: 'Old' }), normalizeTask({ id: 'x', text: 'Keep' })] };
+  Commands.batch.apply(state, importTasksCommand(state, tasks, 'merge'));
+  assert('Merge updates by id and appends new tasks', state.tasks.length === 3 && state.tasks[0].text === tasks[0].text && state.tasks[2].id === 't2');
+  Commands.batch.apply(state, importTasksCommand(state, tasks, 'replace'));
+  assert('Replace swaps the whole list', state.tasks.map((t) => t.id).join(',') === 't1,t2');
+
+  // A JSON backup carries its lists; importing it creates the ones that are missing
+  const work = makeList({ id: 'work', name: 'Work', icon: '💼', color: '#123456' });
+  const backup = TaskIO.fromJSON(TaskIO.toJSON([{ ...tasks[0], listId: 'work' }, tasks[1]], [makeList(DEFAULT_LIST), work]));
+  assert('JSON backup keeps lists', backup.lists.length === 2 && backup.lists[1].name === 'Work' && backup.lists[1].color === '#123456');
+  assert('JSON backup keeps task lists', backup.tasks[0].listId === 'work');
+  assert('JSON without lists imports none', TaskIO.fromJSON(TaskIO.toJSON(tasks)).lists.length === 0 && !('lists' in JSON.parse(TaskIO.toJSON(tasks))));
+  const restore = { lists: [makeList(DEFAULT_LIST)], tasks: [normalizeTask({ id: 'other', text: 'Other' })] };
+  const command = importTasksCommand(restore, backup.tasks, 'replace', ['other'], backup.lists);
+  Commands.batch.apply(restore, command);
+  assert('Import creates missing lists only', restore.lists.map((l) => l.id).join() === `${DEFAULT_LIST.id},work`);
+  assert('Replace with a backup swaps all tasks', restore.tasks.map((t) => t.id).join() === 't1,t2');
+  Commands.batch.revert(restore, command);
+  assert('Undoing the import removes its lists', restore.lists.length === 1 && restore.tasks.map((t) => t.id).join() === 'other');
+
+  // Replace never leaves two tasks with one id
+  const twoLists = TaskIO.fromCSV('id,text,listId\ny,In home\ny,In work\n').tasks;
+  const mixed = { lists: [makeList(DEFAULT_LIST)], tasks: [normalizeTask({ id: 'y', text: 'Other list', listId: 'work' })] };
+  Commands.batch.apply(mixed, importTasksCommand(mixed, twoLists, 'replace', []));
+  assert('Replace renumbers ids used in another list or repeated', new Set(mixed.tasks.map((t) => t.id)).size === 3 && mixed.tasks.filter((t) => t.id === 'y').length === 1);
+  const trashed = { lists: [makeList(DEFAULT_LIST)], tasks: [normalizeTask({ id: 'z', text: 'Z', trashedAt: 5 }), normalizeTask({ id: 'k', text: 'K' })] };
+  const restoreZ = importTasksCommand(trashed, [normalizeTask({ id: 'z', text: 'Z' })], 'replace', ['k']);
+  Commands.batch.apply(trashed, restoreZ);
+  assert('Replace renumbers ids still in the Trash', trashed.tasks.length === 2 && trashed.tasks.filter((t) => t.id === 'z').length === 1 && trashed.tasks.find((t) => t.id === 'z').trashedAt === 5);
+  Commands.batch.revert(trashed, restoreZ);
+  assert('Undoing a renumbered import restores the tasks', trashed.tasks.map((t) => t.id).join() === 'z,k');
+}
+
+document.addEventListener('DOMContentLoaded', runIOTests);
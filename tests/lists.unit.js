@@ -0,0 +1,51 @@
+function runListTests() {
+  const key = 'todo_lists_history_test';
+  localStorage.removeItem(key);
+  const work = makeList({ id: 'work', name: 'Work', icon: '💼', createdAt: 1 });
+  const state = {
+    lists: [makeList({ ...DEFAULT_LIST, createdAt: 1 })],
+    tasks: [
+      normalizeTask({ id: 'a', text: 'A', listId: DEFAULT_LIST.id }),
+      normalizeTask({ id: 'b', text: 'B', listId: DEFAULT_LIST.id }),
+    ],
+  };
+  const lists = () => state.lists.map((l) => l.id).join(',');
+  const history = createHistory({ storageKey: key });
+
+  history.execute(state, addListCommand(work, 1));
+  assert('Lists: create adds the list at its index', lists() === `${DEFAULT_LIST.id},work`);
+  history.undo(state);
+  assert('Lists: undo create removes it', lists() === DEFAULT_LIST.id);
+  history.redo(state);
+  assert('Lists: redo create adds it back', lists() === `${DEFAULT_LIST.id},work` && state.lists[1].name === 'Work');
+
+  history.execute(state, updateListCommand(state, 'work', { name: 'Office', color: '#ff0000' }, 'Rename list'));
+  assert('Lists: update patches fields', state.lists[1].name === 'Office' && state.lists[1].color === '#ff0000');
+  history.undo(state);
+  assert('Lists: undo update restores them', state.lists[1].name === 'Work' && state.lists[1].color === DEFAULT_LIST.color);
+  history.redo(state);
+  assert('Lists: redo update applies them again', state.lists[1].name === 'Office');
+  assert('Lists: unchanged fields are not recorded', !history.execute(state, updateListCommand(state, 'work', { name: 'Office' })));
+
+  // Move to list is a task update
+  history.execute(state, updateTasksCommand(state, [{ id: 'b', fields: { listId: 'work' } }], 'Moved to Office'));
+  assert('Lists: move a task to another list', state.tasks[1].listId === 'work');
+  history.undo(state);
+  assert('Lists: undo the move', state.tasks[1].listId === DEFAULT_LIST.id);
+  history.redo(state);
+
+  history.execute(state, deleteListCommand(state, 'work', 'Deleted list "Office"'));
+  assert('Lists: delete removes the list and its tasks', lists() === DEFAULT_LIST.id && state.tasks.map((t) => t.id).join() === 'a');
+  history.undo(state);
+  assert('Lists: undo delete restores both in place', lists() === `${DEFAULT_LIST.id},work` && state.tasks.map((t) => t.id).join() === 'a,b' && state.tasks[1].listId === 'work');
+  history.redo(state);
+  assert('Lists: redo delete removes them again', lists() === DEFAULT_LIST.id && state.tasks.length === 1);
+
+  const empty = { lists: [makeList(DEFAULT_LIST), makeList({ id: 'e', name: 'Empty' })], tasks: [normalizeTask({ id: 'x', text: 'X' })] };
+  Commands.batch.apply(empty, deleteListCommand(empty, 'e'));
+  assert('Lists: deleting an empty list keeps other tasks', empty.lists.length === 1 && empty.tasks.length === 1);
+
+  localStorage.removeItem(key);
+}
+
+document.addEventListener('DOMContentLoaded', runListTests);
@@ -0,0 +1,51 @@
+function runPaletteTests() {
+  const keys = ['themePalettes', 'themePalette', 'themePaletteVars'];
+  const saved = keys.map((k) => localStorage.getItem(k));
+  keys.forEach((k) => localStorage.removeItem(k));
+
+  assert('Contrast black on white is 21:1', Math.abs(Palettes.contrastRatio('#000000', '#ffffff') - 21) < 0.01);
+  assert('Contrast is symmetric', Palettes.contrastRatio('#268bd2', '#fdf6e3') === Palettes.contrastRatio('#fdf6e3', '#268bd2'));
+  const ids = Palettes.all().map((p) => p.id);
+  assert('Built-in palettes available', ['default', 'high-contrast', 'solarized', 'sepia'].every((id) => ids.includes(id)));
+  const builtInsPass = Palettes.BUILT_INS.every((p) => ['day', 'night'].every((v) => Palettes.checkContrast(p[v]).every((c) => c.ok)));
+  assert('Built-in palettes meet AA contrast', builtInsPass);
+  const low = Palettes.checkContrast({ bgStart: '#ffffff', bgEnd: '#ffffff', text: '#cccccc', card: '#ffffff', accent: '#10b981' });
+  assert('Low contrast text flagged', !low[0].ok && low[0].ratio < Palettes.AA);
+
+  assert('Palette without name rejected', Palettes.normalize({ day: {}, night: {} }) === null);
+  const fixed = Palettes.normalize({ name: 'Mine', day: { accent: 'red', text: '#123456' }, night: {} });
+  assert('Invalid colors fall back to defaults', fixed.day.accent === Palettes.BUILT_INS[0].day.accent && fixed.day.text === '#123456');
+
+  const vars = Palettes.variables(Palettes.BUILT_INS[1].day);
+  assert('Variables include gradient and accent scale', vars['--bg-start'] === '#ffffff' && vars['--accent-500'] === '0 71 171');
+  assert('Lighter shades mix toward white', Number(vars['--accent-50'].split(' ')[0]) > 200);
+
+  // Saving a built-in creates a copy; export/import round trip
+  const copy = Palettes.save({ ...Palettes.get('sepia'), name: 'Sepia (copy)' });
+  assert('Saving a built-in creates a custom copy', copy.id !== 'sepia' && Palettes.get(copy.id).name === 'Sepia (copy)');
+  const json = Palettes.exportJSON();
+  assert('Removing a custom palette', Palettes.remove(copy.id) && !Palettes.get(copy.id));
+  const { imported, errors } = Palettes.importJSON(json);
+  assert('Import restores exported palettes', imported.length === 1 && imported[0].name === 'Sepia (copy)' && errors.length === 0);
+  const bad = Palettes.importJSON('{"palettes":[{"name":""}]}');
+  assert('Import reports invalid palettes', bad.imported.length === 0 && bad.errors.length === 1);
+  assert('Import rejects malformed JSON', Palettes.importJSON('{').errors.length === 1);
+
+  // Theme applies palettes as inline variables; the default palette leaves styles.css alone
+  const html = document.documentElement;
+  assert('Unknown palette ignored', window.Theme.setPalette('nope') === false);
+  window.Theme.setMode('day');
+  window.Theme.setPalette('high-contrast');
+  assert('Active palette persisted', localStorage.getItem('themePalette') === 'high-contrast' && window.Theme.palette === 'high-contrast');
+  assert('Palette applied to gradient', html.style.getPropertyValue('--bg-start') === '#ffffff');
+  assert('Palette accent drives Tailwind scale', html.style.getPropertyValue('--accent-500') === '0 71 171');
+  assert('Early-init cache written', JSON.parse(localStorage.getItem('themePaletteVars')).night['--bg-start'] === '#000000');
+  window.Theme.setMode('night');
+  assert('Night variant applied', html.style.getPropertyValue('--bg-start') === '#000000');
+  window.Theme.setPalette('default');
+  assert('Default palette clears inline variables', html.style.getPropertyValue('--bg-start') === '' && localStorage.getItem('themePaletteVars') === null);
+
+  keys.forEach((k, i) => (saved[i] === null ? localStorage.removeItem(k) : localStorage.setItem(k, saved[i])));
+}
+
+document.addEventListener('DOMContentLoaded', runPaletteTests);
@@ -0,0 +1,55 @@
+function runQueryTests() {
+  const task = (fields) => normalizeTask({ text: 'Task', ...fields });
+  const tasks = {
+    report: task({ id: 'report', text: 'Write report', tags: ['work'], priority: 'high', dueDate: '2026-10-20' }),
+    later: task({ id: 'later', text: 'Read book', tags: ['work', 'later'], priority: 'low' }),
+    shop: task({ id: 'shop', text: 'Groceries', tags: ['home'], priority: 'medium', dueDate: '2026-10-18', subtasks: [{ text: 'Buy milk' }] }),
+    done: task({ id: 'done', text: 'Exact phrase here', completed: true, listId: 'side', dueDate: '2026-11-05' }),
+  };
+  const ctx = { today: '2026-10-19', now: new Date(2026, 9, 19, 12).getTime(), listName: (t) => (t.listId === 'side' ? 'Side projects' : 'My Tasks') };
+  const ids = (q, extra = {}) => {
+    const { ast, errors } = Query.parse(q);
+    if (!ast) return errors.map((e) => e.message).join('; ');
+    return Object.values(tasks).filter((t) => Query.matches(ast, t, { ...ctx, ...extra })).map((t) => t.id).join(',');
+  };
+
+  assert('Query: empty has no ast or errors', Query.parse('  ').ast === null && Query.parse('').errors.length === 0);
+  assert('Query: bare word matches text', ids('report') === 'report');
+  assert('Query: tag field is exact', ids('tag:work') === 'report,later' && ids('tag:wor') === '');
+  assert('Query: negated tag', ids('tag:work -tag:later') === 'report');
+  assert('Query: NOT keyword', ids('tag:work NOT tag:later') === 'report');
+  assert('Query: priority comparison', ids('priority:>=medium') === 'report,shop,done' && ids('priority:high') === 'report');
+  assert('Query: due before a date', ids('due:<2026-10-20') === 'shop');
+  assert('Query: relative due dates', ids('due:tomorrow') === 'report' && ids('due:<=+7d') === 'report,shop');
+  assert('Query: due none / overdue', ids('due:none') === 'later' && ids('due:overdue') === 'shop');
+  assert('Query: is:open / is:done', ids('is:done') === 'done' && ids('is:open tag:home') === 'shop');
+  assert('Query: has:subtasks', ids('has:subtasks') === 'shop');
+  assert('Query: quoted phrase', ids('"exact phrase"') === 'done' && ids('"phrase exact"') === '');
+  assert('Query: list field with quotes', ids('list:"side proj"') === 'done');
+  assert('Query: OR', ids('tag:home OR tag:later') === 'later,shop');
+  assert('Query: parentheses and implicit AND', ids('(tag:home OR tag:later) priority:low') === 'later');
+  assert('Query: explicit AND', ids('tag:work AND priority:high') === 'report');
+  const hits = new Set();
+  assert('Query: subtask match', ids('milk', { subtaskHits: hits }) === 'shop' && hits.has('shop'));
+  assert('Query: unknown name:value is a plain word', Query.parse('meet at 10:30').errors.length === 0);
+
+  const err = (q) => (Query.parse(q).errors[0] || {}).message || '';
+  assert('Query error: bad priority', /priority/.test(err('priority:urgent')));
+  assert('Query error: bad due date', /due/.test(err('due:soon')));
+  assert('Query error: missing value', /needs a value/.test(err('tag:')));
+  assert('Query error: unclosed quote', err('"open') === 'Missing closing quote');
+  assert('Query error: unbalanced parens', err('(tag:a') === 'Missing closing parenthesis' && err('tag:a)') === 'Unexpected closing parenthesis');
+  assert('Query error: dangling OR', /OR/.test(err('tag:a OR')));
+  const bad = Query.parse('tag:work priority:urgent');
+  assert('Query error marks the bad token', bad.tokens.map((t) => t.error).join() === 'false,true');
+
+  const at = Query.completionAt('is:open -tag:wo', 15);
+  assert('Tag completion context', at && at.prefix === 'wo' && at.from === 13 && at.to === 15);
+  assert('No completion outside tag:', Query.completionAt('priority:h', 10) === null);
+
+  // Smart lists persist through normalizeState and drop invalid entries
+  const { state } = normalizeState({ smartLists: [{ id: 's1', name: 'Work', query: 'tag:work' }, { name: '', query: 'x' }, { id: 's1', name: 'Dup', query: 'is:open' }] });
+  assert('Smart lists normalized', state.smartLists.length === 2 && state.smartLists[0].name === 'Work' && state.smartLists[1].id !== 's1');
+}
+
+document.addEventListener('DOMContentLoaded', runQueryTests);
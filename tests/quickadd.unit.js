@@ -0,0 +1,51 @@
+function runQuickAddTests() {
+  // Monday 19 October 2026, 10:00 local time
+  const now = new Date(2026, 9, 19, 10, 0);
+  const p = (text) => QuickAdd.parse(text, now);
+
+  const full = p('Pay rent tomorrow 9am !high #home #bills');
+  assert('Quick add extracts the title', full.title === 'Pay rent');
+  assert('Quick add extracts tomorrow', full.dueDate === '2026-10-20');
+  assert('Quick add extracts 9am', full.dueTime === '09:00');
+  assert('Quick add extracts !high', full.priority === 'high');
+  assert('Quick add extracts tags in order', full.tags.join(',') === 'home,bills');
+
+  assert('Plain text has no tokens', JSON.stringify(p('Buy milk')) === JSON.stringify({ title: 'Buy milk', dueDate: '', dueTime: '', priority: '', tags: [] }));
+  assert('Tags keep their case', p('Call #Mom').tags[0] === 'Mom');
+  assert('!low and !2 priorities', p('a !low').priority === 'low' && p('a !2').priority === 'medium');
+
+  assert('next friday', p('Demo next friday').dueDate === '2026-10-23');
+  assert('weekday name is the nearest one', p('Gym wednesday').dueDate === '2026-10-21');
+  assert('monday today counts as today', p('Standup monday').dueDate === '2026-10-19');
+  assert('next monday skips today', p('Standup next monday').dueDate === '2026-10-26');
+  assert('in 3 days', p('Ship it in 3 days').dueDate === '2026-10-22');
+  assert('in 2 weeks', p('Review in 2 weeks').dueDate === '2026-11-02');
+  assert('in a month', p('Renew in a month').dueDate === '2026-11-19');
+  assert('end of month', p('Invoices end of month').dueDate === '2026-10-31');
+  assert('next week is next Monday', p('Plan next week').dueDate === '2026-10-26');
+  assert('ISO date', p('Trip 2026-12-24').dueDate === '2026-12-24');
+  assert('Month and day', p('Party on Nov 5th').dueDate === '2026-11-05' && p('Party on Nov 5th').title === 'Party');
+  assert('Past month-day rolls to next year', p('Birthday 3 March').dueDate === '2027-03-03');
+  assert('Prepositions before dates are dropped', p('Report due friday').title === 'Report');
+
+  assert('24h time', p('Call at 14:30').dueTime === '14:30' && p('Call at 14:30').title === 'Call');
+  assert('12pm is noon', p('Lunch 12pm').dueTime === '12:00');
+  assert('Time alone later today is today', p('Call 3pm').dueDate === '2026-10-19');
+  assert('Time alone already passed is tomorrow', p('Call 8am').dueDate === '2026-10-20');
+  assert('tonight implies an evening time', p('Movie tonight').dueTime === '20:00');
+  assert('Explicit time beats tonight', p('Movie tonight 9:30pm').dueTime === '21:30');
+
+  assert('Words that look like days need full names', p('Sun cream').dueDate === '' && p('Sun cream').title === 'Sun cream');
+  assert('Words starting like a month are not months', ['Buy 2 markers', 'Read 3 junk mails', 'Order 10 decorations', 'Watch 3 mayday clips'].every((t) => {
+    const r = p(t);
+    return r.title === t && r.dueDate === '';
+  }));
+  assert('Month abbreviations with a dot', p('Dentist Dec. 5').dueDate === '2026-12-05' && p('Dentist Dec. 5').title === 'Dentist');
+  assert('Full month names', p('Taxes April 15').dueDate === '2027-04-15');
+  assert('A bare H:MM is not a time', p('Chapter 1:15 review').title === 'Chapter 1:15 review' && p('Chapter 1:15 review').dueTime === '');
+  assert('H:MM after @ is a time', p('Call @ 14:30').dueTime === '14:30' && p('Call @14:30').title === 'Call');
+  assert('H:MM with am/pm is a time', p('Call 2:15pm').dueTime === '14:15');
+  assert('Only whole words match', p('Todays plan').dueDate === '' && p('email#1').tags.length === 0);
+}
+
+document.addEventListener('DOMContentLoaded', runQuickAddTests);
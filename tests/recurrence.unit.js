@@ -0,0 +1,46 @@
+function runRecurrenceTests() {
+  const rule = (r, due) => Recurrence.anchor(Recurrence.normalize(r), due);
+  const next = (r, due, done = new Date(2026, 9, 19)) => Recurrence.nextDueDate(r, due, done);
+
+  assert('Daily adds the interval', next(rule({ freq: 'daily', interval: 3 }, '2026-10-19'), '2026-10-19') === '2026-10-22');
+  // 2026-10-19 is a Monday
+  const monWed = rule({ freq: 'weekly', weekdays: [1, 3] }, '2026-10-19');
+  assert('Weekly picks the next chosen weekday', next(monWed, '2026-10-19') === '2026-10-21');
+  assert('Weekly wraps to next week', next(monWed, '2026-10-21') === '2026-10-26');
+  const biweekly = rule({ freq: 'weekly', interval: 2, weekdays: [1, 3] }, '2026-10-19');
+  assert('Every 2 weeks stays within the active week', next(biweekly, '2026-10-19') === '2026-10-21');
+  assert('Every 2 weeks skips a week', next(biweekly, '2026-10-21') === '2026-11-02');
+  assert('Weekly without weekdays uses the due weekday', rule({ freq: 'weekly' }, '2026-10-22').weekdays.join() === '4');
+
+  const jan31 = rule({ freq: 'monthly' }, '2026-01-31');
+  assert('Monthly by date clamps to month end', next(jan31, '2026-01-31') === '2026-02-28');
+  assert('Monthly by date keeps its anchor day', next(jan31, '2026-02-28') === '2026-03-31');
+  const secondTue = rule({ freq: 'monthly', monthlyBy: 'weekday' }, '2026-10-13');
+  assert('Monthly by weekday finds the nth weekday', next(secondTue, '2026-10-13') === '2026-11-10');
+  const lastFri = rule({ freq: 'monthly', monthlyBy: 'weekday' }, '2026-10-30');
+  assert('Fifth weekday anchors to the last one', lastFri.nth === -1 && next(lastFri, '2026-10-30') === '2026-11-27');
+
+  const after = rule({ freq: 'afterCompletion', interval: 10 }, '2026-10-01');
+  assert('After completion counts from the completion date', next(after, '2026-10-01', new Date(2026, 9, 19, 15)) === '2026-10-29');
+  assert('Undated daily tasks start from the completion date', next(rule({ freq: 'daily' }, ''), '') === '2026-10-20');
+
+  assert('Until date ends the series', next(rule({ freq: 'daily', until: '2026-10-20' }, '2026-10-20'), '2026-10-20') === '');
+  assert('Count ends the series', next(rule({ freq: 'daily', count: 2, occurrence: 2 }, '2026-10-20'), '2026-10-20') === '');
+
+  const state = { tasks: [normalizeTask({ id: 'r1', text: 'Water plants', dueDate: '2026-10-19', recurrence: rule({ freq: 'daily', count: 3 }, '2026-10-19') })] };
+  const command = setCompletedCommand(state, ['r1'], true, 'Complete task');
+  Commands.batch.apply(state, command);
+  const [spawned, done] = state.tasks;
+  assert('Completing keeps the done occurrence', done.id === 'r1' && done.completed);
+  assert('Completing adds the next occurrence', spawned.dueDate === '2026-10-20' && !spawned.completed && spawned.recurrence.occurrence === 2);
+  assert('Occurrences share a series', spawned.recurrence.seriesId === done.recurrence.seriesId);
+  Commands.update.revert(state, command.commands[0]);
+  Commands.batch.apply(state, setCompletedCommand(state, ['r1'], true, 'Complete task'));
+  assert('Completing again does not duplicate the next occurrence', state.tasks.length === 2);
+  Commands.batch.revert(state, command);
+
+  assert('Describe weekly rule', Recurrence.describe(monWed) === 'Weekly on Mon, Wed');
+  assert('Describe nth weekday rule', Recurrence.describe(secondTue, '2026-10-13') === 'Monthly on the 2nd Tue');
+}
+
+document.addEventListener('DOMContentLoaded', runRecurrenceTests);
@@ -0,0 +1,81 @@
+function runReminderTests() {
+  const key = 'todo_reminders_test';
+  localStorage.removeItem(key);
+  let clock = new Date(2026, 9, 19, 8, 0).getTime();
+  let timers = [];
+  const notified = [];
+  const options = {
+    now: () => clock,
+    setTimer: (fn, ms) => { timers.push({ fn, at: clock + ms }); return timers.length; },
+    clearTimer: () => {},
+    notify: (task) => notified.push(task.id),
+    storageKey: key,
+  };
+  // Advance the fake clock, running timers that come due
+  const advance = (ms) => {
+    clock += ms;
+    const due = timers.filter((t) => t.at <= clock).sort((a, b) => a.at - b.at);
+    timers = timers.filter((t) => t.at > clock);
+    due.forEach((t) => t.fn());
+  };
+  const task = (id, fields) => normalizeTask({ id, text: id, ...fields });
+
+  const scheduler = createReminderScheduler(options);
+  const tasks = [
+    task('due', { dueDate: '2026-10-19', dueTime: '10:00', reminder: { type: 'due' } }),
+    task('before', { dueDate: '2026-10-19', dueTime: '10:00', reminder: { type: 'before', offsetMinutes: 30 } }),
+    task('dateOnly', { dueDate: '2026-10-19', reminder: { type: 'due' } }),
+    task('custom', { reminder: { type: 'custom', at: new Date(2026, 9, 19, 12, 0).getTime() } }),
+    task('done', { completed: true, dueDate: '2026-10-19', reminder: { type: 'due' } }),
+    task('none', { dueDate: '2026-10-19' }),
+  ];
+
+  assert('Reminder at due time', scheduler.reminderTime(tasks[0]) === new Date(2026, 9, 19, 10, 0).getTime());
+  assert('Reminder minutes before', scheduler.reminderTime(tasks[1]) === new Date(2026, 9, 19, 9, 30).getTime());
+  assert('Date-only tasks remind at the default time', scheduler.reminderTime(tasks[2]) === new Date(2026, 9, 19, 9, 0).getTime());
+  assert('Arms timers for pending reminders only', scheduler.schedule(tasks) === 4);
+
+  advance(60 * 60000); // 09:00
+  assert('Fires reminders as the clock reaches them', notified.join(',') === 'dateOnly');
+  advance(90 * 60000); // 10:30
+  assert('Fires each reminder once, in order', notified.join(',') === 'dateOnly,before,due');
+
+  const reloaded = createReminderScheduler(options);
+  reloaded.schedule(tasks);
+  assert('Fired reminders are not repeated after a reload', notified.length === 3);
+
+  clock = new Date(2026, 9, 19, 13, 0).getTime();
+  timers = [];
+  reloaded.schedule(tasks);
+  assert('Reminders missed while closed fire on schedule', notified.join(',') === 'dateOnly,before,due,custom');
+
+  tasks[0].dueTime = '15:00';
+  assert('A changed due time reminds again', reloaded.schedule(tasks) === 1);
+
+  // update() re-arms only when something a reminder depends on changed
+  timers = [];
+  assert('update() skips unchanged tasks', reloaded.update(tasks) === null && timers.length === 0);
+  assert('update() ignores fields reminders do not use', reloaded.update(tasks.map((t) => ({ ...t, tags: ['x'], priority: 'high' }))) === null);
+  tasks[4].dueTime = '18:00';
+  tasks[4].completed = false;
+  assert('update() re-arms after a change', reloaded.update(tasks) === 2 && timers.length === 2);
+  tasks[4].completed = true;
+  assert('update() re-arms when a task is completed', reloaded.update(tasks) === 1);
+  assert('schedule() always re-arms', reloaded.schedule(tasks) === 1);
+
+  const errors = [];
+  const setItem = Storage.prototype.setItem;
+  Storage.prototype.setItem = function () { throw new DOMException('full', 'QuotaExceededError'); };
+  try {
+    tasks[0].dueTime = '12:30'; // already missed, so it fires at once
+    createReminderScheduler({ ...options, onError: (message) => errors.push(message) }).schedule(tasks);
+  } finally {
+    Storage.prototype.setItem = setItem;
+  }
+  assert('Reminder log write failures are reported', errors.length === 1 && /reminder log/.test(errors[0]));
+
+  assert('Describe reminders', describeReminder(tasks[1].reminder) === '30m before' && describeReminder({ type: 'before', offsetMinutes: 1440 }) === '1d before');
+  localStorage.removeItem(key);
+}
+
+document.addEventListener('DOMContentLoaded', runReminderTests);
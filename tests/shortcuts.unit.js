@@ -0,0 +1,39 @@
+function runShortcutTests() {
+  const key = 'todo_shortcuts_v1';
+  const saved = localStorage.getItem(key);
+  localStorage.removeItem(key);
+  const ev = (k, mods = {}) => new KeyboardEvent('keydown', { key: k, ...mods });
+
+  assert('Event combo: plain letter', Shortcuts.fromEvent(ev('J')) === 'j');
+  assert('Event combo: Cmd counts as Ctrl', Shortcuts.fromEvent(ev('k', { metaKey: true })) === 'Ctrl+k');
+  assert('Event combo: Shift kept for letters', Shortcuts.fromEvent(ev('Z', { ctrlKey: true, shiftKey: true })) === 'Ctrl+Shift+z');
+  assert('Event combo: Shift dropped for punctuation', Shortcuts.fromEvent(ev('?', { shiftKey: true })) === '?');
+  assert('Event combo: modifier alone ignored', Shortcuts.fromEvent(ev('Shift', { shiftKey: true })) === '');
+  assert('Normalize typed combo', Shortcuts.normalize('shift+cmd+K') === 'Ctrl+Shift+k' && Shortcuts.normalize('Hyper+k') === '');
+  assert('Format combo for display', Shortcuts.format('Alt+ArrowUp') === 'Alt+↑' && Shortcuts.format('Ctrl+k') === 'Ctrl+K');
+
+  assert('Default j moves focus', Shortcuts.match(ev('j')) === 'next');
+  assert('Default Alt+Down reorders', Shortcuts.match(ev('ArrowDown', { altKey: true })) === 'moveDown');
+  assert('Redo has two bindings', Shortcuts.match(ev('y', { ctrlKey: true })) === 'redo' && Shortcuts.match(ev('Z', { ctrlKey: true, shiftKey: true })) === 'redo');
+  assert('Unbound key ignored', Shortcuts.match(ev('q')) === null);
+
+  const taken = Shortcuts.set('next', 'x');
+  assert('Remap rejects a combo in use', !taken.ok && taken.conflict === 'Complete / reopen focused task');
+  assert('Remap rejects unknown action', !Shortcuts.set('fly', 'f').ok);
+  assert('Remap to a free combo', Shortcuts.set('next', 'ArrowDown').ok && Shortcuts.match(ev('ArrowDown')) === 'next');
+  assert('Old binding released', Shortcuts.match(ev('j')) === null);
+  assert('Remap persisted', JSON.parse(localStorage.getItem(key)).next[0] === 'ArrowDown');
+  Shortcuts.reset();
+  assert('Reset restores defaults', Shortcuts.match(ev('j')) === 'next');
+
+  assert('Fuzzy: subsequence matches', fuzzyScore('thn', 'Theme: Night') > 0);
+  assert('Fuzzy: out of order fails', fuzzyScore('nt', 'Theme') === -1);
+  assert('Fuzzy: empty query matches all', fuzzyScore('', 'anything') === 0);
+  assert('Fuzzy: word starts rank higher', fuzzyScore('sd', 'Sort: Due Date') > fuzzyScore('sd', 'Tag: #misdone'));
+  assert('Fuzzy: contiguous ranks higher', fuzzyScore('night', 'Theme: Night') > fuzzyScore('night', 'Tag: #n-i-g-h-t'));
+
+  if (saved === null) localStorage.removeItem(key);
+  else localStorage.setItem(key, saved);
+}
+
+document.addEventListener('DOMContentLoaded', runShortcutTests);
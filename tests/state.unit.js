@@ -0,0 +1,62 @@
+function runStateTests() {
+  const saved = localStorage.getItem(STATE_KEY);
+  const savedLegacy = localStorage.getItem(OLD_TASKS_KEY);
+  const backupKeys = () => Object.keys(localStorage).filter((k) => k.startsWith(BACKUP_KEY_PREFIX));
+  const backupsBefore = new Set(backupKeys());
+
+  // Unversioned v1 payload is migrated and normalized
+  localStorage.setItem(STATE_KEY, JSON.stringify({
+    tasks: [
+      { id: 'a', text: ' Buy milk ', completed: 1, createdAt: 5, dueDate: 'soon', priority: 'urgent', tags: ['x', 'x', ' y '] },
+      { id: 'a', text: 'Duplicate id' },
+    ],
+    filter: 'bogus',
+    sort: 'due',
+    darkMode: true,
+  }));
+  let state = loadState();
+  assert('Migrates to current schemaVersion', state.schemaVersion === SCHEMA_VERSION);
+  assert('Drops unused darkMode setting', !('darkMode' in state));
+  assert('Existing tasks move into the default list', state.lists.length === 1 && state.tasks.every((t) => t.listId === state.lists[0].id) && state.activeListId === state.lists[0].id);
+  assert('Invalid filter falls back to default', state.filter === 'all' && state.sort === 'due');
+  const [first, second] = state.tasks;
+  assert('Task text trimmed and completed coerced', first.text === 'Buy milk' && first.completed === true);
+  assert('Invalid dueDate/priority get defaults', first.dueDate === '' && first.priority === 'medium');
+  assert('Tags deduplicated and trimmed', first.tags.join(',') === 'x,y');
+  assert('Duplicate ids are reassigned', second.id !== 'a');
+  assert('Clean load reports no recovery', stateRecovery === null);
+
+  const withSubtasks = normalizeTask({ text: 'Trip', subtasks: [{ id: 's', text: ' Pack ', completed: 1 }, { id: 's', text: 'Book' }, { text: '' }, null] });
+  assert('Subtasks are validated', withSubtasks.subtasks.length === 2 && withSubtasks.subtasks[0].text === 'Pack' && withSubtasks.subtasks[0].completed === true);
+  assert('Duplicate subtask ids are reassigned', withSubtasks.subtasks[1].id !== 's');
+
+  // Invalid tasks are skipped and the original payload is quarantined
+  localStorage.setItem(STATE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, tasks: [{ text: 'ok' }, { text: '' }, 42] }));
+  state = loadState();
+  assert('Invalid tasks skipped', state.tasks.length === 1);
+  assert('Skipped tasks reported', stateRecovery && /2 invalid tasks/.test(stateRecovery.reason));
+
+  // Tasks of a list that no longer exists fall back to the first list
+  localStorage.setItem(STATE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, lists: [{ id: 'w', name: 'Work' }], activeListId: 'gone', tasks: [{ text: 'x', listId: 'gone' }] }));
+  state = loadState();
+  assert('Orphaned tasks join the first list', state.tasks[0].listId === 'w' && state.activeListId === 'w');
+
+  // Corrupt payload is kept under a backup key
+  localStorage.setItem(STATE_KEY, '{not json');
+  state = loadState();
+  assert('Corrupt payload resets to defaults', state.tasks.length === 0);
+  assert('Corrupt payload quarantined', stateRecovery && localStorage.getItem(stateRecovery.backupKey) === '{not json');
+
+  // Legacy tasks-only key
+  localStorage.removeItem(STATE_KEY);
+  localStorage.setItem(OLD_TASKS_KEY, JSON.stringify([{ id: 1, text: 'Old task', completed: true }]));
+  state = loadState();
+  assert('Legacy tasks migrated', state.tasks.length === 1 && state.tasks[0].id === '1' && state.tasks[0].completed);
+
+  // Restore whatever the page had before the tests
+  backupKeys().filter((k) => !backupsBefore.has(k)).forEach((k) => localStorage.removeItem(k));
+  if (saved === null) localStorage.removeItem(STATE_KEY); else localStorage.setItem(STATE_KEY, saved);
+  if (savedLegacy === null) localStorage.removeItem(OLD_TASKS_KEY); else localStorage.setItem(OLD_TASKS_KEY, savedLegacy);
+}
+
+document.addEventListener('DOMContentLoaded', runStateTests);
@@ -0,0 +1,49 @@
+function runStatsTests() {
+  const now = new Date(2026, 9, 19, 15); // Monday
+  const at = (day, hour = 12) => new Date(2026, 9, day, hour).getTime();
+  const task = (id, fields = {}) => normalizeTask({ id, text: id, createdAt: at(1), ...fields });
+  const done = (id, day, fields = {}) => task(id, { completed: true, completedAt: at(day), ...fields });
+  const tasks = [
+    done('a', 19, { priority: 'high', tags: ['work'] }),
+    done('b', 18, { tags: ['work', 'home'] }),
+    done('c', 17, { createdAt: at(17, 6) }),
+    done('d', 17),
+    done('e', 10),
+    done('f', 11),
+    task('g', { completed: true }), // completed before completion times were recorded
+    task('h', { dueDate: '2026-10-18', priority: 'low', tags: ['home'] }),
+    task('i', { dueDate: '2026-10-19', dueTime: '09:00' }),
+    task('j', { dueDate: '2026-10-19', dueTime: '18:00' }),
+  ];
+  const stats = Stats.summarize(tasks, { now, days: 7, weeks: 3 });
+
+  assert('Stats: totals', stats.total === 10 && stats.completed === 7 && stats.active === 3);
+  assert('Stats: overdue counts past dates and passed times today', stats.overdue === 2);
+  assert('Stats: untracked completions are counted separately', stats.untracked === 1);
+  assert('Stats: per day, oldest first', stats.perDay.map((d) => d.count).join() === '0,0,0,0,2,1,1' && stats.perDay[6].date === '2026-10-19');
+  assert('Stats: per week from Monday', stats.perWeek.map((w) => `${w.start}:${w.count}`).join() === '2026-10-05:2,2026-10-12:3,2026-10-19:1');
+  assert('Stats: current and longest streak', stats.streak.current === 3 && stats.streak.longest === 3);
+  const avg = tasks.filter((t) => t.completedAt).reduce((sum, t) => sum + t.completedAt - t.createdAt, 0) / 6;
+  assert('Stats: average time to complete', stats.averageMs === avg);
+  assert('Stats: by priority in fixed order', stats.byPriority.map((r) => `${r.key}:${r.completed}/${r.total}`).join() === 'high:1/1,medium:6/8,low:0/1');
+  assert('Stats: by tag, largest first', stats.byTag.map((r) => `${r.key}:${r.completed}/${r.total}`).join() === 'home:1/2,work:2/2');
+
+  const open = Stats.summarize([done('x', 17), done('y', 16)], { now });
+  assert('Stats: a streak survives until today is over', open.streak.current === 0 && open.streak.longest === 2);
+  const yesterday = Stats.summarize([done('x', 18), done('y', 17)], { now });
+  assert('Stats: streak counts from yesterday when today is empty', yesterday.streak.current === 2);
+  assert('Stats: no completions', Stats.summarize([task('z')], { now }).averageMs === null && Stats.summarize([], { now }).streak.longest === 0);
+
+  assert('Stats: format minutes', Stats.formatDuration(20 * 1000) === '1 min' && Stats.formatDuration(45 * 60000) === '45 min');
+  assert('Stats: format hours and days', Stats.formatDuration(5.5 * 3600000) === '5.5 h' && Stats.formatDuration(86400000) === '1 day' && Stats.formatDuration(3.2 * 86400000) === '3.2 days');
+
+  const state = { tasks: [task('p'), done('q', 18)] };
+  const complete = setCompletedCommand(state, ['p', 'q'], true, 'Complete');
+  const changes = complete.commands[0].changes;
+  assert('Completing records completedAt only on a change of state', changes.length === 1 && changes[0].id === 'p' && Number.isFinite(changes[0].after.completedAt));
+  const reopen = setCompletedCommand(state, ['q'], false, 'Reopen').commands[0].changes[0];
+  assert('Reopening clears completedAt', reopen.after.completed === false && reopen.after.completedAt === null);
+  assert('Open tasks have no completedAt', task('r', { completedAt: 5 }).completedAt === null);
+}
+
+document.addEventListener('DOMContentLoaded', runStatsTests);
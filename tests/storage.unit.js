@@ -0,0 +1,125 @@
+function runStorageTests() {
+  const fakeAdapter = (stored = null) => {
+    const adapter = { name: 'Fake', saves: [], fail: null, load: () => Promise.resolve(stored), subscribe() {} };
+    adapter.save = (state) => {
+      if (adapter.fail) return Promise.reject(adapter.fail);
+      adapter.saves.push(JSON.stringify(state));
+      return Promise.resolve();
+    };
+    return adapter;
+  };
+
+  // Debounced writes: only the latest state goes out, flush() writes at once
+  (async () => {
+    const adapter = fakeAdapter(defaultState());
+    const errors = [];
+    const store = createStore(adapter, { delay: 20, onError: (message) => errors.push(message) });
+    const state = defaultState();
+    store.save(state);
+    state.search = 'a';
+    store.save(state);
+    state.search = 'ab';
+    store.save(state);
+    assert('Storage: nothing written before the delay', adapter.saves.length === 0);
+    await new Promise((r) => setTimeout(r, 60));
+    assert('Storage: one debounced write with the latest state', adapter.saves.length === 1 && JSON.parse(adapter.saves[0]).search === 'ab');
+    state.search = 'abc';
+    store.save(state);
+    await store.flush();
+    assert('Storage: flush writes immediately', adapter.saves.length === 2);
+    store.replacePending({ ...state, search: 'idle' });
+    await store.flush();
+    assert('Storage: replacePending schedules nothing', adapter.saves.length === 2);
+    store.save(state);
+    store.replacePending({ ...state, search: 'merged' });
+    await store.flush();
+    assert('Storage: replacePending swaps a waiting write', adapter.saves.length === 3 && JSON.parse(adapter.saves[2]).search === 'merged');
+
+    const quota = new DOMException('full', 'QuotaExceededError');
+    adapter.fail = quota;
+    store.save(state);
+    await store.flush();
+    store.save(state);
+    await store.flush();
+    assert('Storage: failures are reported once', errors.length === 1 && /storage is full/.test(errors[0]));
+    adapter.fail = null;
+    store.save(state);
+    await store.flush();
+    adapter.fail = new Error('disk gone');
+    store.save(state);
+    await store.flush();
+    assert('Storage: a new failure after a success is reported again', errors.length === 2 && /disk gone/.test(errors[1]));
+  })();
+
+  // An empty adapter takes over the data saved in localStorage (runs in microtasks, before the app saves again)
+  (async () => {
+    const saved = localStorage.getItem(STATE_KEY);
+    localStorage.setItem(STATE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, tasks: [{ id: 'm1', text: 'Move me' }] }));
+    const adapter = fakeAdapter(null);
+    const state = await createStore(adapter).load();
+    const left = localStorage.getItem(STATE_KEY);
+    if (saved !== null) localStorage.setItem(STATE_KEY, saved);
+    assert('Storage: localStorage data is migrated', state.tasks.length === 1 && state.tasks[0].id === 'm1' && adapter.saves.length === 1);
+    assert('Storage: migrated copy is removed', left === null);
+  })();
+
+  // The localStorage adapter surfaces write errors instead of swallowing them
+  (async () => {
+    const setItem = Storage.prototype.setItem;
+    Storage.prototype.setItem = function () { throw new DOMException('full', 'QuotaExceededError'); };
+    let error = null;
+    try {
+      await createLocalStorageAdapter().save(defaultState());
+    } catch (err) {
+      error = err;
+    } finally {
+      Storage.prototype.setItem = setItem;
+    }
+    assert('Storage: localStorage adapter rejects on quota errors', error && error.name === 'QuotaExceededError');
+  })();
+
+  // IndexedDB failing to open falls back to localStorage and offers no retry
+  (async () => {
+    const reports = [];
+    const had = Object.getOwnPropertyDescriptor(window, 'indexedDB');
+    Object.defineProperty(window, 'indexedDB', { configurable: true, value: { open() { throw new Error('blocked'); } } });
+    const opening = openStorage({ onError: (message, err, retry) => reports.push({ message, retry }) });
+    if (had) Object.defineProperty(window, 'indexedDB', had);
+    else delete window.indexedDB;
+    const store = await opening;
+    assert('Storage: unavailable IndexedDB falls back to localStorage', store.name === 'localStorage');
+    assert('Storage: the fallback notice has nothing to retry', reports.length === 1 && /IndexedDB is unavailable/.test(reports[0].message) && reports[0].retry === null);
+  })();
+
+  // IndexedDB adapter: per-task records, incremental writes, stored order
+  if (typeof indexedDB === 'undefined') return;
+  (async () => {
+    const dbName = 'todo_app_test';
+    const adapter = await createIndexedDbAdapter(dbName);
+    assert('IndexedDB: empty database loads as null', (await adapter.load()) === null);
+    const state = defaultState();
+    state.tasks = ['one', 'two', 'three'].map((text, i) => normalizeTask({ id: `t${i}`, text }));
+    await adapter.save(state);
+
+    let puts = 0;
+    const put = IDBObjectStore.prototype.put;
+    IDBObjectStore.prototype.put = function (...args) { puts++; return put.apply(this, args); };
+    state.tasks[1].completed = true;
+    await adapter.save(state);
+    const putsForEdit = puts;
+    puts = 0;
+    await adapter.save(state);
+    IDBObjectStore.prototype.put = put;
+    assert('IndexedDB: only the changed task is written', putsForEdit === 1);
+    assert('IndexedDB: unchanged state writes nothing', puts === 0);
+
+    state.tasks = [state.tasks[2], state.tasks[1]];
+    await adapter.save(state);
+    const reopened = await createIndexedDbAdapter(dbName);
+    const loaded = await reopened.load();
+    assert('IndexedDB: order and deletions round-trip', loaded.tasks.map((t) => t.id).join() === 't2,t1' && loaded.tasks[1].completed);
+    indexedDB.deleteDatabase(dbName);
+  })();
+}
+
+document.addEventListener('DOMContentLoaded', runStorageTests);
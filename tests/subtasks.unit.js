@@ -0,0 +1,44 @@
+function runSubtaskTests() {
+  const sub = (id, completed = false) => ({ id, text: id, completed });
+  const tasks = () => [
+    normalizeTask({ id: 'a', text: 'A', subtasks: [sub('a1', true), sub('a2'), sub('a3')] }),
+    normalizeTask({ id: 'b', text: 'B', subtasks: [sub('b1')] }),
+  ];
+  const ids = (task) => task.subtasks.map((s) => s.id).join(',');
+
+  const progress = Subtasks.progress(tasks()[0].subtasks);
+  assert('Subtasks: progress counts done and total', progress.done === 1 && progress.total === 3);
+  assert('Subtasks: no checklist is 0/0', Subtasks.progress([]).total === 0);
+
+  const [a] = tasks();
+  const allDone = a.subtasks.map((s) => ({ ...s, completed: true }));
+  assert('Subtasks: finishing the last step completes the parent', Subtasks.completesParent(a, allDone, true));
+  assert('Subtasks: only with the setting on', !Subtasks.completesParent(a, allDone, false));
+  assert('Subtasks: not while a step is open', !Subtasks.completesParent(a, a.subtasks, true));
+  assert('Subtasks: an empty checklist completes nothing', !Subtasks.completesParent(a, [], true));
+  assert('Subtasks: a completed parent stays as it is', !Subtasks.completesParent({ ...a, completed: true }, allDone, true));
+
+  // Auto-complete goes into the same undo step as the checklist change
+  const state = { tasks: tasks() };
+  const history = createHistory({ storageKey: 'todo_subtasks_history_test' });
+  const update = updateTasksCommand(state, [{ id: 'a', fields: { subtasks: allDone } }], 'Complete subtask');
+  history.execute(state, batchCommand([update, setCompletedCommand(state, ['a'], true, 'Complete subtask')], 'Complete subtask'));
+  assert('Subtasks: parent completed with its last step', state.tasks[0].completed && Subtasks.progress(state.tasks[0].subtasks).done === 3);
+  history.undo(state);
+  assert('Subtasks: one undo reopens the parent and the step', !state.tasks[0].completed && Subtasks.progress(state.tasks[0].subtasks).done === 1);
+
+  const reorder = Subtasks.move(tasks(), 'a', 'a3', 'a', 0);
+  assert('Subtasks: reorder within a task', reorder.length === 1 && reorder[0].fields.subtasks.map((s) => s.id).join() === 'a3,a1,a2');
+  assert('Subtasks: reorder past the end appends', Subtasks.move(tasks(), 'a', 'a1', 'a', 99)[0].fields.subtasks.map((s) => s.id).join() === 'a2,a3,a1');
+
+  const across = Subtasks.move(tasks(), 'a', 'a2', 'b', 0);
+  history.execute(state, updateTasksCommand(state, across, 'Move subtask'));
+  assert('Subtasks: move to another task', ids(state.tasks[0]) === 'a1,a3' && ids(state.tasks[1]) === 'a2,b1');
+  history.undo(state);
+  assert('Subtasks: undo puts a moved step back', ids(state.tasks[0]) === 'a1,a2,a3' && ids(state.tasks[1]) === 'b1');
+  assert('Subtasks: moving an unknown step changes nothing', Subtasks.move(tasks(), 'a', 'zz', 'b', 0).length === 0 && Subtasks.move(tasks(), 'a', 'a1', 'zz', 0).length === 0);
+
+  localStorage.removeItem('todo_subtasks_history_test');
+}
+
+document.addEventListener('DOMContentLoaded', runSubtaskTests);
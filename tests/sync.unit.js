@@ -0,0 +1,60 @@
+function runSyncTests() {
+  const task = (id, fields = {}) => normalizeTask({ id, text: id, createdAt: 1, updatedAt: 1, ...fields });
+  const stateWith = (tasks, extra = {}) => ({ ...defaultState(), tasks, ...extra });
+
+  // Migration and normalization
+  const migrated = normalizeState(migrateState({ schemaVersion: 3, tasks: [{ id: 'a', text: 'A', createdAt: 7 }] })).state;
+  assert('v3 tasks get updatedAt from createdAt', migrated.tasks[0].updatedAt === 7 && migrated.deleted.length === 0);
+  const tomb = normalizeState({ deleted: [{ id: 'x', deletedAt: 5 }, { id: 'x', deletedAt: 9 }, { id: 'y' }, null] }).state;
+  assert('Tombstones validated and deduplicated', tomb.deleted.length === 1 && tomb.deleted[0].deletedAt === 9);
+  assert('parseState rejects unreadable payloads', parseState('{nope') === null && parseState(JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1 })) === null);
+
+  // Change tracking stamps edits, deletions and re-added tasks
+  const local = stateWith([task('a'), task('b'), task('c')]);
+  let saved = trackTaskChanges(local, null, 100);
+  assert('First snapshot stamps nothing', local.tasks.every((t) => t.updatedAt === 1));
+  local.tasks[0].text = 'A edited';
+  local.tasks = local.tasks.filter((t) => t.id !== 'c');
+  saved = trackTaskChanges(local, saved, 200);
+  assert('Edited task stamped', local.tasks[0].updatedAt === 200 && local.tasks[1].updatedAt === 1);
+  assert('Removed task leaves a tombstone', local.deleted.length === 1 && local.deleted[0].id === 'c' && local.deleted[0].deletedAt === 200);
+  local.tasks.push(task('c'));
+  saved = trackTaskChanges(local, saved, 300);
+  assert('Re-added task drops its tombstone', local.deleted.length === 0 && local.tasks[2].updatedAt === 300);
+  local.deleted.push({ id: 'old', deletedAt: 300 - TOMBSTONE_TTL });
+  trackTaskChanges(local, saved, 300);
+  assert('Expired tombstones are pruned', local.deleted.length === 0);
+
+  // Merging two tabs
+  const mine = stateWith([task('a', { text: 'mine', updatedAt: 50 }), task('b', { text: 'b', updatedAt: 10 }), task('new', { updatedAt: 60 })], { filter: 'active', search: 'x' });
+  const theirs = stateWith([task('b', { text: 'theirs', updatedAt: 40 }), task('a', { text: 'old', updatedAt: 20 }), task('d', { updatedAt: 30 })], { confirmDelete: true, sort: 'text' });
+  const merged = mergeStates(mine, theirs);
+  const byId = Object.fromEntries(merged.tasks.map((t) => [t.id, t]));
+  assert('Newer local edit wins', byId.a.text === 'mine');
+  assert('Newer remote edit wins', byId.b.text === 'theirs');
+  assert('Tasks from both tabs kept', merged.tasks.map((t) => t.id).sort().join() === 'a,b,d,new');
+  assert('Remote order is kept', merged.tasks.map((t) => t.id).filter((id) => id !== 'new').join() === 'b,a,d');
+  assert('Settings come from the remote save', merged.confirmDelete === true);
+  assert('View stays per tab', merged.filter === 'active' && merged.search === 'x' && merged.sort === 'created');
+
+  const deletedThere = stateWith([task('b', { updatedAt: 10 })], { deleted: [{ id: 'a', deletedAt: 40 }] });
+  const afterDelete = mergeStates(stateWith([task('a', { updatedAt: 30 }), task('b', { updatedAt: 10 })]), deletedThere);
+  assert('Tombstone removes an older task', afterDelete.tasks.map((t) => t.id).join() === 'b' && afterDelete.deleted.length === 1);
+  const editedLater = mergeStates(stateWith([task('a', { updatedAt: 50 }), task('b', { updatedAt: 10 })]), deletedThere);
+  assert('Edit after the deletion survives it', editedLater.tasks.some((t) => t.id === 'a') && editedLater.deleted.length === 0);
+  assert('Merging is stable once both sides agree', JSON.stringify(mergeStates(merged, merged).tasks) === JSON.stringify(merged.tasks));
+
+  // Two tabs on different views: merging the other tab's save must not write it back
+  const tabA = stateWith([task('a', { updatedAt: 5 })], { deleted: [{ id: 'x', deletedAt: 1 }, { id: 'y', deletedAt: 2 }], filter: 'completed', layout: 'board' });
+  const tabB = stateWith([task('a', { updatedAt: 5 })], { deleted: [{ id: 'y', deletedAt: 2 }, { id: 'x', deletedAt: 1 }], filter: 'active', search: 'q' });
+  const fromB = mergeStates(tabA, tabB);
+  assert('View-only difference needs no write back', sameSharedState(fromB, tabB) && fromB.filter === 'completed');
+  assert('A merged-in task needs a write back', !sameSharedState(mergeStates(stateWith([task('a', { updatedAt: 5 }), task('n', { updatedAt: 6 })]), tabB), tabB));
+  assert('A settings difference is not view-only', !sameSharedState({ ...tabB, confirmDelete: !tabB.confirmDelete }, tabB));
+
+  const withList = stateWith([task('w', { listId: 'work', updatedAt: 5 })], { lists: [makeList(DEFAULT_LIST), makeList({ id: 'work', name: 'Work' })] });
+  const listMerged = mergeStates(withList, stateWith([]));
+  assert('A list needed by a local task is kept', listMerged.lists.some((l) => l.id === 'work'));
+}
+
+document.addEventListener('DOMContentLoaded', runSyncTests);
@@ -9,6 +9,14 @@ function assert(name, cond) {
 function reset() {
   localStorage.removeItem('themeMode');
   localStorage.removeItem('themeLast');
+  localStorage.removeItem('themeLocation');
+  localStorage.removeItem('themeSchedule');
+  localStorage.removeItem('themeDayWindow');
+}
+
+function at(hh, mm = 0) {
+  const d = new Date(); d.setHours(hh, mm, 0, 0);
+  return d;
 }
 
 async function runUnitTests() {
@@ -33,6 +41,84 @@ async function runUnitTests() {
   const sydney = computeSunTimes(-33.8688, 151.2093, new Date());
   assert('computeSunTimes returns sunrise', sydney.sunrise instanceof Date);
   assert('computeSunTimes returns sunset', sydney.sunset instanceof Date);
+
+  // Fixed schedule overrides the 06–18 fallback and is persisted
+  window.Theme.setSchedule({ type: 'fixed', dayStart: '08:00', nightStart: '20:00' });
+  assert('Fixed schedule persisted', JSON.parse(localStorage.getItem('themeSchedule')).type === 'fixed');
+  assert('Fixed 07:00 is night', window.Theme.isNight(at(7)) === true);
+  assert('Fixed 19:00 is day', window.Theme.isNight(at(19)) === false);
+  assert('Next switch after 07:00 is 08:00', window.Theme.nextSwitchTime(at(7)).getTime() === at(8).getTime());
+  const tomorrow8 = at(8); tomorrow8.setDate(tomorrow8.getDate() + 1);
+  assert('Next switch after 21:00 is tomorrow 08:00', window.Theme.nextSwitchTime(at(21)).getTime() === tomorrow8.getTime());
+
+  // Schedules may wrap midnight
+  window.Theme.setSchedule({ type: 'fixed', dayStart: '20:00', nightStart: '04:00' });
+  assert('Wrapped schedule 22:00 is day', window.Theme.isNight(at(22)) === false);
+  assert('Wrapped schedule 12:00 is night', window.Theme.isNight(at(12)) === true);
+  assert('Wrapped schedule next switch after 01:00 is 04:00', window.Theme.nextSwitchTime(at(1)).getTime() === at(4).getTime());
+
+  // Invalid schedule fields fall back to defaults
+  const fallback = window.Theme.setSchedule({ type: 'weird', dayStart: '25:00', sunriseOffset: 'x' });
+  assert('Invalid schedule normalized', fallback.type === 'sun' && fallback.dayStart === '06:00' && fallback.sunriseOffset === 0);
+
+  // Manual location drives sunrise/sunset without geolocation
+  assert('Invalid location rejected', window.Theme.setLocation({ lat: 123, lng: 0 }) === null);
+  window.Theme.setLocation({ lat: 51.5074, lng: -0.1278, name: 'London' });
+  assert('Manual location persisted', JSON.parse(localStorage.getItem('themeLocation')).name === 'London');
+  const london = computeSunTimes(51.5074, -0.1278, at(12));
+  const win = window.Theme.dayWindow(at(12));
+  assert('Manual location uses its sunrise', win.start.getTime() === london.sunrise.getTime());
+  window.Theme.setSchedule({ type: 'offset', sunriseOffset: 30, sunsetOffset: -45 });
+  const shifted = window.Theme.dayWindow(at(12));
+  assert('Sunrise offset applied', shifted.start.getTime() === london.sunrise.getTime() + 30 * 60_000);
+  assert('Sunset offset applied', shifted.end.getTime() === london.sunset.getTime() - 45 * 60_000);
+  const justBeforeDay = new Date(shifted.start.getTime() - 60_000);
+  assert('Offset schedule honored by isNight', window.Theme.isNight(justBeforeDay) === true);
+
+  // Twilight: events are ordered through the day and the theme moves through phases
+  window.Theme.setSchedule({ type: 'sun' });
+  const equinox = new Date(2026, 2, 20, 12, 0, 0, 0);
+  const sun = computeSunTimes(51.5074, -0.1278, equinox);
+  const order = ['astronomicalDawn', 'nauticalDawn', 'civilDawn', 'sunrise', 'goldenHourEnd', 'solarNoon', 'goldenHour', 'sunset', 'civilDusk', 'nauticalDusk', 'astronomicalDusk'];
+  assert('Twilight events in chronological order', order.every((k, i) => i === 0 || sun[k] > sun[order[i - 1]]));
+  assert('Equinox day is about 12 hours', Math.abs((sun.sunset - sun.sunrise) / 3_600_000 - 12.1) < 0.3);
+  const minute = 60_000;
+  assert('Phase before sunrise is dawn', window.Theme.phaseAt(new Date(sun.sunrise - minute)).phase === 'dawn');
+  assert('Phase at solar noon is day', window.Theme.phaseAt(sun.solarNoon).phase === 'day');
+  assert('Phase before sunset is golden hour', window.Theme.phaseAt(new Date(sun.sunset - minute)).phase === 'golden-hour');
+  const dusk = window.Theme.phaseAt(new Date(sun.sunset.getTime() + minute));
+  assert('Phase after sunset is dusk', dusk.phase === 'dusk' && dusk.progress > 0 && dusk.progress < 0.1);
+  assert('Phase after nautical dusk is night', window.Theme.phaseAt(new Date(sun.nauticalDusk.getTime() + minute)).phase === 'night');
+  assert('Next switch at noon is golden hour', window.Theme.nextSwitchTime(sun.solarNoon).getTime() === sun.goldenHour.getTime());
+  assert('Next switch in golden hour is sunset', window.Theme.nextSwitchTime(new Date(sun.sunset - minute)).getTime() === sun.sunset.getTime());
+  assert('Polar summer has no sunset', isNaN(computeSunTimes(78, 15, new Date(2026, 5, 21, 12)).sunset));
+
+  window.Theme.setMode('night');
+  assert('Manual night sets data-theme-phase', document.documentElement.getAttribute('data-theme-phase') === 'night' && window.Theme.phase === 'night');
+  assert('Manual mode clears blended gradient', document.documentElement.style.getPropertyValue('--bg-start') === '');
+
+  window.Theme.setSchedule(null);
+  window.Theme.setLocation(null);
+
+  // System mode follows prefers-color-scheme; reduced motion suppresses the rise animations
+  const realMatchMedia = window.matchMedia;
+  const media = { '(prefers-color-scheme: dark)': true, '(prefers-reduced-motion: reduce)': true };
+  window.matchMedia = (q) => ({ matches: !!media[q], media: q, addEventListener() {}, removeEventListener() {} });
+  window.Theme.setMode('system');
+  assert('System mode persisted', localStorage.getItem('themeMode') === 'system');
+  assert('System dark sets theme-night', document.documentElement.classList.contains('theme-night'));
+  media['(prefers-color-scheme: dark)'] = false;
+  window.Theme.setMode('system');
+  assert('System light sets theme-day', document.documentElement.classList.contains('theme-day'));
+  assert('Reduced motion skips sun animation', !document.getElementById('sunBadge').classList.contains('animate-sun-rise'));
+  media['(prefers-reduced-motion: reduce)'] = false;
+  window.Theme.setMode('day');
+  assert('Animation runs without reduced motion', document.getElementById('sunBadge').classList.contains('animate-sun-rise'));
+  window.Theme.setMode('bogus');
+  assert('Unknown mode ignored', window.Theme.mode === 'day');
+  window.matchMedia = realMatchMedia;
+
+  reset();
 }
 
 document.addEventListener('DOMContentLoaded', runUnitTests);
\ No newline at end of file
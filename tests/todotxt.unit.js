@@ -0,0 +1,34 @@
+function runTodoTxtTests() {
+  const line = '(A) 2026-10-01 Call Mom +Family @phone due:2026-10-20 url:example.com/x';
+  const { task } = TodoTxt.parseLine(line);
+  assert('todo.txt priority (A) maps to high', task.priority === 'high');
+  assert('todo.txt creation date maps to createdAt', task.createdAt === new Date(2026, 9, 1).getTime());
+  assert('todo.txt +project and @context map to tags', task.tags.join(',') === 'Family,@phone');
+  assert('todo.txt due: maps to dueDate', task.dueDate === '2026-10-20');
+  assert('todo.txt unknown extensions are preserved', task.extensions.url === 'example.com/x');
+  assert('todo.txt text excludes tokens', task.text === 'Call Mom');
+  assert('todo.txt serializes back to the same line', TodoTxt.serializeTask(task) === line);
+
+  const done = TodoTxt.parseLine('x 2026-10-05 2026-10-01 Pay rent pri:C').task;
+  assert('todo.txt x marks completed', done.completed && done.priority === 'low' && done.text === 'Pay rent');
+  assert('todo.txt completed line keeps creation date', done.createdAt === new Date(2026, 9, 1).getTime());
+  const now = new Date(2026, 9, 19, 12).getTime();
+  assert('todo.txt completion date becomes completedAt', done.completedAt === new Date(2026, 9, 5).getTime());
+  assert('todo.txt serializes completed tasks with their completion date', TodoTxt.serializeTask(done, { now }) === 'x 2026-10-05 2026-10-01 Pay rent pri:C');
+  assert('todo.txt uses the export date when the completion date is unknown', TodoTxt.serializeTask({ ...done, completedAt: null }, { now }) === 'x 2026-10-19 2026-10-01 Pay rent pri:C');
+
+  assert('todo.txt (D) and lower map to low', TodoTxt.parseLine('(D) Later').task.priority === 'low');
+  assert('todo.txt without priority is medium', TodoTxt.parseLine('Plain task').task.priority === 'medium');
+  const meeting = TodoTxt.parseLine('Meeting at 10:30 with Bob').task;
+  assert('todo.txt keeps times in text', meeting.text === 'Meeting at 10:30 with Bob' && Object.keys(meeting.extensions).length === 0);
+  assert('todo.txt times stay in place on export', TodoTxt.serializeTask(meeting).endsWith('Meeting at 10:30 with Bob'));
+  assert('todo.txt keeps ratios in text', TodoTxt.parseLine('Crop to 16:9 first').task.text === 'Crop to 16:9 first');
+  assert('todo.txt extension keys may hold digits and dashes', TodoTxt.parseLine('Task h2-ref:abc').task.extensions['h2-ref'] === 'abc');
+  assert('todo.txt keeps URLs in text', TodoTxt.parseLine('Read https://example.com').task.text === 'Read https://example.com');
+
+  const { tasks, errors } = TodoTxt.parse('Buy milk\n\n+OnlyProject\nFix bug due:2026-13-40\n(B) Write report\n');
+  assert('todo.txt parse skips blank lines', tasks.length === 2);
+  assert('todo.txt reports errors by line', errors.map((e) => e.line).join(',') === '3,4');
+}
+
+document.addEventListener('DOMContentLoaded', runTodoTxtTests);
@@ -0,0 +1,64 @@
+function runTrashTests() {
+  const key = 'todo_history_trash_test';
+  localStorage.removeItem(key);
+  const history = createHistory({ storageKey: key });
+  const day = 24 * 60 * 60 * 1000;
+  const now = Date.UTC(2026, 9, 19);
+  const state = { tasks: [
+    normalizeTask({ id: 'a', text: 'A' }),
+    normalizeTask({ id: 'b', text: 'B', completed: true, completedAt: now - day }),
+    normalizeTask({ id: 'c', text: 'C', completed: true }),
+  ] };
+  const field = (id, name) => state.tasks.find((t) => t.id === id)[name];
+
+  history.execute(state, trashTasksCommand(state, ['a'], true, 'Trash', now));
+  assert('Trash: deleting moves a task to the trash', state.tasks.length === 3 && field('a', 'trashedAt') === now);
+  history.undo(state);
+  assert('Trash: moving to the trash can be undone', field('a', 'trashedAt') === null);
+  history.execute(state, trashTasksCommand(state, ['a'], true, 'Trash', now));
+  history.execute(state, trashTasksCommand(state, ['a'], false, 'Restore'));
+  assert('Trash: restore brings the task back', field('a', 'trashedAt') === null);
+
+  history.execute(state, archiveTasksCommand(state, ['a', 'b', 'c'], true, 'Archive', now));
+  assert('Archive: only completed tasks are archived', field('a', 'archivedAt') === null && field('b', 'archivedAt') === now && field('c', 'archivedAt') === now);
+  history.execute(state, setCompletedCommand(state, ['b'], false, 'Reopen'));
+  assert('Archive: reopening a task takes it out of the archive', field('b', 'archivedAt') === null && !field('b', 'completed'));
+  history.undo(state);
+  assert('Archive: undoing the reopen archives it again', field('b', 'archivedAt') === now && field('b', 'completed'));
+  history.execute(state, archiveTasksCommand(state, ['c'], false, 'Unarchive'));
+  assert('Archive: unarchive', field('c', 'archivedAt') === null);
+
+  assert('Trash: open tasks are never archived', normalizeTask({ text: 'x', archivedAt: 5 }).archivedAt === null);
+  assert('Trash: trashedAt is kept', normalizeTask({ text: 'x', trashedAt: 5 }).trashedAt === 5 && normalizeTask({ text: 'x', trashedAt: 'soon' }).trashedAt === null);
+
+  const trashed = [
+    normalizeTask({ id: 'old', text: 'Old', trashedAt: now - 31 * day }),
+    normalizeTask({ id: 'edge', text: 'Edge', trashedAt: now - 30 * day }),
+    normalizeTask({ id: 'new', text: 'New', trashedAt: now - day }),
+    normalizeTask({ id: 'kept', text: 'Kept' }),
+  ];
+  assert('Trash: expired after the configured days', expiredTrash(trashed, 30, now).map((t) => t.id).join() === 'old,edge');
+  assert('Trash: a shorter period expires more', expiredTrash(trashed, 1, now).length === 3);
+
+  // A purge happens outside the history, so the steps involving purged tasks are dropped
+  const purge = { tasks: [normalizeTask({ id: 'q', text: 'Q' }), normalizeTask({ id: 'r', text: 'R' }), normalizeTask({ id: 'p', text: 'P' })] };
+  const purgeHistory = createHistory({ storageKey: key });
+  purgeHistory.clear();
+  purgeHistory.execute(purge, trashTasksCommand(purge, ['p'], true, 'Task moved to trash', now));
+  purgeHistory.execute(purge, updateTasksCommand(purge, [{ id: 'q', fields: { text: 'Q2' } }]));
+  purgeHistory.execute(purge, moveTaskCommand(purge, 'r', 'q'));
+  purgeHistory.execute(purge, batchCommand([updateTasksCommand(purge, [{ id: 'q', fields: { priority: 'high' } }]), trashTasksCommand(purge, ['p'], false, 'Restore')], 'Both'));
+  purgeHistory.undo(purge);
+  purge.tasks = purge.tasks.filter((t) => t.id !== 'p');
+  assert('Trash: purging forgets the steps involving the purged task', purgeHistory.forget(['p']) === 2);
+  assert('Trash: other steps stay', purgeHistory.undo(purge).type === 'move' && purgeHistory.undo(purge).label === 'Edit task' && !purgeHistory.canUndo);
+  assert('Trash: forgetting unknown ids drops nothing', purgeHistory.forget(['zz']) === 0);
+
+  const loaded = (raw) => normalizeState(raw).state.trashDays;
+  assert('Trash: purge period defaults to 30 days', loaded({}) === DEFAULT_TRASH_DAYS && DEFAULT_TRASH_DAYS === 30);
+  assert('Trash: purge period is validated', loaded({ trashDays: 7 }) === 7 && loaded({ trashDays: 0 }) === 30 && loaded({ trashDays: 2.5 }) === 30 && loaded({ trashDays: 999 }) === 30);
+  assert('Views: archive and trash views in the URL', Views.fromHash('#filter=trash').filter === 'trash' && Views.toHash(Views.normalize({ filter: 'archived' })) === '#filter=archived');
+  localStorage.removeItem(key);
+}
+
+document.addEventListener('DOMContentLoaded', runTrashTests);
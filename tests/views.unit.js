@@ -0,0 +1,27 @@
+function runViewsTests() {
+  const view = (fields) => Views.normalize(fields);
+
+  assert('Views: default view has an empty hash', Views.toHash(Views.DEFAULTS) === '');
+  assert('Views: hash keeps only non-default fields', Views.toHash(view({ filter: 'active', sort: 'due' })) === '#filter=active&sort=due');
+  const linked = view({ filter: 'completed', sort: 'priority', search: 'tag:work "next week"', tagFilter: 'Work & Life', listId: 'all', layout: 'board', boardGroup: 'tag' });
+  assert('Views: hash round-trips every field', Views.equals(Views.fromHash(Views.toHash(linked)), linked));
+  assert('Views: hash without view fields is null', Views.fromHash('') === null && Views.fromHash('#section-2') === null);
+  const partial = Views.fromHash('#sort=text');
+  assert('Views: missing fields fall back to defaults', partial.sort === 'text' && partial.filter === 'all' && partial.listId === 'default');
+  const bad = Views.fromHash('#filter=nope&sort=random&tag=%23home');
+  assert('Views: invalid filter and sort are ignored', bad.filter === 'all' && bad.sort === 'created');
+  assert('Views: invalid layout and group are ignored', Views.fromHash('#layout=grid&group=color').layout === 'list' && Views.fromHash('#layout=grid&group=color').boardGroup === 'status');
+  assert('Views: leading # is stripped from the tag', bad.tagFilter === 'home');
+
+  const state = defaultState();
+  Views.apply(state, linked);
+  assert('Views: apply sets the state fields', state.filter === 'completed' && state.sort === 'priority' && state.tagFilter === 'Work & Life' && state.activeListId === 'all' && state.layout === 'board' && state.boardGroup === 'tag');
+  assert('Views: current reads them back', Views.equals(Views.current(state), linked));
+  assert('Views: equals notices a change', !Views.equals(linked, { ...linked, search: '' }));
+
+  // Saved views persist through normalizeState with their view normalized
+  const { state: loaded } = normalizeState({ savedViews: [{ id: 'v1', name: ' Urgent ', view: { filter: 'active', sort: 'bogus' } }, { name: '' }, { id: 'v1', name: 'Copy', view: null }] });
+  assert('Saved views normalized', loaded.savedViews.length === 2 && loaded.savedViews[0].name === 'Urgent' && loaded.savedViews[0].view.sort === 'created' && loaded.savedViews[1].id !== 'v1');
+}
+
+document.addEventListener('DOMContentLoaded', runViewsTests);